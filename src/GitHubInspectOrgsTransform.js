@@ -1,6 +1,10 @@
 'use strict';
 
+import stream           from 'stream';
+
 import TransformControl from './transform/TransformControl.js';
+import filterCategories from './transform/filterCategories.js';
+import messages         from './transform/messages.js';
 
 /**
  * GitHubInspectOrgsTransform - Provides a NPM module that transforms data from GitHubInspectOrgs /
@@ -11,10 +15,10 @@ import TransformControl from './transform/TransformControl.js';
  * `GitHubInspectOrgsTransform` excels at creating indexes in several popular formats for a many-organization / repo
  * effort such as TyphonJS and beyond.
  *
- * By default the following transform types are available: `html`, `json`, `markdown` and `text` and initially set in
- * an options hash with an optional `transformType` entry passed into the constructor as the second parameter. All
- * methods transform normalized output data from a `GitHubInspectOrgs` query as a string, but user supplied transforms
- * may output any type of data.
+ * By default the following transform types are available: `asciidoc`, `csv`, `dot`, `html`, `json`, `jsonl`,
+ * `markdown`, `mermaid`, `rst`, `template`, `text`, `tsv` and `yaml` and initially set in an options hash with an
+ * optional `transformType` entry passed into the constructor as the second parameter. All methods transform normalized output
+ * data from a `GitHubInspectOrgs` query as a string, but user supplied transforms may output any type of data.
  *
  * To configure GitHubInspectOrgsTransform first create an instance of GitHubInspectOrgs:
  * ```
@@ -32,6 +36,10 @@ import TransformControl from './transform/TransformControl.js';
  *
  * Additional optional parameters to configure GitHubInspectOrgsTransform include:
  * ```
+ * (SnapshotStore) snapshots - Stores the normalized data of every method call; please see `SnapshotStore`.
+ *
+ * (object)    templateTransforms - A hash of transform types to default options of the `template` transform.
+ *
  * (string)    transformType - The current transform type; default ('text').
  *
  * (object)    transforms - A hash with user supplied transforms to add to TransformControl.
@@ -47,7 +55,7 @@ import TransformControl from './transform/TransformControl.js';
  * invoked immediately with the resulting transformed data. The transformed results are added to the original data
  * returned by a given query with a new key `transformed` and returned as a Promise.
  *
- * Most methods take a hash of optional parameters. The four optional parameters that are supported include:
+ * Most methods take a hash of optional parameters. The optional parameters that are supported include:
  * ```
  * (string)    credential - A public access token with `public_repo` and `read:org` permissions for any GitHub
  * user which limits the responses to the organizations and other query data that this
@@ -55,9 +63,48 @@ import TransformControl from './transform/TransformControl.js';
  *
  * (boolean)   description - Add additional description info for all entries where available; default (false).
  *
+ * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+ *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+ *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+ *                      user categories.
+ *
+ * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+ *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+ *                      nested entries.
+ *
  * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
  *
+ * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+ *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+ *
+ * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+ *                         `asciidoc` and `rst` transforms render entries of a category.
+ *
+ * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+ *
+ * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+ *
+ * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+ *
  * (string)    transformType - Overrides current TransformControl transform type.
+ *
+ * (Writable)  writable - A writable stream that the transformed result is piped to.
+ * ```
+ *
+ * The `asciidoc`, `csv`, `dot`, `html`, `jsonl`, `markdown`, `mermaid`, `rst`, `template`, `text` and `tsv`
+ * transforms support streaming where the transformed result is emitted in chunks while the query data is traversed
+ * instead of being built as one string. When `writable` is provided the transformed result is streamed to it, so
+ * output may be piped to a file or HTTP response as it is generated:
+ * ```
+ * inspectTransform.getOrgRepoContributors({ writable: fs.createWriteStream('./contributors.html') }).then(...);
+ * ```
+ * Results from transforms that do not support streaming are written to `writable` in a single chunk.
+ *
+ * With a `snapshots` store the normalized data of each method call is persisted, so the history of a query may be
+ * listed, loaded and pruned with the store and any transform re-run over a stored snapshot with `transformSnapshot`
+ * without querying GitHub:
+ * ```
+ * inspectTransform.transformSnapshot('getOrgRepoCollaborators', { transformType: 'markdown' }).then(...);
  * ```
  *
  * Please review [./test/fixture](https://github.com/typhonjs-node-scm/typhonjs-github-inspect-orgs-transform/tree/master/test/fixture)
@@ -73,6 +120,14 @@ export default class GitHubInspectOrgsTransform
     * @param {object}   options - Optional parameters:
     * ```
     * optional:
+    * (string)    locale - A BCP 47 language tag selecting the message catalog of errors; please see `messages`.
+    *
+    * (object)    messages - Message overrides of errors; please see `messages`.
+    *
+    * (SnapshotStore) snapshots - Stores the normalized data of every method call unless `snapshot` is false.
+    *
+    * (object)    templateTransforms - A hash of transform types to default options of the `template` transform.
+    *
     * (string)    transformType - The current transform type; default ('text').
     *
     * (object)    transforms - A hash with user supplied transforms to add to TransformControl.
@@ -81,13 +136,18 @@ export default class GitHubInspectOrgsTransform
    constructor(githubInspect, options = {})
    {
       /* istanbul ignore if */
-      if (typeof githubInspect !== 'object')
+      if (typeof options !== 'object' || options === null)
       {
-         throw new TypeError(`initialize error: 'options.githubInspect' is not an 'object'.`);
+         throw new TypeError(s_OPTION_ERROR(messages(), 'initialize', 'options', 'type.object'));
       }
 
+      const message = messages(options);
+
       /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`initialize error: 'options' is not an 'object'.`); }
+      if (typeof githubInspect !== 'object')
+      {
+         throw new TypeError(s_OPTION_ERROR(message, 'initialize', 'options.githubInspect', 'type.object'));
+      }
 
       /**
        * The associated GitHubInspectOrgs instance.
@@ -96,6 +156,20 @@ export default class GitHubInspectOrgsTransform
        */
       this._githubInspect = githubInspect;
 
+      /* istanbul ignore if */
+      if (typeof options.snapshots !== 'undefined' &&
+       (typeof options.snapshots !== 'object' || typeof options.snapshots.save !== 'function'))
+      {
+         throw new TypeError(s_OPTION_ERROR(message, 'initialize', 'options.snapshots', 'type.snapshotStore'));
+      }
+
+      /**
+       * The optional snapshot store persisting normalized data of every method call.
+       * @type {SnapshotStore|null}
+       * @private
+       */
+      this._snapshotStore = typeof options.snapshots === 'object' ? options.snapshots : null;
+
       /**
        * The transform control which dispatches to currently selected transform.
        * @type {TransformControl}
@@ -118,9 +192,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getCollaborators
@@ -129,38 +227,11 @@ export default class GitHubInspectOrgsTransform
     */
    getCollaborators(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getCollaborators error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getCollaborators error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getCollaborators error: 'options.pipeFunction' is not a 'function'.`);
-      }
+      s_VALIDATE_OPTIONS('getCollaborators', options);
 
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getCollaborators(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getCollaborators(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getCollaborators', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -177,9 +248,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getContributors
@@ -188,38 +283,11 @@ export default class GitHubInspectOrgsTransform
     */
    getContributors(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getContributors error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getContributors error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getContributors error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
+      s_VALIDATE_OPTIONS('getContributors', options);
 
-      return this._githubInspect.getContributors(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getContributors(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getContributors', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -236,9 +304,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getMembers
@@ -247,38 +339,11 @@ export default class GitHubInspectOrgsTransform
     */
    getMembers(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getMembers error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getMembers error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getMembers error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
+      s_VALIDATE_OPTIONS('getMembers', options);
 
-      return this._githubInspect.getMembers(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getMembers(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getMembers', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -295,9 +360,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgMembers
@@ -306,38 +395,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgMembers(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgMembers error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgMembers error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgMembers error: 'options.pipeFunction' is not a 'function'.`);
-      }
+      s_VALIDATE_OPTIONS('getOrgMembers', options);
 
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgMembers(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgMembers(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgMembers', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -354,9 +416,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgRepos
@@ -365,38 +451,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgRepos(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgRepos error: 'options' is not an 'object'.`); }
+      s_VALIDATE_OPTIONS('getOrgRepos', options);
 
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgRepos error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgRepos error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgRepos(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgRepos(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgRepos', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -413,9 +472,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgRepoCollaborators
@@ -424,41 +507,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgRepoCollaborators(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getOrgRepoCollaborators error: 'options' is not an 'object'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgRepoCollaborators error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgRepoCollaborators error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgRepoCollaborators(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
+      s_VALIDATE_OPTIONS('getOrgRepoCollaborators', options);
 
-         return data;
-      });
+      return this._githubInspect.getOrgRepoCollaborators(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgRepoCollaborators', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -475,9 +528,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgRepoContributors
@@ -486,41 +563,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgRepoContributors(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getOrgRepoContributors error: 'options' is not an 'object'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgRepoContributors error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgRepoContributors error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgRepoContributors(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
+      s_VALIDATE_OPTIONS('getOrgRepoContributors', options);
 
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgRepoContributors(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgRepoContributors', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -537,9 +584,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgRepoStats
@@ -548,41 +619,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgRepoStats(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getOrgRepoStats error: options is not an 'object'.`);
-      }
+      s_VALIDATE_OPTIONS('getOrgRepoStats', options);
 
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgRepoStats error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgRepoStats error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgRepoStats(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgRepoStats(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgRepoStats', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -599,9 +640,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgTeams
@@ -610,38 +675,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgTeams(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgTeams error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgTeams error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgTeams error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgTeams(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
+      s_VALIDATE_OPTIONS('getOrgTeams', options);
 
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgTeams(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgTeams', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -658,9 +696,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgTeamMembers
@@ -669,41 +731,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgTeamMembers(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getOrgTeamMembers error: 'options' is not an 'object'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgTeamMembers error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgTeamMembers error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgTeamMembers(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
+      s_VALIDATE_OPTIONS('getOrgTeamMembers', options);
 
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgTeamMembers(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgTeamMembers', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -720,9 +752,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOrgs
@@ -731,38 +787,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOrgs(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOrgs error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOrgs error: 'options.description' is not a 'boolean'.`);
-      }
+      s_VALIDATE_OPTIONS('getOrgs', options);
 
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOrgs error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOrgs(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOrgs(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOrgs', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -775,9 +804,33 @@ export default class GitHubInspectOrgsTransform
     * optional:
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOwnerOrgs
@@ -786,38 +839,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOwnerOrgs(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOwnerOrgs error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOwnerOrgs error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOwnerOrgs error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOwnerOrgs().then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
+      s_VALIDATE_OPTIONS('getOwnerOrgs', options);
 
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOwnerOrgs()
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOwnerOrgs', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -830,9 +856,33 @@ export default class GitHubInspectOrgsTransform
     * optional:
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOwnerRateLimits
@@ -841,41 +891,11 @@ export default class GitHubInspectOrgsTransform
     */
    getOwnerRateLimits(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getOwnerRateLimits error: 'options' is not an 'object'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOwnerRateLimits error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOwnerRateLimits error: 'options.pipeFunction' is not a 'function'.`);
-      }
-
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
+      s_VALIDATE_OPTIONS('getOwnerRateLimits', options);
 
-      return this._githubInspect.getOwnerRateLimits().then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
+      return this._githubInspect.getOwnerRateLimits()
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOwnerRateLimits', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
    }
 
    /**
@@ -888,9 +908,33 @@ export default class GitHubInspectOrgsTransform
     * optional:
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getOwners
@@ -899,38 +943,21 @@ export default class GitHubInspectOrgsTransform
     */
    getOwners(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object') { throw new TypeError(`getOwners error: 'options' is not an 'object'.`); }
-
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
-      {
-         throw new TypeError(`getOwners error: 'options.description' is not a 'boolean'.`);
-      }
-
-      /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
-      {
-         throw new TypeError(`getOwners error: 'options.pipeFunction' is not a 'function'.`);
-      }
+      s_VALIDATE_OPTIONS('getOwners', options);
 
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getOwners().then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
-
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
-
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
+      return this._githubInspect.getOwners()
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getOwners', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
+   }
 
-         return data;
-      });
+   /**
+    * Returns any SnapshotStore provided with the `snapshots` option which lists, loads and prunes snapshots.
+    *
+    * @returns {SnapshotStore|null}
+    */
+   getSnapshotStore()
+   {
+      return this._snapshotStore;
    }
 
    /**
@@ -943,6 +970,44 @@ export default class GitHubInspectOrgsTransform
       return this._transformControl;
    }
 
+   /**
+    * Transforms the normalized data of a stored snapshot without querying GitHub returning an object with the
+    * `normalized` data, the `snapshot` entry and the transformed results under `transformed`. All transform options
+    * of the query methods such as `filter`, `pivot`, `transformType` and `writable` are supported. By default the
+    * latest snapshot of the method for the identity of `credential` is loaded.
+    *
+    * @param {string}   methodName - The GitHubInspectOrgsTransform method name of the snapshot.
+    *
+    * @param {object}   options - Optional parameters supported by the query methods and:
+    * ```
+    * (string)    identity - Loads a snapshot of this identity instead of the identity of `credential`.
+    *
+    * (Date|number|string) timestamp - Loads the snapshot with this timestamp or the latest snapshot taken at or before
+    *                                  it.
+    * ```
+    *
+    * @returns {Promise}
+    */
+   transformSnapshot(methodName, options = {})
+   {
+      /* istanbul ignore if */
+      if (this._snapshotStore === null)
+      {
+         throw new Error(messages(options)('error.noSnapshotStore', { method: 'transformSnapshot' }));
+      }
+
+      s_VALIDATE_OPTIONS('transformSnapshot', options);
+
+      return this._snapshotStore.load(methodName, options).then((snapshot) =>
+      {
+         const normalized = snapshot.normalized;
+
+         delete snapshot.normalized;
+
+         return s_TRANSFORM_DATA(this, { normalized, raw: [], snapshot }, options);
+      });
+   }
+
    /**
     * Transforms all normalized data from `GitHubInspectOrgs->getUserFromCredential` returning the original query data
     * including the transformed results under an added key `transformed`. In addition if an optional function,
@@ -957,9 +1022,33 @@ export default class GitHubInspectOrgsTransform
     *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories.
+    *
+    * (object)    filter - Removes entries before transforming with per category `include` / `exclude` name regular
+    *                      expressions and `where` field predicates; `dropEmpty` removes entries left without
+    *                      nested entries.
+    *
     * (function)  pipeFunction - A function that will be invoked with a single parameter with the transformed result.
     *
+    * (string)    pivot - Regroups the data by a category before transforming, for instance `contributors` for
+    *                     `contributors:orgs:repos`; duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category.
+    *
+    * (boolean)   snapshot - Stores the normalized data when a `snapshots` store is configured; default (true).
+    *
+    * (string|object) sort - Sorts the entries of each category by a key or `{ key, direction, categories }`.
+    *
+    * (boolean)   stream - The transformed result is a `stream.Readable` for transforms that support streaming.
+    *
     * (string)    transformType - Overrides current TransformControl transform type.
+    *
+    * (Writable)  writable - A writable stream that the transformed result is piped to; the Promise resolves after
+    *                        the transformed result is written.
     * ```
     *
     * @see https://www.npmjs.com/package/typhonjs-github-inspect-orgs#getUserFromCredential
@@ -968,40 +1057,196 @@ export default class GitHubInspectOrgsTransform
     */
    getUserFromCredential(options = {})
    {
-      /* istanbul ignore if */
-      if (typeof options !== 'object')
-      {
-         throw new TypeError(`getUserFromCredential error: 'options' is not an 'object'.`);
-      }
+      s_VALIDATE_OPTIONS('getUserFromCredential', options);
 
-      /* istanbul ignore if */
-      if (options.description && typeof options.description !== 'boolean')
+      return this._githubInspect.getUserFromCredential(options)
+       .then((data) => s_SAVE_SNAPSHOT(this, 'getUserFromCredential', data, options))
+        .then((data) => s_TRANSFORM_DATA(this, data, options));
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the `error.option` message of an invalid optional parameter of a query method.
+ *
+ * @param {function} message - Looks up a message.
+ * @param {string}   methodName - The invoking method name.
+ * @param {string}   name - The parameter name.
+ * @param {string}   expected - The message key of the expected type.
+ *
+ * @returns {string}
+ */
+const s_OPTION_ERROR = (message, methodName, name, expected) => message('error.option', { method: methodName, name,
+ expected: message(expected) });
+
+/**
+ * Stores the normalized data returned from a GitHubInspectOrgs query when a snapshot store is configured and
+ * `snapshot` is not false. The snapshot entry is added to `data` under a `snapshot` key. Snapshots are keyed by the
+ * identity of any `credential`, so the credential itself is never stored.
+ *
+ * @param {GitHubInspectOrgsTransform} inspectTransform - The GitHubInspectOrgsTransform instance.
+ * @param {string}                     methodName - The invoking method name.
+ * @param {object}                     data - The data returned from a GitHubInspectOrgs query.
+ * @param {object}                     options - Optional parameters.
+ *
+ * @returns {object|Promise}
+ */
+const s_SAVE_SNAPSHOT = (inspectTransform, methodName, data, options) =>
+{
+   const store = inspectTransform._snapshotStore;
+
+   if (store === null || options.snapshot === false) { return data; }
+
+   return store.save(methodName, data.normalized, { credential: options.credential }).then((snapshot) =>
+   {
+      data.snapshot = snapshot;
+      return data;
+   });
+};
+
+/**
+ * Transforms the normalized data returned from a GitHubInspectOrgs query. The transformed result is added to `data`
+ * under a `transformed` key. If `pipeFunction` is supplied it is invoked immediately with the transformed result and
+ * if `writable` is supplied the transformed result is streamed to it.
+ *
+ * @param {GitHubInspectOrgsTransform} inspectTransform - The GitHubInspectOrgsTransform instance.
+ * @param {object}                     data - The data returned from a GitHubInspectOrgs query.
+ * @param {object}                     options - Optional parameters.
+ *
+ * @returns {object|Promise}
+ */
+const s_TRANSFORM_DATA = (inspectTransform, data, options) =>
+{
+   const transformOptions = options.writable ? Object.assign({}, options, { stream: true }) : options;
+
+   // The filter stage prunes a copy of the normalized data, so the original query data is not modified.
+   const normalized = options.filter ? filterCategories(data.normalized, options.filter, options) :
+    data.normalized;
+
+   const result = inspectTransform._transformControl.transform(normalized, transformOptions);
+
+   // If a pipeFunction function is optionally supplied then pipe `result`.
+   /* istanbul ignore if */
+   if (options.pipeFunction) { options.pipeFunction.call(null, result); }
+
+   // Add transformed result under a `transformed` key with the original query data.
+   data.transformed = result;
+
+   if (options.writable) { return s_WRITE_RESULT(result, options.writable, options).then(() => data); }
+
+   return data;
+};
+
+/**
+ * Validates the optional parameters supported by all GitHubInspectOrgsTransform query methods and sets default values.
+ *
+ * @param {string}   methodName - The invoking method name used in error messages.
+ * @param {object}   options - Optional parameters.
+ */
+const s_VALIDATE_OPTIONS = (methodName, options) =>
+{
+   /* istanbul ignore if */
+   if (typeof options !== 'object' || options === null)
+   {
+      throw new TypeError(s_OPTION_ERROR(messages(), methodName, 'options', 'type.object'));
+   }
+
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (options.description && typeof options.description !== 'boolean')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.description', 'type.boolean'));
+   }
+
+   /* istanbul ignore if */
+   if (options.fields && typeof options.fields !== 'object')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.fields', 'type.object'));
+   }
+
+   /* istanbul ignore if */
+   if (options.filter && typeof options.filter !== 'object')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.filter', 'type.object'));
+   }
+
+   /* istanbul ignore if */
+   if (options.pipeFunction && typeof options.pipeFunction !== 'function')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.pipeFunction', 'type.function'));
+   }
+
+   /* istanbul ignore if */
+   if (options.pivot && typeof options.pivot !== 'string')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.pivot', 'type.string'));
+   }
+
+   /* istanbul ignore if */
+   if (options.renderers && typeof options.renderers !== 'object')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.renderers', 'type.object'));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.snapshot !== 'undefined' && typeof options.snapshot !== 'boolean')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.snapshot', 'type.boolean'));
+   }
+
+   /* istanbul ignore if */
+   if (options.stream && typeof options.stream !== 'boolean')
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.stream', 'type.boolean'));
+   }
+
+   /* istanbul ignore if */
+   if (options.writable && (typeof options.writable !== 'object' || typeof options.writable.write !== 'function'))
+   {
+      throw new TypeError(s_OPTION_ERROR(message, methodName, 'options.writable', 'type.writable'));
+   }
+
+   // Set default values if no optional parameters provided.
+   options.description = options.description || false;
+   options.pipeFunction = options.pipeFunction || undefined;
+};
+
+/**
+ * Writes a transformed result to a writable stream. A `stream.Readable` result is piped and any other result is
+ * written as a single chunk. The returned Promise resolves when the writable stream finishes or in the case of
+ * `process.stdout` / `process.stderr`, which are never ended, when all data has been piped.
+ *
+ * @param {string|stream.Readable}  result - The transformed result.
+ * @param {Writable}                writable - The target writable stream.
+ * @param {object}                  options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {Promise}
+ */
+const s_WRITE_RESULT = (result, writable, options) =>
+{
+   return new Promise((resolve, reject) =>
+   {
+      let readable = result;
+
+      if (typeof result === 'string')
       {
-         throw new TypeError(`getUserFromCredential error: 'options.description' is not a 'boolean'.`);
+         readable = new stream.Readable({ read() { this.push(result); this.push(null); } });
       }
 
       /* istanbul ignore if */
-      if (options.pipeFunction && typeof options.pipeFunction !== 'function')
+      if (typeof readable !== 'object' || typeof readable.pipe !== 'function')
       {
-         throw new TypeError(`getUserFromCredential error: 'options.pipeFunction' is not a 'function'.`);
+         throw new TypeError(s_OPTION_ERROR(messages(options), 'write', 'result', 'type.stringOrReadable'));
       }
 
-      // Set default values if no optional parameters provided.
-      options.description = options.description || false;
-      options.pipeFunction = options.pipeFunction || undefined;
-
-      return this._githubInspect.getUserFromCredential(options).then((data) =>
-      {
-         const result = this._transformControl.transform(data.normalized, options);
+      readable.on('error', reject);
+      writable.on('error', reject);
 
-         // If a pipeFunction function is optionally supplied then pipe `result`.
-         /* istanbul ignore if */
-         if (options.pipeFunction) { options.pipeFunction.call(null, result); }
+      if (writable === process.stdout || writable === process.stderr) { readable.on('end', resolve); }
+      else { writable.on('finish', resolve); }
 
-         // Add transformed result under a `transformed` key with the original query data.
-         data.transformed = result;
-
-         return data;
-      });
-   }
-}
\ No newline at end of file
+      readable.pipe(writable);
+   });
+};
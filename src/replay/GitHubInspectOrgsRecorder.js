@@ -0,0 +1,298 @@
+'use strict';
+
+import fs                  from 'fs';
+
+import getReplayFilePath   from './getReplayFilePath.js';
+
+/**
+ * GitHubInspectOrgsRecorder - Wraps a live GitHubInspectOrgs instance and records the `normalized` and `raw` response
+ * of every query to a directory as JSON. The recorded files may later be served by GitHubInspectOrgsReplay. The
+ * recorder implements every query method that GitHubInspectOrgsTransform invokes, so it may be injected into the
+ * constructor of GitHubInspectOrgsTransform directly:
+ *
+ * ```
+ * import GitHubInspectOrgs          from 'typhonjs-github-inspect-orgs';
+ * import GitHubInspectOrgsRecorder  from 'typhonjs-github-inspect-orgs-transform/dist/replay/GitHubInspectOrgsRecorder';
+ * import GitHubInspectOrgsTransform from 'typhonjs-github-inspect-orgs-transform';
+ *
+ * const githubInspect = new GitHubInspectOrgs({ organizations: [...] });
+ * const recorder = new GitHubInspectOrgsRecorder(githubInspect, { directory: './recorded' });
+ *
+ * const inspectTransform = new GitHubInspectOrgsTransform(recorder);
+ * ```
+ *
+ * Please note that the target directory must already exist.
+ */
+export default class GitHubInspectOrgsRecorder
+{
+   /**
+    * Initializes GitHubInspectOrgsRecorder.
+    *
+    * @param {object}   githubInspect - An instance of GitHubInspectOrgs.
+    *
+    * @param {object}   options - Parameters:
+    * ```
+    * required:
+    * (string)    directory - The directory where responses are recorded.
+    *
+    * optional:
+    * (string)    filePostfix - The file postfix / extension of recorded responses; default ('.json').
+    * ```
+    */
+   constructor(githubInspect, options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof githubInspect !== 'object') { throw new TypeError(`ctor error: 'githubInspect' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.directory !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.directory' is not a 'string'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.filePostfix !== 'undefined' && typeof options.filePostfix !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.filePostfix' is not a 'string'.`);
+      }
+
+      /**
+       * The wrapped GitHubInspectOrgs instance.
+       * @type {object}
+       * @private
+       */
+      this._githubInspect = githubInspect;
+
+      /**
+       * The directory where responses are recorded.
+       * @type {string}
+       * @private
+       */
+      this._directory = options.directory;
+
+      /**
+       * The file postfix / extension of recorded responses.
+       * @type {string}
+       * @private
+       */
+      this._filePostfix = typeof options.filePostfix === 'string' ? options.filePostfix : '.json';
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getCollaborators`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getCollaborators(options = {})
+   {
+      return s_RECORD(this, 'getCollaborators', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getContributors`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getContributors(options = {})
+   {
+      return s_RECORD(this, 'getContributors', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getMembers`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getMembers(options = {})
+   {
+      return s_RECORD(this, 'getMembers', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgMembers`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgMembers(options = {})
+   {
+      return s_RECORD(this, 'getOrgMembers', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgRepos`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepos(options = {})
+   {
+      return s_RECORD(this, 'getOrgRepos', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgRepoCollaborators`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepoCollaborators(options = {})
+   {
+      return s_RECORD(this, 'getOrgRepoCollaborators', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgRepoContributors`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepoContributors(options = {})
+   {
+      return s_RECORD(this, 'getOrgRepoContributors', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgRepoStats`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepoStats(options = {})
+   {
+      return s_RECORD(this, 'getOrgRepoStats', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgTeams`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgTeams(options = {})
+   {
+      return s_RECORD(this, 'getOrgTeams', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgTeamMembers`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgTeamMembers(options = {})
+   {
+      return s_RECORD(this, 'getOrgTeamMembers', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOrgs`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getOrgs(options = {})
+   {
+      return s_RECORD(this, 'getOrgs', options);
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOwnerOrgs`.
+    *
+    * @returns {Promise}
+    */
+   getOwnerOrgs()
+   {
+      return s_RECORD(this, 'getOwnerOrgs');
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOwnerRateLimits`.
+    *
+    * @returns {Promise}
+    */
+   getOwnerRateLimits()
+   {
+      return s_RECORD(this, 'getOwnerRateLimits');
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getOwners`.
+    *
+    * @returns {Promise}
+    */
+   getOwners()
+   {
+      return s_RECORD(this, 'getOwners');
+   }
+
+   /**
+    * Records `GitHubInspectOrgs->getUserFromCredential`.
+    *
+    * @param {object}   options - Optional parameters forwarded to GitHubInspectOrgs.
+    *
+    * @returns {Promise}
+    */
+   getUserFromCredential(options = {})
+   {
+      return s_RECORD(this, 'getUserFromCredential', options);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Invokes the given method of the wrapped GitHubInspectOrgs instance and writes the `normalized` and `raw` response to
+ * the recording directory before resolving with the response. When `options` is undefined the wrapped method is
+ * invoked without arguments mirroring methods such as `getOwners` which take no options.
+ *
+ * @param {GitHubInspectOrgsRecorder}  recorder - The recorder instance.
+ * @param {string}                     methodName - The GitHubInspectOrgs method name being recorded.
+ * @param {object}                     [options] - The options passed to the method.
+ *
+ * @returns {Promise}
+ */
+const s_RECORD = (recorder, methodName, options) =>
+{
+   /* istanbul ignore if */
+   if (typeof options !== 'undefined' && typeof options !== 'object')
+   {
+      throw new TypeError(`${methodName} error: 'options' is not an 'object'.`);
+   }
+
+   // Resolve the file path before invoking GitHubInspectOrgs as it may modify `options`.
+   const filePath = getReplayFilePath(recorder._directory, methodName, options || {}, recorder._filePostfix);
+
+   const query = typeof options === 'object' ? recorder._githubInspect[methodName](options) :
+    recorder._githubInspect[methodName]();
+
+   return query.then((data) =>
+   {
+      return new Promise((resolve, reject) =>
+      {
+         fs.writeFile(filePath, JSON.stringify({ normalized: data.normalized, raw: data.raw }), 'utf-8', (err) =>
+         {
+            /* istanbul ignore if */
+            if (err) { reject(err); }
+            else { resolve(data); }
+         });
+      });
+   });
+};
@@ -0,0 +1,294 @@
+'use strict';
+
+import fs                  from 'fs';
+
+import getReplayFilePath   from './getReplayFilePath.js';
+
+/**
+ * GitHubInspectOrgsReplay - Provides an offline stand-in for GitHubInspectOrgs which serves previously recorded
+ * responses from JSON files. It implements every query method that GitHubInspectOrgsTransform invokes and may be
+ * injected into the constructor of GitHubInspectOrgsTransform in place of a live GitHubInspectOrgs instance. This is
+ * useful for testing without GitHub credentials and for developing new transforms against recorded data.
+ *
+ * Responses are recorded by GitHubInspectOrgsRecorder as an object hash with `normalized` and `raw` entries. Files
+ * that only contain normalized data such as the `*-json-with-desc.txt` files in `./test/fixture` are also supported in
+ * which case `raw` is an empty array; the plain `*-json.txt` fixtures do not include descriptions.
+ *
+ * ```
+ * import GitHubInspectOrgsReplay    from 'typhonjs-github-inspect-orgs-transform/dist/replay/GitHubInspectOrgsReplay';
+ * import GitHubInspectOrgsTransform from 'typhonjs-github-inspect-orgs-transform';
+ *
+ * const githubInspect = new GitHubInspectOrgsReplay({ directory: './test/fixture',
+ *  filePostfix: '-json-with-desc.txt' });
+ *
+ * const inspectTransform = new GitHubInspectOrgsTransform(githubInspect);
+ * ```
+ *
+ * Please see `getReplayFilePath` for the naming scheme of recorded files.
+ */
+export default class GitHubInspectOrgsReplay
+{
+   /**
+    * Initializes GitHubInspectOrgsReplay.
+    *
+    * @param {object}   options - Parameters:
+    * ```
+    * required:
+    * (string)    directory - The directory containing recorded responses.
+    *
+    * optional:
+    * (string)    filePostfix - The file postfix / extension of recorded responses; default ('.json').
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object') { throw new TypeError(`ctor error: 'options' is not an 'object'.`); }
+
+      /* istanbul ignore if */
+      if (typeof options.directory !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.directory' is not a 'string'.`);
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.filePostfix !== 'undefined' && typeof options.filePostfix !== 'string')
+      {
+         throw new TypeError(`ctor error: 'options.filePostfix' is not a 'string'.`);
+      }
+
+      /**
+       * The directory containing recorded responses.
+       * @type {string}
+       * @private
+       */
+      this._directory = options.directory;
+
+      /**
+       * The file postfix / extension of recorded responses.
+       * @type {string}
+       * @private
+       */
+      this._filePostfix = typeof options.filePostfix === 'string' ? options.filePostfix : '.json';
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getCollaborators`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getCollaborators(options = {})
+   {
+      return s_REPLAY(this, 'getCollaborators', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getContributors`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getContributors(options = {})
+   {
+      return s_REPLAY(this, 'getContributors', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getMembers`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getMembers(options = {})
+   {
+      return s_REPLAY(this, 'getMembers', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgMembers`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgMembers(options = {})
+   {
+      return s_REPLAY(this, 'getOrgMembers', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgRepos`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepos(options = {})
+   {
+      return s_REPLAY(this, 'getOrgRepos', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgRepoCollaborators`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepoCollaborators(options = {})
+   {
+      return s_REPLAY(this, 'getOrgRepoCollaborators', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgRepoContributors`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepoContributors(options = {})
+   {
+      return s_REPLAY(this, 'getOrgRepoContributors', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgRepoStats`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgRepoStats(options = {})
+   {
+      return s_REPLAY(this, 'getOrgRepoStats', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgTeams`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgTeams(options = {})
+   {
+      return s_REPLAY(this, 'getOrgTeams', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgTeamMembers`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgTeamMembers(options = {})
+   {
+      return s_REPLAY(this, 'getOrgTeamMembers', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOrgs`.
+    *
+    * @param {object}   options - Optional parameters; `credential` selects the `-user` recording.
+    *
+    * @returns {Promise}
+    */
+   getOrgs(options = {})
+   {
+      return s_REPLAY(this, 'getOrgs', options);
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOwnerOrgs`.
+    *
+    * @returns {Promise}
+    */
+   getOwnerOrgs()
+   {
+      return s_REPLAY(this, 'getOwnerOrgs', {});
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOwnerRateLimits`.
+    *
+    * @returns {Promise}
+    */
+   getOwnerRateLimits()
+   {
+      return s_REPLAY(this, 'getOwnerRateLimits', {});
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getOwners`.
+    *
+    * @returns {Promise}
+    */
+   getOwners()
+   {
+      return s_REPLAY(this, 'getOwners', {});
+   }
+
+   /**
+    * Replays `GitHubInspectOrgs->getUserFromCredential`.
+    *
+    * @param {object}   options - Optional parameters.
+    *
+    * @returns {Promise}
+    */
+   getUserFromCredential(options = {})
+   {
+      return s_REPLAY(this, 'getUserFromCredential', options);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Loads the recorded response for the given method returning a Promise resolved with a new copy of `normalized` and
+ * `raw` data for each invocation, so that callers may freely modify the results.
+ *
+ * @param {GitHubInspectOrgsReplay} replay - The replay instance.
+ * @param {string}                  methodName - The GitHubInspectOrgs method name being replayed.
+ * @param {object}                  options - The options passed to the method.
+ *
+ * @returns {Promise}
+ */
+const s_REPLAY = (replay, methodName, options) =>
+{
+   /* istanbul ignore if */
+   if (typeof options !== 'object') { throw new TypeError(`${methodName} error: 'options' is not an 'object'.`); }
+
+   const filePath = getReplayFilePath(replay._directory, methodName, options, replay._filePostfix);
+
+   return new Promise((resolve, reject) =>
+   {
+      fs.readFile(filePath, 'utf-8', (err, contents) =>
+      {
+         if (err)
+         {
+            reject(new Error(`${methodName} error: no recorded response found at '${filePath}'.`));
+            return;
+         }
+
+         let data;
+
+         try { data = JSON.parse(contents); }
+         catch (parseErr)
+         {
+            reject(new Error(`${methodName} error: could not parse recorded response at '${filePath}'.`));
+            return;
+         }
+
+         // Files recorded by GitHubInspectOrgsRecorder contain `normalized` and `raw` entries; otherwise the file only
+         // contains normalized data.
+         resolve(typeof data.normalized === 'object' ? { normalized: data.normalized, raw: data.raw || [] } :
+          { normalized: data, raw: [] });
+      });
+   });
+};
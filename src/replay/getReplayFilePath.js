@@ -0,0 +1,60 @@
+'use strict';
+
+import path from 'path';
+
+/**
+ * Provides a function returning the file path where the response of a given GitHubInspectOrgs method is recorded or
+ * replayed from. The file names mirror those found in `./test/fixture`, so for instance `getOrgRepos` invoked without a
+ * credential resolves to `github-get-org-repos-all<filePostfix>` and with a credential resolves to
+ * `github-get-org-repos-user<filePostfix>`. Methods which do not take a credential such as `getOwners` have no `-all`
+ * / `-user` suffix.
+ *
+ * @param {string}   directory - The directory containing recorded responses.
+ * @param {string}   methodName - The GitHubInspectOrgs method name.
+ * @param {object}   options - The options passed to the GitHubInspectOrgs method.
+ * @param {string}   filePostfix - The file postfix / extension appended to the file name.
+ *
+ * @returns {string}
+ */
+export default function(directory, methodName, options, filePostfix)
+{
+   const fileData = s_METHOD_FILE_DATA[methodName];
+
+   /* istanbul ignore if */
+   if (typeof fileData === 'undefined')
+   {
+      throw new Error(`getReplayFilePath error: unknown method '${methodName}'.`);
+   }
+
+   let fileName = fileData.prefix;
+
+   if (fileData.credential) { fileName += typeof options.credential === 'string' ? '-user' : '-all'; }
+
+   return path.join(directory, `${fileName}${filePostfix}`);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the file name prefix for each method and whether the file name varies by the presence of a credential.
+ *
+ * @type {object}
+ */
+const s_METHOD_FILE_DATA =
+{
+   getCollaborators: { prefix: 'github-get-collaborators', credential: true },
+   getContributors: { prefix: 'github-get-contributors', credential: true },
+   getMembers: { prefix: 'github-get-members', credential: true },
+   getOrgMembers: { prefix: 'github-get-org-members', credential: true },
+   getOrgRepos: { prefix: 'github-get-org-repos', credential: true },
+   getOrgRepoCollaborators: { prefix: 'github-get-org-repo-collaborators', credential: true },
+   getOrgRepoContributors: { prefix: 'github-get-org-repo-contributors', credential: true },
+   getOrgRepoStats: { prefix: 'github-get-org-repo-stats', credential: true },
+   getOrgTeams: { prefix: 'github-get-org-teams', credential: true },
+   getOrgTeamMembers: { prefix: 'github-get-org-team-members', credential: true },
+   getOrgs: { prefix: 'github-get-orgs', credential: true },
+   getOwnerOrgs: { prefix: 'github-get-owner-orgs', credential: false },
+   getOwnerRateLimits: { prefix: 'github-get-owners-rate-limit', credential: false },
+   getOwners: { prefix: 'github-get-owners', credential: false },
+   getUserFromCredential: { prefix: 'github-get-user-from-credential', credential: false }
+};
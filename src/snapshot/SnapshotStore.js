@@ -0,0 +1,518 @@
+'use strict';
+
+import crypto              from 'crypto';
+import fs                  from 'fs';
+import path                from 'path';
+
+import messages            from '../transform/messages.js';
+import stripVolatileData   from './stripVolatileData.js';
+
+/**
+ * SnapshotStore - Persists normalized data of GitHubInspectOrgs queries to a local directory as JSON, so that the
+ * history of a query may be listed, loaded, compared and pruned later without querying GitHub. Each snapshot is keyed
+ * by the method name, a credential identity and a timestamp and is stored as
+ * `<methodName>.<identity>.<timestamp>.json`; a `-<sequence>` suffix is added before `.json` for snapshots of the same
+ * method and identity saved within one millisecond.
+ *
+ * The identity is `all` for queries without a credential like the `-all` fixtures and otherwise `user-` followed by a
+ * hash of the credential, so credentials are never written to disk. An explicit `identity` such as a user login may
+ * be provided instead.
+ *
+ * A SnapshotStore may be provided to GitHubInspectOrgsTransform with the `snapshots` option which stores the
+ * normalized data of every method call:
+ * ```
+ * import GitHubInspectOrgsTransform from 'typhonjs-github-inspect-orgs-transform';
+ * import SnapshotStore              from 'typhonjs-github-inspect-orgs-transform/dist/snapshot/SnapshotStore';
+ *
+ * const inspectTransform = new GitHubInspectOrgsTransform(githubInspect,
+ *  { snapshots: new SnapshotStore({ directory: './snapshots', normalize: true }) });
+ * ```
+ *
+ * Please note that the target directory must already exist.
+ */
+export default class SnapshotStore
+{
+   /**
+    * Initializes SnapshotStore.
+    *
+    * @param {object}   options - Parameters:
+    * ```
+    * required:
+    * (string)    directory - The directory where snapshots are stored.
+    *
+    * optional:
+    * (boolean|function) normalize - Strips volatile fields before storing with `stripVolatileData` when true or
+    *                                invokes a function with a copy of the normalized data returning the data to store;
+    *                                default (false).
+    *
+    * (string)    locale - A BCP 47 language tag selecting the message catalog of errors; please see `messages`.
+    *
+    * (object)    messages - Message overrides of errors; please see `messages`.
+    * ```
+    */
+   constructor(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object' || options === null)
+      {
+         throw new TypeError(s_ERROR(messages(), 'ctor', 'options', 'type.object'));
+      }
+
+      /**
+       * Looks up error messages.
+       * @type {function(key: string, values: object): string}
+       * @private
+       */
+      this._message = messages(options);
+
+      /* istanbul ignore if */
+      if (typeof options.directory !== 'string')
+      {
+         throw new TypeError(s_ERROR(this._message, 'ctor', 'options.directory', 'type.string'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.normalize !== 'undefined' && typeof options.normalize !== 'boolean' &&
+       typeof options.normalize !== 'function')
+      {
+         throw new TypeError(s_ERROR(this._message, 'ctor', 'options.normalize', 'type.booleanOrFunction'));
+      }
+
+      /**
+       * The directory where snapshots are stored.
+       * @type {string}
+       * @private
+       */
+      this._directory = options.directory;
+
+      /**
+       * The normalizer applied to a copy of normalized data before storing.
+       * @type {function|null}
+       * @private
+       */
+      this._normalize = typeof options.normalize === 'function' ? options.normalize :
+       options.normalize === true ? s_STRIP_VOLATILE_DATA(options) : null;
+   }
+
+   /**
+    * Returns the directory where snapshots are stored.
+    *
+    * @returns {string}
+    */
+   getDirectory()
+   {
+      return this._directory;
+   }
+
+   /**
+    * Returns the snapshot identity for the given options.
+    *
+    * @param {object}   options - Optional parameters:
+    * ```
+    * (string)    credential - A credential which is hashed.
+    *
+    * (string)    identity - An explicit identity which takes precedence over `credential`.
+    * ```
+    *
+    * @returns {string}
+    */
+   getIdentity(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(s_ERROR(this._message, 'getIdentity', 'options', 'type.object'));
+      }
+
+      if (typeof options.identity === 'string')
+      {
+         /* istanbul ignore if */
+         if (!s_IDENTITY_REGEX.test(options.identity))
+         {
+            throw new TypeError(this._message('error.identity', { method: 'getIdentity', name: 'options.identity' }));
+         }
+
+         return options.identity;
+      }
+
+      if (typeof options.credential === 'string')
+      {
+         return `user-${crypto.createHash('sha256').update(options.credential).digest('hex').substring(0, 16)}`;
+      }
+
+      return 'all';
+   }
+
+   /**
+    * Lists stored snapshots sorted by timestamp from oldest to newest.
+    *
+    * @param {object}   options - Optional parameters:
+    * ```
+    * (string)    credential - Only lists snapshots of the identity of this credential.
+    *
+    * (string)    identity - Only lists snapshots of this identity.
+    *
+    * (string)    methodName - Only lists snapshots of this method.
+    * ```
+    *
+    * @returns {Promise<Array<{methodName: string, identity: string, timestamp: Date, filePath: string}>>}
+    */
+   list(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(s_ERROR(this._message, 'list', 'options', 'type.object'));
+      }
+
+      const identity = typeof options.identity === 'string' || typeof options.credential === 'string' ?
+       this.getIdentity(options) : null;
+
+      const methodName = typeof options.methodName === 'string' ? options.methodName : null;
+
+      return new Promise((resolve, reject) =>
+      {
+         fs.readdir(this._directory, (err, files) =>
+         {
+            /* istanbul ignore if */
+            if (err) { reject(err); return; }
+
+            const snapshots = [];
+
+            for (const file of files)
+            {
+               const snapshot = s_PARSE_FILE_NAME(this._directory, file);
+
+               if (snapshot === null) { continue; }
+               if (methodName !== null && snapshot.methodName !== methodName) { continue; }
+               if (identity !== null && snapshot.identity !== identity) { continue; }
+
+               snapshots.push(snapshot);
+            }
+
+            // Snapshots saved within the same millisecond are ordered by their sequence.
+            snapshots.sort((a, b) => a.timestamp - b.timestamp || s_SEQUENCE(a.filePath) - s_SEQUENCE(b.filePath));
+
+            resolve(snapshots);
+         });
+      });
+   }
+
+   /**
+    * Loads the normalized data of a stored snapshot. By default the latest snapshot of the method and identity is
+    * loaded.
+    *
+    * @param {string}   methodName - The GitHubInspectOrgs method name.
+    *
+    * @param {object}   options - Optional parameters:
+    * ```
+    * (string)    credential - Loads a snapshot of the identity of this credential.
+    *
+    * (string)    identity - Loads a snapshot of this identity; default ('all').
+    *
+    * (Date|number|string) timestamp - Loads the snapshot with this timestamp or the latest snapshot taken at or before
+    *                                  it.
+    * ```
+    *
+    * @returns {Promise<{methodName: string, identity: string, timestamp: Date, filePath: string, normalized: object}>}
+    */
+   load(methodName, options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof methodName !== 'string')
+      {
+         throw new TypeError(s_ERROR(this._message, 'load', 'methodName', 'type.string'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(s_ERROR(this._message, 'load', 'options', 'type.object'));
+      }
+
+      const identity = this.getIdentity(options);
+      const timestamp = typeof options.timestamp !== 'undefined' ?
+       s_TIMESTAMP(this._message, 'load', 'timestamp', options.timestamp) : null;
+
+      return this.list({ methodName, identity }).then((snapshots) =>
+      {
+         const candidates = timestamp !== null ? snapshots.filter((snapshot) => snapshot.timestamp <= timestamp) :
+          snapshots;
+
+         if (candidates.length === 0)
+         {
+            throw new Error(this._message('error.noSnapshot', { method: 'load', methodName, identity }));
+         }
+
+         const snapshot = candidates[candidates.length - 1];
+
+         return new Promise((resolve, reject) =>
+         {
+            fs.readFile(snapshot.filePath, 'utf-8', (err, contents) =>
+            {
+               /* istanbul ignore if */
+               if (err) { reject(err); return; }
+
+               try
+               {
+                  resolve(Object.assign({}, snapshot, { normalized: JSON.parse(contents).normalized }));
+               }
+               catch (parseErr)
+               {
+                  /* istanbul ignore next */
+                  reject(parseErr);
+               }
+            });
+         });
+      });
+   }
+
+   /**
+    * Removes stored snapshots. Without `keep` or `before` all matching snapshots are removed.
+    *
+    * @param {object}   options - Optional parameters:
+    * ```
+    * (Date|number|string) before - Only removes snapshots taken before this time.
+    *
+    * (string)    credential - Only removes snapshots of the identity of this credential.
+    *
+    * (string)    identity - Only removes snapshots of this identity.
+    *
+    * (number)    keep - Keeps this many of the latest snapshots of each method and identity.
+    *
+    * (string)    methodName - Only removes snapshots of this method.
+    * ```
+    *
+    * @returns {Promise<Array<{methodName: string, identity: string, timestamp: Date, filePath: string}>>} The removed
+    *          snapshots.
+    */
+   prune(options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(s_ERROR(this._message, 'prune', 'options', 'type.object'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.keep !== 'undefined' && (!Number.isInteger(options.keep) || options.keep < 0))
+      {
+         throw new TypeError(s_ERROR(this._message, 'prune', 'options.keep', 'type.nonNegativeInteger'));
+      }
+
+      const before = typeof options.before !== 'undefined' ?
+       s_TIMESTAMP(this._message, 'prune', 'before', options.before) : null;
+      const keep = typeof options.keep === 'number' ? options.keep : 0;
+
+      return this.list(options).then((snapshots) =>
+      {
+         // Group by method and identity keeping the latest `keep` snapshots of each.
+         const groups = new Map();
+
+         for (const snapshot of snapshots)
+         {
+            const key = `${snapshot.methodName}.${snapshot.identity}`;
+
+            if (!groups.has(key)) { groups.set(key, []); }
+
+            groups.get(key).push(snapshot);
+         }
+
+         const removed = [];
+
+         for (const group of groups.values())
+         {
+            for (const snapshot of group.slice(0, Math.max(0, group.length - keep)))
+            {
+               if (before === null || snapshot.timestamp < before) { removed.push(snapshot); }
+            }
+         }
+
+         return Promise.all(removed.map((snapshot) => new Promise((resolve, reject) =>
+         {
+            fs.unlink(snapshot.filePath, (err) =>
+            {
+               /* istanbul ignore if */
+               if (err) { reject(err); }
+               else { resolve(); }
+            });
+         }))).then(() => removed);
+      });
+   }
+
+   /**
+    * Stores a copy of normalized data as a snapshot.
+    *
+    * @param {string}   methodName - The GitHubInspectOrgs method name.
+    *
+    * @param {object}   normalized - Normalized data returned from the method.
+    *
+    * @param {object}   options - Optional parameters:
+    * ```
+    * (string)    credential - The credential passed to the method which is hashed as the identity.
+    *
+    * (string)    identity - An explicit identity which takes precedence over `credential`.
+    *
+    * (Date|number|string) timestamp - The time of the snapshot; default (now).
+    * ```
+    * An existing snapshot is never overwritten; a snapshot with the same method, identity and timestamp as a stored
+    * snapshot receives the next `-<sequence>` suffix before `.json`.
+    *
+    * @returns {Promise<{methodName: string, identity: string, timestamp: Date, filePath: string}>}
+    */
+   save(methodName, normalized, options = {})
+   {
+      /* istanbul ignore if */
+      if (typeof methodName !== 'string' || !s_METHOD_REGEX.test(methodName))
+      {
+         throw new TypeError(s_ERROR(this._message, 'save', 'methodName', 'type.methodName'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof normalized !== 'object' || normalized === null)
+      {
+         throw new TypeError(s_ERROR(this._message, 'save', 'normalized', 'type.object'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options !== 'object')
+      {
+         throw new TypeError(s_ERROR(this._message, 'save', 'options', 'type.object'));
+      }
+
+      const identity = this.getIdentity(options);
+      const timestamp = typeof options.timestamp !== 'undefined' ?
+       s_TIMESTAMP(this._message, 'save', 'timestamp', options.timestamp) : new Date();
+
+      // The normalizer receives a copy, so the query data returned to the caller is not modified.
+      const copy = JSON.parse(JSON.stringify(normalized));
+      const data = this._normalize !== null ? this._normalize(copy) : copy;
+
+      const baseName = `${methodName}.${identity}.${timestamp.toISOString().replace(/[:.]/g, '-')}`;
+
+      const contents = JSON.stringify({ methodName, identity, timestamp: timestamp.toISOString(), normalized: data });
+
+      return new Promise((resolve, reject) =>
+      {
+         // The `wx` flag fails instead of overwriting an existing snapshot, so the next sequence is tried.
+         const write = (sequence) =>
+         {
+            const filePath = path.join(this._directory, `${baseName}${sequence > 0 ? `-${sequence}` : ''}.json`);
+
+            fs.writeFile(filePath, contents, { encoding: 'utf-8', flag: 'wx' }, (err) =>
+            {
+               if (err && err.code === 'EEXIST') { write(sequence + 1); }
+               /* istanbul ignore if */
+               else if (err) { reject(err); }
+               else { resolve({ methodName, identity, timestamp, filePath }); }
+            });
+         };
+
+         write(0);
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the `error.option` message of an invalid parameter.
+ *
+ * @param {function} message - Looks up a message.
+ * @param {string}   method - The method name.
+ * @param {string}   name - The parameter name.
+ * @param {string}   expected - The message key of the expected type.
+ *
+ * @returns {string}
+ */
+const s_ERROR = (message, method, name, expected) => message('error.option', { method, name,
+ expected: message(expected) });
+
+/**
+ * Parses a snapshot file name returning the snapshot entry or `null` for other files.
+ *
+ * @param {string}   directory - The directory where snapshots are stored.
+ * @param {string}   file - A file name.
+ *
+ * @returns {{methodName: string, identity: string, timestamp: Date, filePath: string}|null}
+ */
+const s_PARSE_FILE_NAME = (directory, file) =>
+{
+   const match = s_FILE_REGEX.exec(file);
+
+   if (match === null) { return null; }
+
+   const timestamp = new Date(`${match[3]}T${match[4]}:${match[5]}:${match[6]}.${match[7]}Z`);
+
+   if (isNaN(timestamp.getTime())) { return null; }
+
+   return { methodName: match[1], identity: match[2], timestamp, filePath: path.join(directory, file) };
+};
+
+/**
+ * Returns the sequence of a snapshot file saved within the same millisecond as another snapshot; 0 for the first.
+ *
+ * @param {string}   filePath - A snapshot file path.
+ *
+ * @returns {number}
+ */
+const s_SEQUENCE = (filePath) =>
+{
+   const match = s_FILE_REGEX.exec(path.basename(filePath));
+
+   return match !== null && typeof match[8] === 'string' ? Number(match[8]) : 0;
+};
+
+/**
+ * Returns the default normalizer stripping volatile fields with `stripVolatileData` and error messages of `options`.
+ *
+ * @param {object}   options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {function(data: object): object}
+ */
+const s_STRIP_VOLATILE_DATA = (options) => (data) => stripVolatileData(data, void 0, options);
+
+/**
+ * Converts a `Date`, epoch milliseconds or date string to a `Date`.
+ *
+ * @param {function}             message - Looks up error messages.
+ * @param {string}               methodName - The invoking method name used in error messages.
+ * @param {string}               optionName - The option name used in error messages.
+ * @param {Date|number|string}   value - A time.
+ *
+ * @returns {Date}
+ */
+const s_TIMESTAMP = (message, methodName, optionName, value) =>
+{
+   const timestamp = value instanceof Date ? value : new Date(value);
+
+   /* istanbul ignore if */
+   if ((typeof value !== 'number' && typeof value !== 'string' && !(value instanceof Date)) ||
+    isNaN(timestamp.getTime()))
+   {
+      throw new TypeError(s_ERROR(message, methodName, `options.${optionName}`, 'type.time'));
+   }
+
+   return timestamp;
+};
+
+/**
+ * Matches snapshot file names `<methodName>.<identity>.<YYYY-MM-DD>T<hh>-<mm>-<ss>-<mmm>Z[-<sequence>].json`.
+ *
+ * @type {RegExp}
+ */
+const s_FILE_REGEX = /^([A-Za-z]+)\.([\w-]+)\.(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(?:-(\d+))?\.json$/;
+
+/**
+ * Validates explicit identities.
+ *
+ * @type {RegExp}
+ */
+const s_IDENTITY_REGEX = /^[\w-]+$/;
+
+/**
+ * Validates method names.
+ *
+ * @type {RegExp}
+ */
+const s_METHOD_REGEX = /^[A-Za-z]+$/;
@@ -0,0 +1,101 @@
+'use strict';
+
+import messages from '../transform/messages.js';
+
+/**
+ * Provides a normalizer which strips volatile fields that change between otherwise identical queries from normalized
+ * data returned from GitHubInspectOrgs, so that results may be compared or stored as stable snapshots. The data is
+ * modified in place and returned.
+ *
+ * By default strips:
+ * ```
+ * data.timestamp
+ *
+ * repos -> 'updated_at', 'pushed_at', 'stargazers_count', 'watchers_count'
+ *
+ * ratelimit -> 'core.limit', 'core.remaining', 'core.reset', 'search.limit', 'search.remaining', 'search.reset'
+ * ```
+ *
+ * Entries of each category are found by traversing `data.categories`, so the fields are stripped at any depth; for
+ * instance the repos of `orgs:repos` and `owners:orgs:repos`.
+ *
+ * @param {object}   data - Normalized data to strip.
+ * @param {object}   volatileFields - A hash of category names to an array of field names to strip; nested fields are
+ *                                    separated by `.`; default (repos and ratelimit fields above).
+ * @param {object}   options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {object}
+ */
+export default function(data, volatileFields = s_VOLATILE_FIELDS, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof data !== 'object' || data === null)
+   {
+      throw new TypeError(message('error.option', { method: 'stripVolatileData', name: 'data',
+       expected: message('type.object') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof volatileFields !== 'object' || volatileFields === null)
+   {
+      throw new TypeError(message('error.option', { method: 'stripVolatileData', name: 'volatileFields',
+       expected: message('type.object') }));
+   }
+
+   delete data['timestamp'];
+
+   if (typeof data.categories === 'string')
+   {
+      s_STRIP(data[data.categories.split(':')[0]], data.categories.split(':'), 0, volatileFields);
+   }
+
+   return data;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Strips volatile fields from the entries of the category at the given depth and all nested categories.
+ *
+ * @param {Array<object>}  entries - Entries of the category at the given depth.
+ * @param {Array<string>}  categories - Categories of the data.
+ * @param {number}         depth - Current category depth.
+ * @param {object}         volatileFields - A hash of category names to an array of field names to strip.
+ */
+const s_STRIP = (entries, categories, depth, volatileFields) =>
+{
+   if (!Array.isArray(entries)) { return; }
+
+   const category = categories[depth];
+   const nextCategory = categories[depth + 1];
+   const fields = Array.isArray(volatileFields[category]) ? volatileFields[category] : [];
+
+   for (const entry of entries)
+   {
+      for (const field of fields)
+      {
+         const path = field.split('.');
+         const key = path.pop();
+
+         const parent = path.reduce((object, part) => typeof object === 'object' && object !== null ? object[part] :
+          void 0, entry);
+
+         if (typeof parent === 'object' && parent !== null) { delete parent[key]; }
+      }
+
+      if (nextCategory) { s_STRIP(entry[nextCategory], categories, depth + 1, volatileFields); }
+   }
+};
+
+/**
+ * The default volatile fields of each category.
+ *
+ * @type {object}
+ */
+const s_VOLATILE_FIELDS =
+{
+   repos: ['updated_at', 'pushed_at', 'stargazers_count', 'watchers_count'],
+   ratelimit: ['core.limit', 'core.remaining', 'core.reset', 'search.limit', 'search.remaining', 'search.reset']
+};
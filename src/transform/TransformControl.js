@@ -1,24 +1,52 @@
 'use strict';
 
+import diffCategories      from './diffCategories.js';
+import messages            from './messages.js';
+import pivotCategories     from './pivotCategories.js';
+import sortCategories      from './sortCategories.js';
+import transformAsciiDoc   from './transformAsciiDoc.js';
+import transformCSV        from './transformCSV.js';
+import transformDOT        from './transformDOT.js';
 import transformHTML       from './transformHTML.js';
 import transformJSON       from './transformJSON.js';
+import transformJSONL      from './transformJSONL.js';
 import transformMarkdown   from './transformMarkdown.js';
+import transformMermaid    from './transformMermaid.js';
+import transformRST        from './transformRST.js';
+import transformTemplate   from './transformTemplate.js';
 import transformText       from './transformText.js';
+import transformTSV        from './transformTSV.js';
+import transformYAML       from './transformYAML.js';
 
 /**
- * TransformControl - Provides a dispatch mechanism to transform a given data object of nested categories by a
- * provided transform function. By default the following transform types are available: `html`, `json`, `markdown` and
- * `text`. The default transforms output data as a string, but user supplied transforms may output any type of data.
+ * TransformControl - Provides a dispatch mechanism to transform a given data object of nested categories by a provided
+ * transform function. By default the following transform types are available: `asciidoc`, `csv`, `dot`, `html`,
+ * `json`, `jsonl`, `markdown`, `mermaid`, `rst`, `template`, `text`, `tsv` and `yaml`. The default transforms output
+ * data as a string, but user supplied transforms may output any type of data.
+ *
+ * Custom formats which only differ in the string rendered for each entry may be registered as template transforms
+ * with the `templateTransforms` option; each is a named `template` transform with default options such as
+ * `templates`.
  */
 export default class TransformControl
 {
    /**
-    * Initializes TransformControl with `html`, `json`, `markdown` and `text` transforms in addition to any user
-    * supplied transforms stored in `options.transforms` hash.
+    * Initializes TransformControl with `asciidoc`, `csv`, `dot`, `html`, `json`, `jsonl`, `markdown`, `mermaid`, `rst`,
+    * `template`, `text`, `tsv` and `yaml` transforms in addition to any user supplied transforms stored in
+    * `options.transforms` hash and template transforms stored in `options.templateTransforms` hash.
     *
     * @param {object}   options - Optional parameters:
     * ```
     * optional:
+    * (string) locale - A BCP 47 language tag selecting the message catalog of constructor and `setTransformType`
+    *                   errors; please see `messages`.
+    *
+    * (object) messages - Message overrides of constructor and `setTransformType` errors; please see `messages`.
+    *
+    * (object) templateTransforms - A hash of transform types to default options of the `template` transform such as
+    *                               `templates`; options provided when transforming take precedence and `templates`
+    *                               are merged by category.
+    *
     * (string) transformType - The current transform type.
     *
     * (object) transforms - A hash with user supplied transforms to add to TransformControl.
@@ -26,24 +54,43 @@ export default class TransformControl
     */
    constructor(options = {})
    {
+      /**
+       * Looks up error messages of the constructor and `setTransformType`.
+       *
+       * @type {function(key: string, values: object): string}
+       * @private
+       */
+      this._message = messages(options);
+
       /**
        * Stores all transform functions by type.
        *
-       * @type {{html: Function, json: Function, markdown: Function, text: Function}}
+       * @type {{asciidoc: Function, csv: Function, dot: Function, html: Function, json: Function, jsonl: Function,
+       *  markdown: Function, mermaid: Function, rst: Function, template: Function, text: Function, tsv: Function,
+       *  yaml: Function}}
        * @private
        */
       this._transforms =
       {
+         asciidoc: transformAsciiDoc,
+         csv: transformCSV,
+         dot: transformDOT,
          html: transformHTML,
          json: transformJSON,
+         jsonl: transformJSONL,
          markdown: transformMarkdown,
-         text: transformText
+         mermaid: transformMermaid,
+         rst: transformRST,
+         template: transformTemplate,
+         text: transformText,
+         tsv: transformTSV,
+         yaml: transformYAML
       };
 
       /* istanbul ignore if */
       if (typeof options.transformType !== 'undefined' && typeof options.transformType !== 'string')
       {
-         throw new TypeError(`ctor error: 'options.transformType' is not a 'string'.`);
+         throw new TypeError(s_ERROR(this._message, 'ctor', 'options.transformType', 'type.string'));
       }
 
       /**
@@ -63,25 +110,77 @@ export default class TransformControl
             /* istanbul ignore if */
             if (typeof key !== 'string')
             {
-               throw new TypeError(`ctor error: 'options.transforms[key]' is not a 'string'.`);
+               throw new TypeError(s_ERROR(this._message, 'ctor', 'options.transforms[key]', 'type.string'));
             }
 
             /* istanbul ignore if */
             if (typeof options.transforms[key] !== 'function')
             {
-               throw new TypeError(`ctor error: 'options.transforms[value]' is not a 'function'.`);
+               throw new TypeError(s_ERROR(this._message, 'ctor', 'options.transforms[value]', 'type.function'));
             }
 
             this._transforms[key] = options.transforms[key];
          }
       }
 
+      // Add any template transforms.
+      /* istanbul ignore if */
+      if (typeof options.templateTransforms === 'object')
+      {
+         for (const key in options.templateTransforms)
+         {
+            /* istanbul ignore if */
+            if (typeof options.templateTransforms[key] !== 'object' || options.templateTransforms[key] === null)
+            {
+               throw new TypeError(s_ERROR(this._message, 'ctor', 'options.templateTransforms[value]',
+                'type.object'));
+            }
+
+            this._transforms[key] = s_CREATE_TEMPLATE_TRANSFORM(options.templateTransforms[key]);
+         }
+      }
+
       // Validate the current transform type.
       /* istanbul ignore if */
       if (typeof this._transforms[this._transformType] === 'undefined')
       {
-         throw new Error(`ctor error: 'options.transformType' is an invalid transform type.`);
+         throw new Error(this._message('error.invalidTransformType', { method: 'ctor',
+          name: 'options.transformType' }));
+      }
+   }
+
+   /**
+    * Transforms the difference of two normalized results of the same query, for instance last week's and today's
+    * `getOrgTeamMembers`, by the current transform type. Added, removed and changed entries of each category are
+    * rendered with `+`, `-` and `~` markers by the `asciidoc`, `html`, `markdown`, `rst` and `text` transforms, the
+    * `csv` and `tsv` transforms add a `<category>_diff_status` column and the `json`, `jsonl` and `yaml` transforms
+    * include the `diff` object of each entry; please see `diffCategories`. The `dot` and `mermaid` transforms share a
+    * node between the parents of an entry, so they can not show its status and throw an error.
+    *
+    * @param {object}   before - Earlier normalized data from `GitHubInspectOrgs`.
+    *
+    * @param {object}   after - Later normalized data from `GitHubInspectOrgs`.
+    *
+    * @param {object}   options - Optional parameters passed to `diffCategories` and the transform function.
+    * ```
+    * (Array<string>)   ignoreFields - Field names which are not compared; default ([]).
+    *
+    * (boolean)         unchanged - Includes unchanged entries; default (false).
+    * ```
+    *
+    * @returns {*}
+    */
+   diff(before, after, options = {})
+   {
+      const transformType = typeof options.transformType === 'string' ? options.transformType : this._transformType;
+
+      /* istanbul ignore if */
+      if (s_DIFF_UNSUPPORTED.indexOf(transformType) >= 0)
+      {
+         throw new Error(messages(options)('error.diffTransformType', { method: 'diff', transformType }));
       }
+
+      return this.transform(diffCategories(before, after, options), options);
    }
 
    /**
@@ -104,13 +203,14 @@ export default class TransformControl
       /* istanbul ignore if */
       if (typeof transformType !== 'string')
       {
-         throw new TypeError(`setTransformType error: 'transformType' is not a 'string'.`);
+         throw new TypeError(s_ERROR(this._message, 'setTransformType', 'transformType', 'type.string'));
       }
 
       /* istanbul ignore if */
       if (typeof this._transforms[transformType] === 'undefined')
       {
-         throw new Error(`setTransformType error: 'transformType' is an invalid transform type.`);
+         throw new Error(this._message('error.invalidTransformType', { method: 'setTransformType',
+          name: 'transformType' }));
       }
 
       this._transformType = transformType;
@@ -123,8 +223,43 @@ export default class TransformControl
     *
     * @param {object}   options - Optional parameters passed to transform function.
     * ```
+    * (string)    dateFormat - Formats rate limit resets and repo dates rendered by the `asciidoc`, `html`, `markdown`,
+    *                          `rst` and `text` transforms as `iso`, `locale` or `relative`; default ('iso').
+    *
     * (boolean)   description - Add additional description info for all entries where available; default (false).
     *
+    * (object)    fields - A hash of category names to an array of field names rendered after each entry name by the
+    *                      `html`, `markdown`, `text`, `asciidoc` and `rst` transforms, added as columns by the `csv` /
+    *                      `tsv` transforms and kept by the `json` / `jsonl` transforms; a `users` entry applies to all
+    *                      user categories and each entry takes precedence over `description`.
+    *
+    * (string)    locale - A BCP 47 language tag for `locale` and `relative` dates which also groups the digits of
+    *                      rate limits and selects the message catalog of labels and error messages; please see
+    *                      `formatDate`, `formatNumber` and `messages`.
+    *
+    * (object)    messages - A hash of message keys to templates replacing labels and error messages of the message
+    *                        catalog such as `ratelimit.core` or `column.created_at`; please see `messages`.
+    *
+    * (Date|number) now - The reference time of `relative` dates; default (Date.now()).
+    *
+    * (string)    pivot - Regroups the data by a category before transforming; the category becomes the top level
+    *                     category followed by the remaining categories and duplicate entries are merged by `id`.
+    *
+    * (object)    renderers - A hash of category names to functions replacing how the `html`, `markdown`, `text`,
+    *                         `asciidoc` and `rst` transforms render entries of a category; the transform continues to
+    *                         render the structure such as indentation, list markers and closing tags.
+    *
+    * (string|object) sort - Sorts the entries of each category before transforming by a key (`name`, `id`,
+    *                          `created_at`, `stargazers_count` or `children`) or `{ key, direction, categories }`
+    *                          where `categories` is a hash of category names to a key or `{ key, direction }`.
+    *
+    * (boolean)   stream - The `asciidoc`, `csv`, `dot`, `html`, `jsonl`, `markdown`, `mermaid`, `rst`, `template`,
+    *                      `text` and `tsv` transforms return a `stream.Readable` emitting the transformed result in
+    *                      chunks instead of a string; default (false).
+    *
+    * (string)    timeZone - An IANA time zone such as `America/New_York` for `iso` and `locale` dates; default (UTC
+    *                        for `iso` dates).
+    *
     * (string)    transformType - Overrides TransformControl default transformType; default (_transformType).
     * ```
     *
@@ -133,21 +268,105 @@ export default class TransformControl
    transform(data, options = {})
    {
       /* istanbul ignore if */
-      if (typeof data !== 'object')
+      if (typeof options !== 'object' || options === null)
       {
-         throw new TypeError(`transform error: 'data' is not a 'object'.`);
+         throw new TypeError(s_ERROR(this._message, 'transform', 'options', 'type.object'));
       }
 
       /* istanbul ignore if */
-      if (typeof options !== 'object')
+      if (typeof options.locale !== 'undefined' && typeof options.locale !== 'string')
       {
-         throw new TypeError(`transform error: 'options' is not a 'object'.`);
+         throw new TypeError(s_ERROR(this._message, 'transform', 'options.locale', 'type.string'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.messages !== 'undefined')
+      {
+         const localeMessage = messages({ locale: options.locale });
+
+         if (typeof options.messages !== 'object' || options.messages === null)
+         {
+            throw new TypeError(s_ERROR(localeMessage, 'transform', 'options.messages', 'type.object'));
+         }
+
+         for (const key in options.messages)
+         {
+            const template = options.messages[key];
+
+            if (typeof template !== 'string' && (typeof template !== 'object' || template === null))
+            {
+               throw new TypeError(s_ERROR(localeMessage, 'transform', `options.messages.${key}`,
+                'type.stringOrObject'));
+            }
+         }
+      }
+
+      // Error messages below are looked up in the message catalog of the validated `locale` and `messages`.
+      const message = messages(options);
+
+      /* istanbul ignore if */
+      if (typeof data !== 'object')
+      {
+         throw new TypeError(s_ERROR(message, 'transform', 'data', 'type.object'));
       }
 
       /* istanbul ignore if */
       if (typeof options.transformType !== 'undefined' && typeof options.transformType !== 'string')
       {
-         throw new TypeError(`transform error: 'options.transformType' is not a 'string'.`);
+         throw new TypeError(s_ERROR(message, 'transform', 'options.transformType', 'type.string'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.fields !== 'undefined')
+      {
+         if (typeof options.fields !== 'object' || options.fields === null)
+         {
+            throw new TypeError(s_ERROR(message, 'transform', 'options.fields', 'type.object'));
+         }
+
+         for (const category in options.fields)
+         {
+            if (!Array.isArray(options.fields[category]))
+            {
+               throw new TypeError(s_ERROR(message, 'transform', `options.fields.${category}`, 'type.array'));
+            }
+         }
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.renderers !== 'undefined')
+      {
+         if (typeof options.renderers !== 'object' || options.renderers === null)
+         {
+            throw new TypeError(s_ERROR(message, 'transform', 'options.renderers', 'type.object'));
+         }
+
+         for (const category in options.renderers)
+         {
+            if (typeof options.renderers[category] !== 'function')
+            {
+               throw new TypeError(s_ERROR(message, 'transform', `options.renderers.${category}`, 'type.function'));
+            }
+         }
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.dateFormat !== 'undefined' && s_DATE_FORMATS.indexOf(options.dateFormat) < 0)
+      {
+         throw new TypeError(s_ERROR(message, 'transform', 'options.dateFormat', 'type.oneOf',
+          s_DATE_FORMATS.join(', ')));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.now !== 'undefined' && !(options.now instanceof Date) && typeof options.now !== 'number')
+      {
+         throw new TypeError(s_ERROR(message, 'transform', 'options.now', 'type.dateOrNumber'));
+      }
+
+      /* istanbul ignore if */
+      if (typeof options.timeZone !== 'undefined' && typeof options.timeZone !== 'string')
+      {
+         throw new TypeError(s_ERROR(message, 'transform', 'options.timeZone', 'type.string'));
       }
 
       const transformType = typeof options.transformType === 'string' ? options.transformType : this._transformType;
@@ -155,9 +374,66 @@ export default class TransformControl
       /* istanbul ignore if */
       if (typeof this._transforms[transformType] === 'undefined')
       {
-         throw new Error(`transform error: 'transformType' is an invalid transform type.`);
+         throw new Error(message('error.invalidTransformType', { method: 'transform', name: 'transformType' }));
       }
 
-      return this._transforms[transformType](data, options);
+      // Pivoting rewrites the categories of the data, so all transforms render the regrouped data unchanged.
+      const pivotData = typeof options.pivot !== 'undefined' ?
+       pivotCategories(data, options.pivot, options) : data;
+
+      // Sorting is applied to the data, so the order is consistent for all transforms.
+      const transformData = typeof options.sort !== 'undefined' ?
+       sortCategories(pivotData, options.sort, options) : pivotData;
+
+      return this._transforms[transformType](transformData, options);
    }
-}
\ No newline at end of file
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * The date formats of `formatDate`.
+ *
+ * @type {Array<string>}
+ */
+const s_DATE_FORMATS = ['iso', 'locale', 'relative'];
+
+/**
+ * Transform types which render a node for each entry shared by all of its parents, so the status of a diffed entry in
+ * one parent can not be shown.
+ *
+ * @type {Array<string>}
+ */
+const s_DIFF_UNSUPPORTED = ['dot', 'mermaid'];
+
+/**
+ * Returns the `error.option` message of an invalid parameter.
+ *
+ * @param {function} message - Looks up a message.
+ * @param {string}   method - The method name.
+ * @param {string}   name - The parameter name.
+ * @param {string}   expected - The message key of the expected type.
+ * @param {string}   [values] - The allowed values of a `type.oneOf` message.
+ *
+ * @returns {string}
+ */
+const s_ERROR = (message, method, name, expected, values) => message('error.option', { method, name,
+ expected: message(expected, { values }) });
+
+/**
+ * Creates a `template` transform with default options. Options provided when transforming take precedence and
+ * `templates` are merged by category.
+ *
+ * @param {object}   defaultOptions - Default options of the `template` transform.
+ *
+ * @returns {function(data: object, options: object): string|stream.Readable}
+ */
+const s_CREATE_TEMPLATE_TRANSFORM = (defaultOptions) =>
+{
+   return (data, options = {}) =>
+   {
+      const templates = Object.assign({}, defaultOptions.templates, options.templates);
+
+      return transformTemplate(data, Object.assign({}, defaultOptions, options, { templates }));
+   };
+};
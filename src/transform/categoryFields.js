@@ -0,0 +1,97 @@
+'use strict';
+
+import formatDate       from './formatDate.js';
+import messages         from './messages.js';
+import userCategories   from './userCategories.js';
+
+/**
+ * Renders the content of a named entry with the fields selected for its category by `options.fields` returning `null`
+ * when no fields are selected. The `html`, `markdown`, `text`, `asciidoc` and `rst` transforms render the same content
+ * in their own format, so a report looks the same in each format: the entry name (a link where the format supports links) followed
+ * by ` - ` and the non-empty selected fields separated by `, `. A `description` is rendered as is and any other field
+ * as `field: value`; the repo dates `created_at`, `updated_at` and `pushed_at` are formatted by `formatDate`. The
+ * fields selected for a category take precedence over the `description` option.
+ *
+ * For instance `{ repos: ['description', 'default_branch'], users: ['url'] }` renders text as:
+ * ```
+ * test-repo1 - A test repo, default_branch: master
+ *    typhonjs-test - url: https://github.com/typhonjs-test
+ * ```
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to render.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (object)    fields - A hash of category names to an array of field names to render after the entry name.
+ * ```
+ * @param {function} escape - Escapes a value for the output format.
+ * @param {function} name - Returns the rendered entry name for an entry and options in the output format.
+ *
+ * @returns {string|null}
+ */
+export default function(category, entry, options, escape, name)
+{
+   const fields = s_CATEGORY_FIELDS(category, options);
+
+   if (fields === null || typeof entry.name !== 'string') { return null; }
+
+   const values = [];
+
+   for (const field of fields)
+   {
+      /* istanbul ignore if */
+      if (typeof field !== 'string')
+      {
+         const message = messages(options);
+
+         throw new TypeError(message('error.option', { method: 'categoryFields', name: `options.fields.${category}`,
+          expected: message('type.stringArray') }));
+      }
+
+      const value = entry[field];
+
+      if (field === 'name' || typeof value === 'undefined' || value === null || value === '') { continue; }
+
+      let string = typeof value === 'object' ? JSON.stringify(value) : value;
+
+      if (s_DATE_FIELDS.indexOf(field) >= 0) { string = formatDate(value, options); }
+
+      values.push(field === 'description' ? escape(string) : `${escape(field)}: ${escape(string)}`);
+   }
+
+   return `${name(entry, options)}${values.length > 0 ? ` - ${values.join(', ')}` : ''}`;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Fields formatted as dates.
+ *
+ * @type {Array<string>}
+ */
+const s_DATE_FIELDS = ['created_at', 'updated_at', 'pushed_at'];
+
+/**
+ * Returns the field names selected for a category by `options.fields` or `null` when no fields are selected. An entry
+ * for `users` applies to all user categories without an entry of their own.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (object)    fields - A hash of category names to an array of field names.
+ * ```
+ *
+ * @returns {Array<string>|null}
+ */
+const s_CATEGORY_FIELDS = (category, options) =>
+{
+   const fields = options.fields;
+
+   if (typeof fields !== 'object' || fields === null) { return null; }
+
+   if (Array.isArray(fields[category])) { return fields[category]; }
+
+   if (userCategories.indexOf(category) >= 0 && Array.isArray(fields.users)) { return fields.users; }
+
+   return null;
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Invokes a user supplied renderer from `options.renderers` for the given category returning the rendered content of
+ * an entry or `null` when no renderer is supplied. The `html`, `markdown`, `text`, `asciidoc` and `rst` transforms
+ * continue to provide the structure around the content such as indentation, list markers and closing tags.
+ *
+ * A renderer is invoked with the entry and a context object:
+ * ```
+ * (string)    category - Current category type.
+ *
+ * (number)    depth - Current category depth.
+ *
+ * (boolean)   description - The `description` option.
+ *
+ * (function)  escape - Escapes a value for the output format.
+ *
+ * (boolean)   first - The entry is the first entry of the category.
+ *
+ * (boolean)   last - The entry is the last entry of the category.
+ *
+ * (boolean)   leaf - The entry has no nested entries.
+ *
+ * (function)  link - Returns the escaped link for an entry with `name` and `url` in the output format.
+ * ```
+ * The result is included as is, so any entry data must be escaped by the renderer.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to render.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (object)    renderers - A hash of category names to renderer functions.
+ * ```
+ * @param {function} escape - Escapes a value for the output format.
+ * @param {function} link - Returns a link for an entry and options in the output format.
+ *
+ * @returns {string|null}
+ */
+export default function(category, entry, depth, options, escape, link)
+{
+   if (typeof options.renderers !== 'object' || options.renderers === null ||
+    typeof options.renderers[category] !== 'function')
+   {
+      return null;
+   }
+
+   const transformData = options._transformData[depth];
+
+   const result = options.renderers[category](entry,
+   {
+      category,
+      depth,
+      description: options.description === true,
+      escape,
+      first: transformData.firstEntry,
+      last: transformData.lastEntry,
+      leaf: transformData.maxDepth,
+      link: (linkEntry) => link(linkEntry, options)
+   });
+
+   /* istanbul ignore if */
+   if (typeof result !== 'string')
+   {
+      throw new TypeError(messages(options)('error.rendererResult', { method: 'categoryRenderer',
+       name: `options.renderers.${category}` }));
+   }
+
+   return result;
+}
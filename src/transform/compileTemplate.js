@@ -0,0 +1,184 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Compiles a template string for the `template` transform returning a function which renders an entry. Templates
+ * support the following tags:
+ * ```
+ * {{field}}            - The escaped value of an entry field; nested fields are separated by `.` (`{{core.limit}}`).
+ *
+ * {{{field}}}          - The unescaped value of an entry field.
+ *
+ * {{#field}}..{{/field}} - A section rendered when the field is truthy or a non-empty array.
+ *
+ * {{^field}}..{{/field}} - An inverted section rendered when the field is falsy or an empty array.
+ *
+ * {{@indent}}          - Indentation for the depth of the entry; `{{@indent+N}}` adds `N` levels.
+ *
+ * {{@category}}, {{@depth}}, {{@first}}, {{@last}}, {{@leaf}} - The category, depth, whether the entry is the first /
+ *                        last entry of its category and whether the entry has no nested entries.
+ * ```
+ * Missing values render as an empty string and objects / arrays are rendered as JSON. Sections may be nested and
+ * `@` variables may be used as sections, for instance `{{^@last}}, {{/@last}}`.
+ *
+ * @param {string}   template - Template to compile.
+ * @param {object}   options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {function(entry: object, context: object): string}
+ */
+export default function(template, options = {})
+{
+   const message = messages(options);
+
+   if (typeof template !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'compileTemplate', name: 'template',
+       expected: message('type.string') }));
+   }
+
+   const root = { name: null, children: [] };
+   const stack = [root];
+   const regex = /\{\{(\{)?\s*([#^\/])?\s*(@?[\w.]+(?:\+\d+)?)\s*(\})?\}\}/g;
+
+   let lastIndex = 0;
+   let match;
+
+   while ((match = regex.exec(template)) !== null)
+   {
+      const parent = stack[stack.length - 1];
+      const [tag, rawOpen, sigil, name, rawClose] = match;
+
+      if (match.index > lastIndex) { parent.children.push({ text: template.substring(lastIndex, match.index) }); }
+
+      lastIndex = regex.lastIndex;
+
+      if (!!rawOpen !== !!rawClose || (rawOpen && sigil))
+      {
+         throw new Error(message('error.templateMalformedTag', { method: 'compileTemplate', tag }));
+      }
+
+      if (name.startsWith('@') && !(/^@(category|depth|first|last|leaf|indent(\+\d+)?)$/).test(name))
+      {
+         throw new Error(message('error.templateUnknownVariable', { method: 'compileTemplate', tag }));
+      }
+
+      switch (sigil)
+      {
+         case '#':
+         case '^':
+         {
+            const section = { name, inverted: sigil === '^', children: [] };
+
+            parent.children.push(section);
+            stack.push(section);
+            break;
+         }
+
+         case '/':
+            if (parent.name !== name)
+            {
+               throw new Error(message('error.templateUnexpectedClose', { method: 'compileTemplate', tag }));
+            }
+
+            stack.pop();
+            break;
+
+         default:
+            parent.children.push({ name, raw: !!rawOpen });
+            break;
+      }
+   }
+
+   if (stack.length > 1)
+   {
+      throw new Error(message('error.templateUnclosed', { method: 'compileTemplate',
+       tag: `{{#${stack[stack.length - 1].name}}}` }));
+   }
+
+   if (lastIndex < template.length) { root.children.push({ text: template.substring(lastIndex) }); }
+
+   return (entry, context) => s_RENDER(root.children, entry, context);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the value of an entry field or `@` variable.
+ *
+ * @param {string}   name - Field name which may be nested with `.` or an `@` variable.
+ * @param {object}   entry - Entry being rendered.
+ * @param {object}   context - Render context.
+ *
+ * @returns {*}
+ */
+const s_LOOKUP = (name, entry, context) =>
+{
+   if (name.startsWith('@'))
+   {
+      const indentMatch = (/^@indent(?:\+(\d+))?$/).exec(name);
+
+      if (indentMatch !== null)
+      {
+         return context.indent(context.depth + (typeof indentMatch[1] === 'string' ? parseInt(indentMatch[1], 10) : 0));
+      }
+
+      return context[name.substring(1)];
+   }
+
+   let value = entry;
+
+   for (const key of name.split('.'))
+   {
+      if (value === null || typeof value !== 'object') { return void 0; }
+
+      value = value[key];
+   }
+
+   return value;
+};
+
+/**
+ * Renders compiled template nodes for an entry.
+ *
+ * @param {Array<object>}  nodes - Compiled template nodes.
+ * @param {object}         entry - Entry being rendered.
+ * @param {object}         context - Render context providing `category`, `depth`, `first`, `last`, `leaf`, an
+ *                                   `indent` function returning indentation for a number of levels and an `escape`
+ *                                   function.
+ *
+ * @returns {string}
+ */
+const s_RENDER = (nodes, entry, context) =>
+{
+   let result = '';
+
+   for (const node of nodes)
+   {
+      if (typeof node.text === 'string')
+      {
+         result += node.text;
+         continue;
+      }
+
+      const value = s_LOOKUP(node.name, entry, context);
+
+      if (Array.isArray(node.children))
+      {
+         const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+
+         if (truthy !== node.inverted) { result += s_RENDER(node.children, entry, context); }
+
+         continue;
+      }
+
+      if (typeof value === 'undefined' || value === null) { continue; }
+
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+      // Variables such as `@indent` are never escaped.
+      result += node.raw || node.name.startsWith('@') ? text : context.escape(text);
+   }
+
+   return result;
+};
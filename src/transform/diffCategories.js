@@ -0,0 +1,225 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Returns the difference of two normalized results of the same query, for instance last week's and today's
+ * `getOrgTeamMembers`, as normalized data with the same categories. Entries are matched at each category level by `id`
+ * (or `name` when an entry has no `id`) and each entry receives a `diff` object:
+ * ```
+ * (string)    status - One of `added`, `removed`, `changed` or `unchanged`.
+ *
+ * (object)    changes - For `changed` entries a hash of field names to `{ before, after }` values.
+ * ```
+ * Nested entries of added and removed entries have the same status. The fields of entries present in both results
+ * are compared excluding nested category data; an unchanged entry is only included when it has changed nested entries
+ * unless `unchanged` is true. Entries are ordered as in `after` followed by removed entries. The result also has a
+ * top level `diff` object counting the `added`, `removed` and `changed` entries of all categories.
+ *
+ * The `asciidoc`, `html`, `markdown`, `rst` and `text` transforms render `+`, `-` and `~` markers before the content of
+ * entries with a `diff` object and the changed fields after the content; please see `diffContent`. The `csv` and `tsv`
+ * transforms add a `<category>_diff_status` column.
+ *
+ * @param {object}   before - Earlier normalized data from `GitHubInspectOrgs`.
+ * @param {object}   after - Later normalized data from `GitHubInspectOrgs`.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   ignoreFields - Field names which are not compared such as `stargazers_count`; default ([]).
+ *
+ * (boolean)         unchanged - Includes unchanged entries; default (false).
+ * ```
+ * Error messages are selected by `locale` and `messages`; please see `messages`.
+ *
+ * @returns {object}
+ */
+export default function(before, after, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof before !== 'object' || before === null || typeof before.categories !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'diffCategories', name: 'before.categories',
+       expected: message('type.string') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof after !== 'object' || after === null || typeof after.categories !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'diffCategories', name: 'after.categories',
+       expected: message('type.string') }));
+   }
+
+   /* istanbul ignore if */
+   if (before.categories !== after.categories)
+   {
+      throw new Error(message('error.categoriesMismatch', { method: 'diffCategories', before: before.categories,
+       after: after.categories }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.ignoreFields !== 'undefined' && !Array.isArray(options.ignoreFields))
+   {
+      throw new TypeError(message('error.option', { method: 'diffCategories', name: 'options.ignoreFields',
+       expected: message('type.array') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.unchanged !== 'undefined' && typeof options.unchanged !== 'boolean')
+   {
+      throw new TypeError(message('error.option', { method: 'diffCategories', name: 'options.unchanged',
+       expected: message('type.boolean') }));
+   }
+
+   const categories = after.categories.split(':');
+
+   const context =
+   {
+      categories,
+      counts: { added: 0, removed: 0, changed: 0 },
+      ignoreFields: Array.isArray(options.ignoreFields) ? options.ignoreFields : [],
+      unchanged: options.unchanged === true
+   };
+
+   const result = Object.assign({}, after);
+
+   result[categories[0]] = s_DIFF(before[categories[0]], after[categories[0]], 0, context);
+   result.diff = context.counts;
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns a hash of changed fields between two entries or `null` when all compared fields are equal.
+ *
+ * @param {object}   beforeEntry - Earlier entry.
+ * @param {object}   afterEntry - Later entry.
+ * @param {string}   nextCategory - Nested category name which is not compared.
+ * @param {object}   context - Diff context.
+ *
+ * @returns {object|null}
+ */
+const s_CHANGES = (beforeEntry, afterEntry, nextCategory, context) =>
+{
+   const changes = {};
+
+   let changed = false;
+
+   const keys = Object.keys(beforeEntry).concat(Object.keys(afterEntry).filter((key) =>
+    !Object.prototype.hasOwnProperty.call(beforeEntry, key)));
+
+   for (const key of keys)
+   {
+      if (key === nextCategory || key === 'diff' || context.ignoreFields.indexOf(key) >= 0) { continue; }
+
+      if (JSON.stringify(beforeEntry[key]) !== JSON.stringify(afterEntry[key]))
+      {
+         changes[key] = { before: beforeEntry[key], after: afterEntry[key] };
+         changed = true;
+      }
+   }
+
+   return changed ? changes : null;
+};
+
+/**
+ * Returns a copy of an entry and all nested entries with the given status.
+ *
+ * @param {object}   entry - Entry to copy.
+ * @param {number}   depth - Current category depth.
+ * @param {string}   status - `added` or `removed`.
+ * @param {object}   context - Diff context.
+ *
+ * @returns {object}
+ */
+const s_COPY = (entry, depth, status, context) =>
+{
+   const nextCategory = context.categories[depth + 1];
+
+   const copy = Object.assign({}, entry, { diff: { status } });
+
+   context.counts[status]++;
+
+   if (nextCategory && Array.isArray(entry[nextCategory]))
+   {
+      copy[nextCategory] = entry[nextCategory].map((child) => s_COPY(child, depth + 1, status, context));
+   }
+
+   return copy;
+};
+
+/**
+ * Returns the diffed entries of the category at the given depth.
+ *
+ * @param {Array<object>}  beforeEntries - Earlier entries.
+ * @param {Array<object>}  afterEntries - Later entries.
+ * @param {number}         depth - Current category depth.
+ * @param {object}         context - Diff context.
+ *
+ * @returns {Array<object>}
+ */
+const s_DIFF = (beforeEntries, afterEntries, depth, context) =>
+{
+   const beforeList = Array.isArray(beforeEntries) ? beforeEntries : [];
+   const afterList = Array.isArray(afterEntries) ? afterEntries : [];
+
+   const nextCategory = context.categories[depth + 1];
+
+   const beforeIndex = new Map();
+
+   for (const entry of beforeList) { beforeIndex.set(s_KEY(entry), entry); }
+
+   const result = [];
+   const matched = new Set();
+
+   for (const afterEntry of afterList)
+   {
+      const key = s_KEY(afterEntry);
+      const beforeEntry = beforeIndex.get(key);
+
+      if (typeof beforeEntry === 'undefined')
+      {
+         result.push(s_COPY(afterEntry, depth, 'added', context));
+         continue;
+      }
+
+      matched.add(key);
+
+      const changes = s_CHANGES(beforeEntry, afterEntry, nextCategory, context);
+
+      const copy = Object.assign({}, afterEntry, { diff: changes !== null ? { status: 'changed', changes } :
+       { status: 'unchanged' } });
+
+      if (changes !== null) { context.counts.changed++; }
+
+      let nestedChanges = false;
+
+      if (nextCategory && (Array.isArray(beforeEntry[nextCategory]) || Array.isArray(afterEntry[nextCategory])))
+      {
+         copy[nextCategory] = s_DIFF(beforeEntry[nextCategory], afterEntry[nextCategory], depth + 1, context);
+
+         // Unless `unchanged` is true only changed entries and their ancestors are included.
+         nestedChanges = copy[nextCategory].length > 0;
+      }
+
+      if (changes !== null || nestedChanges || context.unchanged) { result.push(copy); }
+   }
+
+   for (const beforeEntry of beforeList)
+   {
+      if (!matched.has(s_KEY(beforeEntry))) { result.push(s_COPY(beforeEntry, depth, 'removed', context)); }
+   }
+
+   return result;
+};
+
+/**
+ * Returns the key matching entries of two results.
+ *
+ * @param {object}   entry - Entry to match.
+ *
+ * @returns {string}
+ */
+const s_KEY = (entry) => typeof entry.id !== 'undefined' ? `id:${entry.id}` : `name:${entry.name}`;
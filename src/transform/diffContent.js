@@ -0,0 +1,66 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Returns the content of an entry from `diffCategories` with a status marker and any changed fields. Added entries are
+ * marked with `+`, removed entries with `-` and changed entries with `~` followed by the changed fields as
+ * `(field: before → after)`; unchanged entries and entries without a `diff` object are returned as is. Markers and
+ * changed fields are escaped for the output format; missing values are the `diff.none` message.
+ *
+ * @param {object}   entry - Entry to render.
+ * @param {string}   content - Rendered content of the entry.
+ * @param {function} escape - Escapes a value for the output format.
+ * @param {object}   options - Optional parameters selecting messages; please see `messages`.
+ *
+ * @returns {string}
+ */
+export default function(entry, content, escape, options = {})
+{
+   if (typeof entry.diff !== 'object' || entry.diff === null || !s_MARKERS.hasOwnProperty(entry.diff.status))
+   {
+      return content;
+   }
+
+   let result = `${escape(s_MARKERS[entry.diff.status])} ${content}`;
+
+   if (typeof entry.diff.changes === 'object' && entry.diff.changes !== null)
+   {
+      const none = messages(options)('diff.none');
+
+      const changes = Object.keys(entry.diff.changes).map((field) =>
+      {
+         const change = entry.diff.changes[field];
+
+         return `${escape(field)}: ${escape(s_VALUE(change.before, none))} → ${escape(s_VALUE(change.after, none))}`;
+      });
+
+      if (changes.length > 0) { result += ` (${changes.join(', ')})`; }
+   }
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Status markers.
+ *
+ * @type {object}
+ */
+const s_MARKERS = { added: '+', removed: '-', changed: '~' };
+
+/**
+ * Returns a changed value as a string.
+ *
+ * @param {*}        value - A changed value.
+ * @param {string}   none - The string of a missing value.
+ *
+ * @returns {string}
+ */
+const s_VALUE = (value, none) =>
+{
+   if (typeof value === 'undefined' || value === null) { return none; }
+
+   return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Provides a function escaping a value for safe inclusion as inline AsciiDoc text including link text. Line breaks are
+ * replaced by a space and surrounding whitespace is removed as neither may be represented in a single line list item or
+ * paragraph. Text which only contains letters, digits, spaces and `,`, `.`, `!`, `?`, `/` and `-` (without `--` or
+ * `...` replacements or an ordered list marker) and starts with a letter or digit is returned as is. All other text is
+ * wrapped in a `pass:c[]` inline passthrough, so no formatting, replacements, attribute references or macros are
+ * applied and only special characters (`<`, `>`, `&`) are escaped by the converter; `]` is backslash escaped inside the
+ * passthrough.
+ *
+ * @param {*}  value - Value to escape.
+ *
+ * @returns {string}
+ */
+export default function(value)
+{
+   let result = String(value).replace(/[\r\n]+/g, ' ').trim();
+
+   if (result === '' || ((/^[A-Za-z0-9][A-Za-z0-9 ,.!?/-]*$/).test(result) && !(/--|\.\.\.|^\d+\./).test(result)))
+   {
+      return result;
+   }
+
+   result = result.replace(/\]/g, '\\]');
+
+   // A trailing backslash would escape the closing bracket of the passthrough.
+   if (result.endsWith('\\')) { result += ' '; }
+
+   return `pass:c[${result}]`;
+}
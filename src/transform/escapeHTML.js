@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Provides a function escaping a value for safe inclusion in HTML text content or a quoted attribute value. The
+ * characters `&`, `<`, `>`, `"` and `'` are replaced by character references. Non-string values are converted to a
+ * string.
+ *
+ * @param {*}  value - Value to escape.
+ *
+ * @returns {string}
+ */
+export default function(value)
+{
+   return String(value).replace(/[&<>"']/g, (match) => s_ENTITIES[match]);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Maps characters to their HTML character references.
+ *
+ * @type {object}
+ */
+const s_ENTITIES =
+{
+   '&': '&amp;',
+   '<': '&lt;',
+   '>': '&gt;',
+   '"': '&quot;',
+   "'": '&#39;'
+};
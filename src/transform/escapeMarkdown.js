@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Provides a function escaping a value for safe inclusion as inline Markdown text including link text. All inline
+ * metacharacters (`\`, `` ` ``, `*`, `_`, `[`, `]`, `|`, `<`, `>`, `~`) are backslash escaped along with `&` when it
+ * would otherwise start an entity reference. Characters which start a block when found at the beginning of a line
+ * such as `#`, `+`, `-`, `=` or an ordered list marker are also escaped. Line breaks are replaced by a space and
+ * surrounding whitespace is removed as neither may be represented in a single line list item or paragraph.
+ *
+ * Backslash escapes of ASCII punctuation are valid anywhere in CommonMark, so the escaped text renders exactly as the
+ * original value.
+ *
+ * @param {*}  value - Value to escape.
+ *
+ * @returns {string}
+ */
+export default function(value)
+{
+   let result = String(value).replace(/[\r\n]+/g, ' ').trim();
+
+   result = result.replace(/[\\`*_\[\]|<>~]/g, '\\$&');
+
+   result = result.replace(/&(?=#?[a-z0-9]+;)/gi, '\\&');
+
+   // Escape characters which start a block at the beginning of a line.
+   result = result.replace(/^([#+\-=])/, '\\$1');
+   result = result.replace(/^(\d+)([.)])/, '$1\\$2');
+
+   return result;
+}
@@ -0,0 +1,26 @@
+'use strict';
+
+import safeURL from './safeURL.js';
+
+/**
+ * Provides a function returning a URL which is safe to use as a Markdown link destination. Only URLs with an allowed
+ * scheme are returned; see `safeURL`. Characters which end or alter a link destination (whitespace, `(`, `)`, `<`,
+ * `>` and `\`) are percent encoded.
+ *
+ * @param {string}         url - URL to escape.
+ * @param {Array<string>}  [schemes] - Allowed schemes; default (['http', 'https', 'mailto']).
+ * @param {object}         [options] - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {string}
+ */
+export default function(url, schemes, options)
+{
+   return safeURL(url, schemes, options).replace(/[\s()<>\\]/g, (match) =>
+   {
+      // `encodeURIComponent` does not encode parentheses.
+      if (match === '(') { return '%28'; }
+      if (match === ')') { return '%29'; }
+
+      return encodeURIComponent(match);
+   });
+}
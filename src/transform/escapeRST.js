@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Provides a function escaping a value for safe inclusion as inline reStructuredText including link text. All inline
+ * markup characters (`\`, `` ` ``, `*`, `_`, `|`, `<`, `>`) are backslash escaped along with `::` which would start a
+ * literal block. Characters which start a block when found at the beginning of a paragraph such as `-`, `+`, `#`, `.`,
+ * `=` or an enumerated list marker are also escaped. Line breaks are replaced by a space and surrounding whitespace is
+ * removed as neither may be represented in a single line list item or paragraph.
+ *
+ * Backslash escapes are valid for any character in reStructuredText, so the escaped text renders exactly as the
+ * original value.
+ *
+ * @param {*}  value - Value to escape.
+ *
+ * @returns {string}
+ */
+export default function(value)
+{
+   let result = String(value).replace(/[\r\n]+/g, ' ').trim();
+
+   result = result.replace(/[\\`*_|<>]/g, '\\$&');
+
+   result = result.replace(/::/g, ':\\:');
+
+   // Escape characters which start a block at the beginning of a paragraph or list item.
+   result = result.replace(/^([-+#.=:(])/, '\\$1');
+   result = result.replace(/^(\d+|[a-zA-Z])([.)])/, '$1\\$2');
+
+   return result;
+}
@@ -0,0 +1,221 @@
+'use strict';
+
+import messages         from './messages.js';
+import userCategories   from './userCategories.js';
+
+/**
+ * Returns a copy of normalized data where entries which do not pass the filter of their category are removed along
+ * with any nested entries. The original data is not modified.
+ *
+ * The `filter` option is an object:
+ * ```
+ * (object)    categories - A hash of category names to a category filter. A filter for `users` applies to all user
+ *                          categories (`collaborators`, `contributors`, `members`, `owners` and `users`) without a
+ *                          filter of their own.
+ *
+ * (boolean)   dropEmpty - Removes entries which are left without nested entries; default (false).
+ * ```
+ *
+ * A category filter supports:
+ * ```
+ * (string|RegExp)   include - Only entries with a matching `name` are kept.
+ *
+ * (string|RegExp)   exclude - Entries with a matching `name` are removed.
+ *
+ * (object)          where - A hash of field names to a predicate which an entry must pass to be kept. A boolean
+ *                           compares the truthiness of the field, so `{ fork: false, description: true }` keeps
+ *                           entries which are not forks and have a description. A function is invoked with the field
+ *                           value and entry and any other value must be strictly equal.
+ * ```
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to filter.
+ * @param {object}   filter - Filter options.
+ * @param {object}   options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {object}
+ */
+export default function(data, filter, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof data !== 'object' || typeof data.categories !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories', name: 'data.categories',
+       expected: message('type.string') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof filter !== 'object' || filter === null)
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories', name: 'filter',
+       expected: message('type.object') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof filter.categories !== 'undefined' &&
+    (typeof filter.categories !== 'object' || filter.categories === null))
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories', name: 'filter.categories',
+       expected: message('type.object') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof filter.dropEmpty !== 'undefined' && typeof filter.dropEmpty !== 'boolean')
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories', name: 'filter.dropEmpty',
+       expected: message('type.boolean') }));
+   }
+
+   const categories = data.categories.split(':');
+   const categoryFilters = typeof filter.categories === 'object' ? filter.categories : {};
+
+   const predicates = categories.map((category) =>
+   {
+      if (categoryFilters.hasOwnProperty(category))
+      {
+         return s_CREATE_PREDICATE(message, category, categoryFilters[category]);
+      }
+
+      if (userCategories.indexOf(category) >= 0 && categoryFilters.hasOwnProperty('users'))
+      {
+         return s_CREATE_PREDICATE(message, 'users', categoryFilters.users);
+      }
+
+      return null;
+   });
+
+   const result = Object.assign({}, data);
+
+   result[categories[0]] = s_FILTER(data[categories[0]], categories, 0, predicates, filter.dropEmpty === true);
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Creates a predicate function from a category filter.
+ *
+ * @param {function} message - Looks up error messages.
+ * @param {string}   category - Category name for error messages.
+ * @param {object}   categoryFilter - Category filter with optional `include`, `exclude` and `where` entries.
+ *
+ * @returns {function(entry: object): boolean}
+ */
+const s_CREATE_PREDICATE = (message, category, categoryFilter) =>
+{
+   /* istanbul ignore if */
+   if (typeof categoryFilter !== 'object' || categoryFilter === null)
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories', name: `filter.categories.${category}`,
+       expected: message('type.object') }));
+   }
+
+   const include = s_REGEX(message, category, 'include', categoryFilter.include);
+   const exclude = s_REGEX(message, category, 'exclude', categoryFilter.exclude);
+
+   const where = typeof categoryFilter.where !== 'undefined' ? categoryFilter.where : {};
+
+   /* istanbul ignore if */
+   if (typeof where !== 'object' || where === null)
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories',
+       name: `filter.categories.${category}.where`, expected: message('type.object') }));
+   }
+
+   const fields = Object.keys(where);
+
+   return (entry) =>
+   {
+      const name = typeof entry.name === 'string' ? entry.name : '';
+
+      if (include !== null && !include.test(name)) { return false; }
+      if (exclude !== null && exclude.test(name)) { return false; }
+
+      return fields.every((field) =>
+      {
+         const expected = where[field];
+         const value = entry[field];
+
+         if (typeof expected === 'function') { return !!expected(value, entry); }
+         if (typeof expected === 'boolean') { return !!value === expected; }
+
+         return value === expected;
+      });
+   };
+};
+
+/**
+ * Filters entries of the category at the given depth copying each entry with nested entries.
+ *
+ * @param {Array<object>}  entries - Entries to filter.
+ * @param {Array<string>}  categories - Categories of the data.
+ * @param {number}         depth - Current category depth.
+ * @param {Array<function|null>} predicates - Predicate for each category depth.
+ * @param {boolean}        dropEmpty - Removes entries which are left without nested entries.
+ *
+ * @returns {Array<object>}
+ */
+const s_FILTER = (entries, categories, depth, predicates, dropEmpty) =>
+{
+   if (!Array.isArray(entries)) { return entries; }
+
+   const nextCategory = categories[depth + 1];
+   const predicate = predicates[depth];
+
+   const result = [];
+
+   for (const entry of entries)
+   {
+      if (predicate !== null && !predicate(entry)) { continue; }
+
+      if (!nextCategory || !Array.isArray(entry[nextCategory]))
+      {
+         result.push(entry);
+         continue;
+      }
+
+      const children = s_FILTER(entry[nextCategory], categories, depth + 1, predicates, dropEmpty);
+
+      if (dropEmpty && children.length === 0) { continue; }
+
+      const copy = Object.assign({}, entry);
+
+      copy[nextCategory] = children;
+
+      result.push(copy);
+   }
+
+   return result;
+};
+
+/**
+ * Returns a regular expression for an `include` / `exclude` entry or `null` when not provided.
+ *
+ * @param {function}       message - Looks up error messages.
+ * @param {string}         category - Category name for error messages.
+ * @param {string}         key - Entry name for error messages.
+ * @param {string|RegExp}  value - A regular expression or source string.
+ *
+ * @returns {RegExp|null}
+ */
+const s_REGEX = (message, category, key, value) =>
+{
+   if (typeof value === 'undefined') { return null; }
+
+   if (value instanceof RegExp)
+   {
+      // A global or sticky expression keeps state between tests.
+      return value.global || value.sticky ? new RegExp(value.source, value.flags.replace(/[gy]/g, '')) : value;
+   }
+
+   /* istanbul ignore if */
+   if (typeof value !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'filterCategories',
+       name: `filter.categories.${category}.${key}`, expected: message('type.stringOrRegExp') }));
+   }
+
+   return new RegExp(value);
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Formats a date for the `html`, `markdown` and `text` transforms, so rate limit resets and repo dates read the same in
+ * every format and on every machine. The value may be a `Date`, milliseconds since the epoch or a date string such as
+ * the `created_at` field of a repo. Missing and invalid values are rendered as the `unknown` message instead of
+ * `Invalid Date`.
+ *
+ * The `dateFormat` option selects one of:
+ * ```
+ * iso - ISO-8601 without milliseconds when they are 0, for instance `2016-02-27T10:31:51Z`; in a `timeZone` the local
+ *       time and offset, for instance `2016-02-27T11:31:51+01:00`.
+ *
+ * locale - The date and time formatted by `Intl.DateTimeFormat` for `locale` in `timeZone`.
+ *
+ * relative - The time relative to `now` formatted by `Intl.RelativeTimeFormat` for `locale`, for instance
+ *            `in 12 minutes` or `3 days ago`. Runtimes without `Intl.RelativeTimeFormat` such as Node 10 use the
+ *            `relative.*` messages of the catalog instead.
+ * ```
+ *
+ * @param {Date|number|string}   value - The date to format.
+ * @param {object}               options - Optional parameters:
+ * ```
+ * (string)    dateFormat - One of `iso`, `locale` or `relative`; default ('iso').
+ *
+ * (string)    locale - A BCP 47 language tag for locale and relative dates; default (runtime default locale).
+ *
+ * (object)    messages - Message overrides; please see `messages`.
+ *
+ * (Date|number) now - The reference time of relative dates; default (Date.now()).
+ *
+ * (string)    timeZone - An IANA time zone such as `Europe/Berlin` for iso and locale dates; default (UTC for iso and
+ *                        the runtime time zone for locale dates).
+ * ```
+ *
+ * @returns {string}
+ */
+export default function(value, options = {})
+{
+   const date = value instanceof Date ? value : typeof value === 'number' || typeof value === 'string' ?
+    new Date(value) : null;
+
+   if (date === null || value === '' || Number.isNaN(date.getTime())) { return messages(options)('unknown'); }
+
+   switch (options.dateFormat)
+   {
+      case 'locale':
+         return date.toLocaleString(options.locale, typeof options.timeZone === 'string' ?
+          { timeZone: options.timeZone } : void 0);
+
+      case 'relative':
+         return s_RELATIVE(date, options);
+
+      default:
+         return typeof options.timeZone === 'string' ? s_ISO_TIME_ZONE(date, options.timeZone) :
+          date.toISOString().replace('.000Z', 'Z');
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns an ISO-8601 date with the local time and offset of a time zone.
+ *
+ * @param {Date}     date - The date to format.
+ * @param {string}   timeZone - An IANA time zone.
+ *
+ * @returns {string}
+ */
+const s_ISO_TIME_ZONE = (date, timeZone) =>
+{
+   const parts = {};
+
+   // `hourCycle` is not supported by Node 10 and `hour12: false` formats midnight as `24` on later versions.
+   for (const part of new Intl.DateTimeFormat('en-US', { timeZone, hour12: false, year: 'numeric',
+    month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }).formatToParts(date))
+   {
+      parts[part.type] = part.value;
+   }
+
+   if (parts.hour === '24') { parts.hour = '00'; }
+
+   const local = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour),
+    Number(parts.minute), Number(parts.second));
+
+   const offset = Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+
+   const sign = offset < 0 ? '-' : '+';
+   const hours = `0${Math.floor(Math.abs(offset) / 60)}`.slice(-2);
+   const minutes = `0${Math.abs(offset) % 60}`.slice(-2);
+
+   return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${
+    offset === 0 ? 'Z' : `${sign}${hours}:${minutes}`}`;
+};
+
+/**
+ * Returns a date relative to `options.now` in the largest unit of at least one.
+ *
+ * @param {Date}     date - The date to format.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string)    locale - A BCP 47 language tag; default (runtime default locale).
+ *
+ * (object)    messages - Message overrides used without `Intl.RelativeTimeFormat`; please see `messages`.
+ *
+ * (Date|number) now - The reference time; default (Date.now()).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_RELATIVE = (date, options) =>
+{
+   const now = options.now instanceof Date ? options.now.getTime() : typeof options.now === 'number' ? options.now :
+    Date.now();
+
+   const seconds = Math.round((date.getTime() - now) / 1000);
+
+   const unit = s_RELATIVE_UNITS.find((entry) => Math.abs(seconds) >= entry[1]) || s_RELATIVE_UNITS[3];
+
+   const count = Math.round(seconds / unit[1]);
+
+   if (typeof Intl.RelativeTimeFormat === 'function')
+   {
+      return new Intl.RelativeTimeFormat(options.locale, { numeric: 'always' }).format(count, unit[0]);
+   }
+
+   const message = messages(options);
+
+   return message(count < 0 ? 'relative.past' : 'relative.future',
+    { time: message(`relative.${unit[0]}`, { count: Math.abs(count) }) });
+};
+
+/**
+ * Units of relative dates and their length in seconds from largest to smallest.
+ *
+ * @type {Array<Array<string|number>>}
+ */
+const s_RELATIVE_UNITS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
@@ -0,0 +1,25 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Formats a number for the `html`, `markdown` and `text` transforms. Numbers are rendered as is unless a `locale` is
+ * provided in which case digits are grouped for the locale, for instance `4,999` or `4.999`. Missing and non-numeric
+ * values are rendered as the `unknown` message instead of `undefined`.
+ *
+ * @param {number}   value - The number to format.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string)    locale - A BCP 47 language tag grouping digits for the locale.
+ *
+ * (object)    messages - Message overrides; please see `messages`.
+ * ```
+ *
+ * @returns {string}
+ */
+export default function(value, options = {})
+{
+   if (typeof value !== 'number' || Number.isNaN(value)) { return messages(options)('unknown'); }
+
+   return typeof options.locale === 'string' ? value.toLocaleString(options.locale) : String(value);
+}
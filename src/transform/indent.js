@@ -1,15 +1,25 @@
 'use strict';
 
+import messages from './messages.js';
+
 /**
  * Provides a function providing an indented string based on the depth of category.
  *
  * @param {number}   depth - Depth of category.
+ * @param {object}   [options] - Optional parameters selecting error messages; please see `messages`.
  *
  * @returns {string}
  */
-export default function(depth)
+export default function(depth, options = {})
 {
-   if (!Number.isInteger(depth)) { throw new TypeError(`indent error: 'depth' is not an 'integer'.`); }
+   /* istanbul ignore if */
+   if (!Number.isInteger(depth))
+   {
+      const message = messages(options);
+
+      throw new TypeError(message('error.option', { method: 'indent', name: 'depth',
+       expected: message('type.integer') }));
+   }
 
    let result = '';
 
@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * Returns a function looking up the labels and error messages of the built-in transforms in a message catalog, so
+ * reports may be published in other languages without forking a transform. The catalog of `options.locale` is chosen
+ * by its full language tag followed by its language, for instance `de-AT` then `de`, and any message missing from it
+ * falls back to the English catalog. Catalogs are included for `en` and `de`.
+ *
+ * Individual messages of any catalog may be replaced with `options.messages`, a hash of message keys to templates.
+ * Templates contain `{name}` placeholders replaced by the values of a message. A message counting something such as
+ * `count.commit` may instead be an object of plural categories (`zero`, `one`, `two`, `few`, `many` and `other`)
+ * selected for `{count}` by `Intl.PluralRules`. When a plural object has neither the selected category nor `other` the
+ * message falls back to the next catalog as if it were missing:
+ * ```
+ * transformControl.transform(data, { transformType: 'text', locale: 'nl', messages: {
+ *    'ratelimit.core': 'Core: limiet: {limit}, resterend: {remaining}, reset: {reset}',
+ *    'count.commit': { one: '{count} commit', other: '{count} commits' } } });
+ * ```
+ *
+ * The keys and English templates are found in the English catalog below, for instance `ratelimit.core`,
+ * `stats.commitActivity.title`, `column.created_at`, `day.0` to `day.6`, `unknown` and `error.option`.
+ *
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string)    locale - A BCP 47 language tag selecting the message catalog; default ('en').
+ *
+ * (object)    messages - A hash of message keys to templates replacing messages of the catalog.
+ * ```
+ *
+ * @returns {function(key: string, values: object): string}
+ */
+export default function(options = {})
+{
+   const locale = typeof options.locale === 'string' ? options.locale : 'en';
+
+   const catalogs = [typeof options.messages === 'object' && options.messages !== null ? options.messages : {},
+    s_CATALOGS[locale] || {}, s_CATALOGS[locale.split('-')[0]] || {}, s_CATALOGS.en];
+
+   return (key, values = {}) =>
+   {
+      let template = key;
+
+      // A plural object without the selected category or `other` falls back to the next catalog.
+      for (const catalog of catalogs)
+      {
+         const entry = Object.prototype.hasOwnProperty.call(catalog, key) ? s_SELECT(catalog[key], locale, values) :
+          void 0;
+
+         if (typeof entry === 'string') { template = entry; break; }
+      }
+
+      return template.replace(/\{(\w+)\}/g, (match, name) =>
+       Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match);
+   };
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Plural rules by locale.
+ *
+ * @type {Map<string, Intl.PluralRules>}
+ */
+const s_PLURAL_CACHE = new Map();
+
+/**
+ * Returns the cached plural rules of a locale falling back to English for an unsupported locale.
+ *
+ * @param {string}   locale - A BCP 47 language tag.
+ *
+ * @returns {Intl.PluralRules}
+ */
+const s_PLURAL_RULES = (locale) =>
+{
+   if (!s_PLURAL_CACHE.has(locale))
+   {
+      let rules;
+
+      try { rules = new Intl.PluralRules(locale); }
+      catch (err) { rules = new Intl.PluralRules('en'); }
+
+      s_PLURAL_CACHE.set(locale, rules);
+   }
+
+   return s_PLURAL_CACHE.get(locale);
+};
+
+/**
+ * Returns the template of a catalog entry; for a plural object the template of the plural category of `values.count`
+ * or `other`. Returns `undefined` when the entry has neither.
+ *
+ * @param {string|object}  entry - A template or an object of plural categories.
+ * @param {string}         locale - A BCP 47 language tag selecting plural rules.
+ * @param {object}         values - The values of the message.
+ *
+ * @returns {string|undefined}
+ */
+const s_SELECT = (entry, locale, values) =>
+{
+   if (typeof entry !== 'object' || entry === null) { return entry; }
+
+   const template = entry[s_PLURAL_RULES(locale).select(values.count)];
+
+   return typeof template === 'string' ? template : entry.other;
+};
+
+/**
+ * The message catalogs by language tag.
+ *
+ * @type {object}
+ */
+const s_CATALOGS =
+{
+   en:
+   {
+      'column.clone_url': 'Clone URL',
+      'column.created_at': 'Created',
+      'column.default_branch': 'Default branch',
+      'column.description': 'Description',
+      'column.fork': 'Fork',
+      'column.name': 'Name',
+      'column.private': 'Private',
+
+      'count.addition': { one: '{count} addition', other: '{count} additions' },
+      'count.commit': { one: '{count} commit', other: '{count} commits' },
+      'count.contributor': { one: '{count} contributor', other: '{count} contributors' },
+      'count.deletion': { one: '{count} deletion', other: '{count} deletions' },
+      'count.user': { one: '{count} user', other: '{count} users' },
+      'count.week': { one: '{count} week', other: '{count} weeks' },
+
+      'day.0': 'Sun',
+      'day.1': 'Mon',
+      'day.2': 'Tue',
+      'day.3': 'Wed',
+      'day.4': 'Thu',
+      'day.5': 'Fri',
+      'day.6': 'Sat',
+
+      'diff.none': 'none',
+
+      'error.categoriesMismatch':
+       `{method} error: 'before.categories' ({before}) does not match 'after.categories' ({after}).`,
+      'error.diffTransformType': `{method} error: the '{transformType}' transform can not show the status of entries.`,
+      'error.identity': `{method} error: '{name}' may only contain letters, digits, '_' and '-'.`,
+      'error.invalidTransformType': `{method} error: '{name}' is an invalid transform type.`,
+      'error.noSnapshot': `{method} error: no snapshot found for '{methodName}' and identity '{identity}'.`,
+      'error.noSnapshotStore': `{method} error: no 'snapshots' store was provided to the constructor.`,
+      'error.option': `{method} error: '{name}' is not {expected}.`,
+      'error.rendererResult': `{method} error: '{name}' did not return a 'string'.`,
+      'error.templateMalformedTag': `{method} error: malformed tag '{tag}'.`,
+      'error.templateUnclosed': `{method} error: unclosed section '{tag}'.`,
+      'error.templateUnexpectedClose': `{method} error: unexpected closing tag '{tag}'.`,
+      'error.templateUnknownVariable': `{method} error: unknown variable '{tag}'.`,
+      'error.unknownColumn': `{method} error: '{name}' contains an unknown column '{column}'.`,
+
+      'ratelimit.core': 'Core: limit: {limit}, remaining: {remaining}, reset: {reset}',
+      'ratelimit.search': 'Search: limit: {limit}, remaining: {remaining}, reset: {reset}',
+
+      'relative.day': { one: '{count} day', other: '{count} days' },
+      'relative.future': 'in {time}',
+      'relative.hour': { one: '{count} hour', other: '{count} hours' },
+      'relative.minute': { one: '{count} minute', other: '{count} minutes' },
+      'relative.past': '{time} ago',
+      'relative.second': { one: '{count} second', other: '{count} seconds' },
+
+      'stats.codeFrequency.summary': '{additions} and {deletions} in {weeks}',
+      'stats.codeFrequency.title': 'Code frequency',
+      'stats.column.additions': 'Additions',
+      'stats.column.all': 'All',
+      'stats.column.commits': 'Commits',
+      'stats.column.contributor': 'Contributor',
+      'stats.column.day': 'Day',
+      'stats.column.deletions': 'Deletions',
+      'stats.column.lastWeeks': 'Last {count}',
+      'stats.column.owner': 'Owner',
+      'stats.column.total': 'Total',
+      'stats.column.weeks': 'Weeks',
+      'stats.column.year': 'Year',
+      'stats.commitActivity.busiest': '{summary}; busiest week {date} ({count})',
+      'stats.commitActivity.chart': 'Commit activity by week',
+      'stats.commitActivity.summary': '{commits} in {weeks}',
+      'stats.commitActivity.title': 'Commit activity',
+      'stats.contributors.summary': '{contributors} with {commits}',
+      'stats.contributors.title': 'Contributors',
+      'stats.participation.chart': 'Participation by week',
+      'stats.participation.summary': '{commits} in {weeks} of which {owner} by the owner',
+      'stats.participation.title': 'Participation',
+      'stats.pending.summary': 'GitHub is generating statistics; run the query again for complete results.',
+      'stats.pending.title': 'Pending',
+      'stats.punchCard.chart': 'Punch card of commits by weekday and hour',
+      'stats.punchCard.none': 'no commits',
+      'stats.punchCard.summary': 'busiest hour {day} {hour}:00 ({count})',
+      'stats.punchCard.title': 'Punch card',
+      'stats.stargazers.title': 'Stargazers',
+      'stats.users.names': '{users}: {names}',
+      'stats.watchers.title': 'Watchers',
+
+      'type.array': `an 'Array'`,
+      'type.boolean': `a 'boolean'`,
+      'type.booleanOrFunction': `a 'boolean' or 'function'`,
+      'type.dateOrNumber': `a 'Date' or 'number'`,
+      'type.escape': `'html', 'markdown', 'none' or a 'function'`,
+      'type.function': `a 'function'`,
+      'type.integer': `an 'integer'`,
+      'type.methodName': `a method name 'string'`,
+      'type.nonEmptyArray': `a non-empty 'array'`,
+      'type.nonNegativeInteger': `a non-negative 'integer'`,
+      'type.numberOrString': `a 'number' or 'string'`,
+      'type.object': `an 'object'`,
+      'type.oneOf': 'one of {values}',
+      'type.positiveInteger': `a positive 'integer'`,
+      'type.singleCharacter': `a single character 'string'`,
+      'type.snapshotStore': `a 'SnapshotStore'`,
+      'type.string': `a 'string'`,
+      'type.stringArray': `an 'Array<string>'`,
+      'type.stringOrObject': `a 'string' or an 'object'`,
+      'type.stringOrReadable': `a 'string' or 'stream.Readable'`,
+      'type.stringOrRegExp': `a 'string' or 'RegExp'`,
+      'type.time': 'a valid time',
+      'type.writable': `a 'Writable'`,
+
+      'unknown': 'unknown'
+   },
+
+   de:
+   {
+      'column.clone_url': 'Clone-URL',
+      'column.created_at': 'Erstellt',
+      'column.default_branch': 'Standard-Branch',
+      'column.description': 'Beschreibung',
+      'column.fork': 'Fork',
+      'column.name': 'Name',
+      'column.private': 'Privat',
+
+      'count.addition': { one: '{count} Hinzufügung', other: '{count} Hinzufügungen' },
+      'count.commit': { one: '{count} Commit', other: '{count} Commits' },
+      'count.contributor': { one: '{count} Mitwirkender', other: '{count} Mitwirkende' },
+      'count.deletion': { one: '{count} Löschung', other: '{count} Löschungen' },
+      'count.user': { one: '{count} Benutzer', other: '{count} Benutzer' },
+      'count.week': { one: '{count} Woche', other: '{count} Wochen' },
+
+      'day.0': 'So',
+      'day.1': 'Mo',
+      'day.2': 'Di',
+      'day.3': 'Mi',
+      'day.4': 'Do',
+      'day.5': 'Fr',
+      'day.6': 'Sa',
+
+      'diff.none': 'keine',
+
+      'error.categoriesMismatch':
+       `{method} Fehler: 'before.categories' ({before}) stimmt nicht mit 'after.categories' ({after}) überein.`,
+      'error.diffTransformType':
+       `{method} Fehler: die Transformation '{transformType}' kann den Status von Einträgen nicht anzeigen.`,
+      'error.identity': `{method} Fehler: '{name}' darf nur Buchstaben, Ziffern, '_' und '-' enthalten.`,
+      'error.invalidTransformType': `{method} Fehler: '{name}' ist ein ungültiger Transformationstyp.`,
+      'error.noSnapshot': `{method} Fehler: kein Snapshot für '{methodName}' und Identität '{identity}' gefunden.`,
+      'error.noSnapshotStore': `{method} Fehler: dem Konstruktor wurde kein 'snapshots' Speicher übergeben.`,
+      'error.option': `{method} Fehler: '{name}' ist {expected}.`,
+      'error.rendererResult': `{method} Fehler: '{name}' hat keinen 'string' zurückgegeben.`,
+      'error.templateMalformedTag': `{method} Fehler: fehlerhaftes Tag '{tag}'.`,
+      'error.templateUnclosed': `{method} Fehler: nicht geschlossener Abschnitt '{tag}'.`,
+      'error.templateUnexpectedClose': `{method} Fehler: unerwartetes schließendes Tag '{tag}'.`,
+      'error.templateUnknownVariable': `{method} Fehler: unbekannte Variable '{tag}'.`,
+      'error.unknownColumn': `{method} Fehler: '{name}' enthält die unbekannte Spalte '{column}'.`,
+
+      'ratelimit.core': 'Core: Limit: {limit}, verbleibend: {remaining}, Zurücksetzung: {reset}',
+      'ratelimit.search': 'Suche: Limit: {limit}, verbleibend: {remaining}, Zurücksetzung: {reset}',
+
+      'relative.day': { one: '{count} Tag', other: '{count} Tagen' },
+      'relative.future': 'in {time}',
+      'relative.hour': { one: '{count} Stunde', other: '{count} Stunden' },
+      'relative.minute': { one: '{count} Minute', other: '{count} Minuten' },
+      'relative.past': 'vor {time}',
+      'relative.second': { one: '{count} Sekunde', other: '{count} Sekunden' },
+
+      'stats.codeFrequency.summary': '{additions} und {deletions} in {weeks}',
+      'stats.codeFrequency.title': 'Code-Häufigkeit',
+      'stats.column.additions': 'Hinzufügungen',
+      'stats.column.all': 'Alle',
+      'stats.column.commits': 'Commits',
+      'stats.column.contributor': 'Mitwirkender',
+      'stats.column.day': 'Tag',
+      'stats.column.deletions': 'Löschungen',
+      'stats.column.lastWeeks': 'Letzte {count}',
+      'stats.column.owner': 'Eigentümer',
+      'stats.column.total': 'Gesamt',
+      'stats.column.weeks': 'Wochen',
+      'stats.column.year': 'Jahr',
+      'stats.commitActivity.busiest': '{summary}; aktivste Woche {date} ({count})',
+      'stats.commitActivity.chart': 'Commit-Aktivität pro Woche',
+      'stats.commitActivity.summary': '{commits} in {weeks}',
+      'stats.commitActivity.title': 'Commit-Aktivität',
+      'stats.contributors.summary': '{contributors} mit {commits}',
+      'stats.contributors.title': 'Mitwirkende',
+      'stats.participation.chart': 'Beteiligung pro Woche',
+      'stats.participation.summary': '{commits} in {weeks}, davon {owner} vom Eigentümer',
+      'stats.participation.title': 'Beteiligung',
+      'stats.pending.summary': 'GitHub erstellt die Statistiken; für vollständige Ergebnisse die Abfrage wiederholen.',
+      'stats.pending.title': 'Ausstehend',
+      'stats.punchCard.chart': 'Commits nach Wochentag und Stunde',
+      'stats.punchCard.none': 'keine Commits',
+      'stats.punchCard.summary': 'aktivste Stunde {day} {hour}:00 ({count})',
+      'stats.punchCard.title': 'Stundenübersicht',
+      'stats.stargazers.title': 'Sterne',
+      'stats.users.names': '{users}: {names}',
+      'stats.watchers.title': 'Beobachter',
+
+      'type.array': `kein 'Array'`,
+      'type.boolean': `kein 'boolean'`,
+      'type.booleanOrFunction': `weder ein 'boolean' noch eine 'function'`,
+      'type.dateOrNumber': `weder ein 'Date' noch eine 'number'`,
+      'type.escape': `weder 'html', 'markdown', 'none' noch eine 'function'`,
+      'type.function': `keine 'function'`,
+      'type.integer': `kein 'integer'`,
+      'type.methodName': `kein Methodenname als 'string'`,
+      'type.nonEmptyArray': `kein nicht leeres 'array'`,
+      'type.nonNegativeInteger': `kein nicht negativer 'integer'`,
+      'type.numberOrString': `weder eine 'number' noch ein 'string'`,
+      'type.object': `kein 'object'`,
+      'type.oneOf': 'nicht eines von {values}',
+      'type.positiveInteger': `kein positiver 'integer'`,
+      'type.singleCharacter': `kein 'string' aus einem Zeichen`,
+      'type.snapshotStore': `kein 'SnapshotStore'`,
+      'type.string': `kein 'string'`,
+      'type.stringArray': `kein 'Array<string>'`,
+      'type.stringOrObject': `weder ein 'string' noch ein 'object'`,
+      'type.stringOrReadable': `weder ein 'string' noch ein 'stream.Readable'`,
+      'type.stringOrRegExp': `weder ein 'string' noch ein 'RegExp'`,
+      'type.time': 'keine gültige Zeitangabe',
+      'type.writable': `kein 'Writable'`,
+
+      'unknown': 'unbekannt'
+   }
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Returns a copy of normalized data regrouped by the given category. The pivot category becomes the top level category
+ * followed by the remaining categories in their original order and the `categories` string is rewritten, so every
+ * transform renders the inverted tree unchanged. For instance `orgs:repos:contributors` pivoted by `contributors`
+ * becomes `contributors:orgs:repos` answering where each contributor works. The original data is not modified.
+ *
+ * Duplicate entries at each level are merged by `id` (or `name` when an entry has no `id`) keeping the fields of the
+ * first occurrence and combining nested entries in the order they are first encountered. Entries without a pivot
+ * entry below them, such as repos without contributors, are not included.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to pivot.
+ * @param {string}   pivot - The category to regroup by.
+ * @param {object}   options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {object}
+ */
+export default function(data, pivot, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof data !== 'object' || typeof data.categories !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'pivotCategories', name: 'data.categories',
+       expected: message('type.string') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof pivot !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'pivotCategories', name: 'pivot',
+       expected: message('type.string') }));
+   }
+
+   const categories = data.categories.split(':');
+   const pivotDepth = categories.indexOf(pivot);
+
+   /* istanbul ignore if */
+   if (pivotDepth < 0)
+   {
+      throw new Error(message('error.option', { method: 'pivotCategories', name: 'pivot',
+       expected: message('type.oneOf', { values: `'${categories.join(`', '`)}'` }) }));
+   }
+
+   // Already grouped by the pivot category; a shallow copy keeps the returned data distinct from the original.
+   if (pivotDepth === 0) { return Object.assign({}, data); }
+
+   const pivotCategories = [pivot].concat(categories.filter((category) => category !== pivot));
+
+   // Original depth of the entry at each depth of the pivoted data.
+   const depthMap = [pivotDepth].concat(categories.map((category, depth) => depth).filter((depth) =>
+    depth !== pivotDepth));
+
+   const root = { children: [], index: new Map() };
+
+   s_COLLECT(data[categories[0]], categories, 0, [], (path) =>
+   {
+      if (path.length <= pivotDepth) { return; }
+
+      let node = root;
+
+      for (let depth = 0; depth < path.length; depth++)
+      {
+         node = s_MERGE(node, path[depthMap[depth]]);
+      }
+   });
+
+   const result = Object.assign({}, data);
+
+   delete result[categories[0]];
+
+   result.categories = pivotCategories.join(':');
+   result[pivot] = s_BUILD(root, categories, pivotCategories, 0, depthMap);
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Builds the pivoted entries of a node copying each entry and replacing its original nested category data with the
+ * merged entries of the next pivoted category.
+ *
+ * @param {object}         node - A node with `children` and an `index` of children by key.
+ * @param {Array<string>}  categories - Original categories of the data.
+ * @param {Array<string>}  pivotCategories - Categories of the pivoted data.
+ * @param {number}         depth - Current depth of the pivoted data.
+ * @param {Array<number>}  depthMap - Original depth of the entry at each depth of the pivoted data.
+ *
+ * @returns {Array<object>}
+ */
+const s_BUILD = (node, categories, pivotCategories, depth, depthMap) =>
+{
+   const originalNext = categories[depthMap[depth] + 1];
+   const nextCategory = pivotCategories[depth + 1];
+
+   return node.children.map((child) =>
+   {
+      const entry = Object.assign({}, child.entry);
+
+      if (originalNext) { delete entry[originalNext]; }
+
+      if (nextCategory)
+      {
+         entry[nextCategory] = s_BUILD(child, categories, pivotCategories, depth + 1, depthMap);
+      }
+
+      return entry;
+   });
+};
+
+/**
+ * Invokes a callback with the path of entries from the top level category to each entry without nested entries.
+ *
+ * @param {Array<object>}  entries - Entries of the category at the given depth.
+ * @param {Array<string>}  categories - Categories of the data.
+ * @param {number}         depth - Current category depth.
+ * @param {Array<object>}  path - Entries of the parent categories.
+ * @param {function}       callback - Invoked with each path of entries.
+ */
+const s_COLLECT = (entries, categories, depth, path, callback) =>
+{
+   if (!Array.isArray(entries)) { return; }
+
+   const nextCategory = categories[depth + 1];
+
+   for (const entry of entries)
+   {
+      const entryPath = path.concat([entry]);
+
+      if (nextCategory && Array.isArray(entry[nextCategory]) && entry[nextCategory].length > 0)
+      {
+         s_COLLECT(entry[nextCategory], categories, depth + 1, entryPath, callback);
+      }
+      else
+      {
+         callback(entryPath);
+      }
+   }
+};
+
+/**
+ * Returns the child node of a node for an entry adding a child node when the entry has not been merged yet.
+ *
+ * @param {object}   node - A node with `children` and an `index` of children by key.
+ * @param {object}   entry - Entry to merge.
+ *
+ * @returns {object}
+ */
+const s_MERGE = (node, entry) =>
+{
+   const key = typeof entry.id !== 'undefined' ? `id:${entry.id}` : `name:${entry.name}`;
+
+   let child = node.index.get(key);
+
+   if (typeof child === 'undefined')
+   {
+      child = { entry, children: [], index: new Map() };
+
+      node.children.push(child);
+      node.index.set(key, child);
+   }
+
+   return child;
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+import formatDate   from './formatDate.js';
+import formatNumber from './formatNumber.js';
+import messages     from './messages.js';
+
+/**
+ * Returns the unescaped core and search lines of a rate limit entry rendered by the built-in transforms, for instance
+ * `Core: limit: 5000, remaining: 4999, reset: 2016-02-27T11:31:51Z`. Limits are formatted by `formatNumber` and reset
+ * times by `formatDate`, so missing values are rendered as `unknown`. The lines are the `ratelimit.core` and
+ * `ratelimit.search` messages for `options.locale`.
+ *
+ * @param {object}   entry - A rate limit entry with `core` and `search` limits.
+ * @param {object}   options - Optional parameters which format numbers, dates and messages; please see `formatDate`,
+ *                             `formatNumber` and `messages`.
+ *
+ * @returns {Array<string>}
+ */
+export default function(entry, options = {})
+{
+   const message = messages(options);
+
+   return [['ratelimit.core', entry.core], ['ratelimit.search', entry.search]].map((resource) =>
+   {
+      const limit = typeof resource[1] === 'object' && resource[1] !== null ? resource[1] : {};
+
+      return message(resource[0], { limit: formatNumber(limit.limit, options),
+       remaining: formatNumber(limit.remaining, options), reset: formatDate(limit.reset, options) });
+   });
+}
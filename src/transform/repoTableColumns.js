@@ -0,0 +1,64 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Returns the columns of the repo table rendered by the HTML and Markdown transforms when `layout` is `table`. Each
+ * column is drawn from a normalized repo field. When `options.columns` is not provided the default columns are
+ * `name`, `description`, `default_branch` and `created_at`. Labels are the `column.<field>` messages, for instance
+ * `column.created_at`.
+ *
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   columns - Repo fields to render as columns; any of `name`, `description`, `fork`, `private`,
+ *                             `default_branch`, `created_at` and `clone_url`.
+ *
+ * (string)          locale - A BCP 47 language tag selecting labels and error messages; please see `messages`.
+ *
+ * (object)          messages - Message overrides; please see `messages`.
+ * ```
+ * @param {string}   transformName - Name of the calling transform for error messages.
+ *
+ * @returns {Array<{field: string, label: string}>}
+ */
+export default function(options, transformName)
+{
+   const message = messages(options);
+
+   const columns = typeof options.columns !== 'undefined' ? options.columns : s_DEFAULT_COLUMNS;
+
+   /* istanbul ignore if */
+   if (!Array.isArray(columns) || columns.length === 0)
+   {
+      throw new TypeError(message('error.option', { method: transformName, name: 'options.columns',
+       expected: message('type.nonEmptyArray') }));
+   }
+
+   return columns.map((field) =>
+   {
+      /* istanbul ignore if */
+      if (s_COLUMNS.indexOf(field) < 0)
+      {
+         throw new TypeError(message('error.unknownColumn', { method: transformName, name: 'options.columns',
+          column: field }));
+      }
+
+      return { field, label: message(`column.${field}`) };
+   });
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * The supported repo fields.
+ *
+ * @type {Array<string>}
+ */
+const s_COLUMNS = ['name', 'description', 'fork', 'private', 'default_branch', 'created_at', 'clone_url'];
+
+/**
+ * The default repo table columns.
+ *
+ * @type {Array<string>}
+ */
+const s_DEFAULT_COLUMNS = ['name', 'description', 'default_branch', 'created_at'];
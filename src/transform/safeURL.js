@@ -0,0 +1,51 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Provides a function that only returns the given URL if its scheme is allow-listed. Relative URLs without a scheme
+ * are returned unchanged. Any URL with a disallowed scheme such as `javascript:` or `data:` results in an empty string.
+ * Whitespace and control characters are ignored when determining the scheme as browsers also ignore them.
+ *
+ * @param {string}         url - URL to check.
+ * @param {Array<string>}  [schemes] - Allowed schemes; default (['http', 'https', 'mailto']).
+ * @param {object}         [options] - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {string}
+ */
+export default function(url, schemes = s_DEFAULT_SCHEMES, options = {})
+{
+   if (typeof url !== 'string') { return ''; }
+
+   /* istanbul ignore if */
+   if (!Array.isArray(schemes))
+   {
+      const message = messages(options);
+
+      throw new TypeError(message('error.option', { method: 'safeURL', name: 'schemes',
+       expected: message('type.array') }));
+   }
+
+   const match = s_SCHEME_REGEX.exec(url.replace(/[\u0000- \u007f]/g, ''));
+
+   // No scheme is present, so the URL is relative.
+   if (match === null) { return url; }
+
+   return schemes.indexOf(match[1].toLowerCase()) >= 0 ? url : '';
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * The default allowed URL schemes.
+ *
+ * @type {Array<string>}
+ */
+const s_DEFAULT_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Matches a URL scheme per RFC 3986. The scheme must precede any `/`, `?` or `#`.
+ *
+ * @type {RegExp}
+ */
+const s_SCHEME_REGEX = /^([a-z][a-z0-9+.\-]*):/i;
@@ -0,0 +1,75 @@
+'use strict';
+
+import userCategories   from './userCategories.js';
+
+/**
+ * Provides a function returning a shallow copy of a normalized entry with only the fields selected for its category.
+ * When `options.fields` has an array of field names for the category only `name` and those fields are kept, otherwise
+ * `description` fields are removed unless `options.description` is true. When `options.excludeFields` has an array of
+ * field names for the category those fields are removed. An entry for `users` in either option applies to all user
+ * categories without an entry of their own. Any keys in `keepKeys` such as nested category data are always kept.
+ *
+ * @param {object}         entry - A normalized entry.
+ * @param {string}         category - The category of the entry.
+ * @param {object}         options - Optional parameters:
+ * ```
+ * (boolean)   description - Keeps `description` fields; default (false).
+ *
+ * (object)    excludeFields - A hash of category names to an array of field names to remove.
+ *
+ * (object)    fields - A hash of category names to an array of field names to keep in addition to `name`; this
+ *                      takes precedence over `description`.
+ * ```
+ * @param {Array<string>}  keepKeys - Keys which are always kept.
+ *
+ * @returns {object}
+ */
+export default function(entry, category, options = {}, keepKeys = [])
+{
+   const allowFields = s_CATEGORY_ENTRY(options.fields, category);
+
+   const excludeFields = s_CATEGORY_ENTRY(options.excludeFields, category) || [];
+
+   const result = {};
+
+   for (const key in entry)
+   {
+      if (!Object.prototype.hasOwnProperty.call(entry, key)) { continue; }
+
+      if (keepKeys.indexOf(key) < 0)
+      {
+         if (allowFields !== null)
+         {
+            if (key !== 'name' && allowFields.indexOf(key) < 0) { continue; }
+         }
+         else if (key === 'description' && options.description !== true) { continue; }
+
+         if (excludeFields.indexOf(key) >= 0) { continue; }
+      }
+
+      result[key] = entry[key];
+   }
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the array of field names for a category from a hash of category names or `null` when not provided.
+ *
+ * @param {object}   hash - A hash of category names to an array of field names.
+ * @param {string}   category - The category of the entry.
+ *
+ * @returns {Array<string>|null}
+ */
+const s_CATEGORY_ENTRY = (hash, category) =>
+{
+   if (typeof hash !== 'object' || hash === null) { return null; }
+
+   if (Array.isArray(hash[category])) { return hash[category]; }
+
+   if (userCategories.indexOf(category) >= 0 && Array.isArray(hash.users)) { return hash.users; }
+
+   return null;
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Returns a copy of normalized data where the entries of each category are sorted. The original data is not modified.
+ * Entries are sorted by a key which is one of `name`, `id`, `created_at`, `stargazers_count` or `children` (the number
+ * of nested entries). Names are compared case insensitively and entries missing the key are always sorted last. Ties
+ * are broken by `name` then `id`, so the order is stable between queries which return entries in a different order.
+ *
+ * The `sort` option is either a key string applied to all categories or an object:
+ * ```
+ * (string)    key - The default key for all categories; default ('name').
+ *
+ * (string)    direction - The default direction; `asc` or `desc`; default ('asc').
+ *
+ * (object)    categories - A hash of category names to a key string or `{ key, direction }` overriding the defaults.
+ * ```
+ *
+ * @param {object}         data - Normalized data from `GitHubInspectOrgs` to sort.
+ * @param {string|object}  sort - Sort key or options.
+ * @param {object}         options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {object}
+ */
+export default function(data, sort, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof data !== 'object' || typeof data.categories !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'sortCategories', name: 'data.categories',
+       expected: message('type.string') }));
+   }
+
+   const sortOptions = typeof sort === 'string' ? { key: sort } : sort;
+
+   /* istanbul ignore if */
+   if (typeof sortOptions !== 'object' || sortOptions === null)
+   {
+      throw new TypeError(message('error.option', { method: 'sortCategories', name: 'sort',
+       expected: message('type.stringOrObject') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof sortOptions.categories !== 'undefined' &&
+    (typeof sortOptions.categories !== 'object' || sortOptions.categories === null))
+   {
+      throw new TypeError(message('error.option', { method: 'sortCategories', name: 'sort.categories',
+       expected: message('type.object') }));
+   }
+
+   const defaultSort = s_VALIDATE(message, 'sort', { key: 'name', direction: 'asc' }, sortOptions);
+
+   const categorySorts = {};
+
+   for (const category in sortOptions.categories)
+   {
+      const categorySort = sortOptions.categories[category];
+
+      categorySorts[category] = s_VALIDATE(message, `sort.categories.${category}`, defaultSort,
+       typeof categorySort === 'string' ? { key: categorySort } : categorySort);
+   }
+
+   const result = Object.assign({}, data);
+
+   s_SORT(result, data.categories.split(':'), 0, defaultSort, categorySorts);
+
+   return result;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the comparable value of an entry for a sort key.
+ *
+ * @param {object}   entry - Entry to sort.
+ * @param {string}   key - Sort key.
+ * @param {string}   nextCategory - Nested category name.
+ *
+ * @returns {*}
+ */
+const s_VALUE = (entry, key, nextCategory) =>
+{
+   if (key === 'children')
+   {
+      return nextCategory && Array.isArray(entry[nextCategory]) ? entry[nextCategory].length : 0;
+   }
+
+   return entry[key];
+};
+
+/**
+ * Compares two values; strings are compared case insensitively and then by case. Missing values are sorted last.
+ *
+ * @param {*}  a - First value.
+ * @param {*}  b - Second value.
+ *
+ * @returns {number}
+ */
+const s_COMPARE = (a, b) =>
+{
+   const aMissing = typeof a === 'undefined' || a === null;
+   const bMissing = typeof b === 'undefined' || b === null;
+
+   if (aMissing || bMissing) { return aMissing === bMissing ? 0 : aMissing ? 1 : -1; }
+
+   if (typeof a === 'string' && typeof b === 'string')
+   {
+      const aLower = a.toLowerCase();
+      const bLower = b.toLowerCase();
+
+      if (aLower !== bLower) { return aLower < bLower ? -1 : 1; }
+   }
+
+   return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Sorts the entries of the category at the given depth of a parent copying each parent with nested entries.
+ *
+ * @param {object}         parent - A copy of the parent entry or data.
+ * @param {Array<string>}  categories - Categories of the data.
+ * @param {number}         depth - Current category depth.
+ * @param {object}         defaultSort - The default `{ key, direction }`.
+ * @param {object}         categorySorts - A hash of category names to `{ key, direction }`.
+ */
+const s_SORT = (parent, categories, depth, defaultSort, categorySorts) =>
+{
+   const category = categories[depth];
+   const nextCategory = categories[depth + 1];
+
+   if (!Array.isArray(parent[category])) { return; }
+
+   const entries = parent[category].map((entry) =>
+   {
+      if (!nextCategory || !Array.isArray(entry[nextCategory])) { return entry; }
+
+      const copy = Object.assign({}, entry);
+
+      s_SORT(copy, categories, depth + 1, defaultSort, categorySorts);
+
+      return copy;
+   });
+
+   const sort = categorySorts.hasOwnProperty(category) ? categorySorts[category] : defaultSort;
+   const sign = sort.direction === 'desc' ? -1 : 1;
+
+   entries.sort((a, b) =>
+   {
+      const aValue = s_VALUE(a, sort.key, nextCategory);
+      const bValue = s_VALUE(b, sort.key, nextCategory);
+
+      const aMissing = typeof aValue === 'undefined' || aValue === null;
+      const bMissing = typeof bValue === 'undefined' || bValue === null;
+
+      // Missing values are sorted last regardless of direction.
+      const result = aMissing || bMissing ? s_COMPARE(aValue, bValue) : sign * s_COMPARE(aValue, bValue);
+
+      return result !== 0 ? result : s_COMPARE(a.name, b.name) || s_COMPARE(a.id, b.id);
+   });
+
+   parent[category] = entries;
+};
+
+/**
+ * Validates a `{ key, direction }` sort returning it with defaults applied.
+ *
+ * @param {function} message - Looks up error messages.
+ * @param {string}   name - Option name for error messages.
+ * @param {object}   defaults - Default `{ key, direction }`.
+ * @param {object}   sort - Sort to validate.
+ *
+ * @returns {{key: string, direction: string}}
+ */
+const s_VALIDATE = (message, name, defaults, sort) =>
+{
+   /* istanbul ignore if */
+   if (typeof sort !== 'object' || sort === null)
+   {
+      throw new TypeError(message('error.option', { method: 'sortCategories', name,
+       expected: message('type.stringOrObject') }));
+   }
+
+   const key = typeof sort.key !== 'undefined' ? sort.key : defaults.key;
+   const direction = typeof sort.direction !== 'undefined' ? sort.direction : defaults.direction;
+
+   /* istanbul ignore if */
+   if (s_KEYS.indexOf(key) < 0)
+   {
+      throw new TypeError(message('error.option', { method: 'sortCategories', name: `${name}.key`,
+       expected: message('type.oneOf', { values: `'${s_KEYS.join(`', '`)}'` }) }));
+   }
+
+   /* istanbul ignore if */
+   if (direction !== 'asc' && direction !== 'desc')
+   {
+      throw new TypeError(message('error.option', { method: 'sortCategories', name: `${name}.direction`,
+       expected: message('type.oneOf', { values: `'asc', 'desc'` }) }));
+   }
+
+   return { key, direction };
+};
+
+/**
+ * The supported sort keys.
+ *
+ * @type {Array<string>}
+ */
+const s_KEYS = ['name', 'id', 'created_at', 'stargazers_count', 'children'];
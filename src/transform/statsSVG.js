@@ -0,0 +1,215 @@
+'use strict';
+
+import escapeHTML from './escapeHTML.js';
+import messages   from './messages.js';
+
+/**
+ * Returns a self-contained inline SVG chart of a stats type from `GitHubInspectOrgs->getOrgRepoStats` or `null` when
+ * the stats type is not charted or its data is not in the expected form. Charts only use SVG presentation attributes,
+ * so they render without any external JS or CSS and each chart has a `title` for assistive technology. Each mark has a
+ * `title` with its value which is shown as a tooltip by browsers. The charted stats types are:
+ * ```
+ * commitActivity - A bar for the commits of each week.
+ *
+ * participation - A line of the weekly commits of everyone and of the owner with a legend.
+ *
+ * punchCard - A heatmap of commits by weekday and hour where the opacity of each cell scales with its commits; hours
+ *             without commits show the background.
+ * ```
+ *
+ * The chart is returned as lines separated by `\n` without indentation. Chart titles, legends and weekday names are
+ * messages such as `stats.punchCard.chart` for `options.locale`.
+ *
+ * @param {object}   entry - A stats entry.
+ * @param {string}   name - The stats type to chart.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (number)    chartWidth - The width of the chart in pixels; default (520).
+ *
+ * (string)    locale - A BCP 47 language tag selecting messages; please see `messages`.
+ *
+ * (object)    messages - Message overrides; please see `messages`.
+ * ```
+ *
+ * @returns {string|null}
+ */
+export default function(entry, name, options = {})
+{
+   const width = Number.isInteger(options.chartWidth) ? options.chartWidth : 520;
+   const message = messages(options);
+
+   switch (name)
+   {
+      case 'commitActivity':
+         return Array.isArray(entry.commitActivity) ? s_COMMIT_ACTIVITY(entry.commitActivity, width, message) : null;
+
+      case 'participation':
+         return typeof entry.participation === 'object' && entry.participation !== null ?
+          s_PARTICIPATION(entry.participation, width, message) : null;
+
+      case 'punchCard':
+         return Array.isArray(entry.punchCard) ? s_PUNCH_CARD(entry.punchCard, width, message) : null;
+
+      default:
+         return null;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns a bar chart of the commits of each week.
+ *
+ * @param {Array<object>}  weeks - Weekly commit activity.
+ * @param {number}         width - Chart width in pixels.
+ * @param {function}       message - Looks up a message.
+ *
+ * @returns {string}
+ */
+const s_COMMIT_ACTIVITY = (weeks, width, message) =>
+{
+   const height = 80;
+   const barWidth = width / Math.max(1, weeks.length);
+   const max = Math.max(1, ...weeks.map((week) => week.total || 0));
+
+   const lines = [s_OPEN(width, height, message('stats.commitActivity.chart'))];
+
+   weeks.forEach((week, index) =>
+   {
+      const total = week.total || 0;
+      const barHeight = total / max * height;
+      const label = `${Number.isFinite(week.week) ? `${s_DATE(week.week)}: ` : ''}${total}`;
+
+      lines.push(`   <rect x="${s_NUMBER(index * barWidth)}" y="${s_NUMBER(height - barHeight)}" width="${
+       s_NUMBER(Math.max(1, barWidth - 1))}" height="${s_NUMBER(barHeight)}" fill="#2da44e"><title>${
+        escapeHTML(label)}</title></rect>`);
+   });
+
+   lines.push('</svg>');
+
+   return lines.join('\n');
+};
+
+/**
+ * Returns the UTC date `YYYY-MM-DD` of a GitHub week timestamp in seconds.
+ *
+ * @param {number}   seconds - Unix timestamp in seconds.
+ *
+ * @returns {string}
+ */
+const s_DATE = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+/**
+ * Returns a coordinate rounded to two decimals.
+ *
+ * @param {number}   value - A coordinate.
+ *
+ * @returns {number}
+ */
+const s_NUMBER = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Returns the opening `svg` element and chart title.
+ *
+ * @param {number}   width - Chart width in pixels.
+ * @param {number}   height - Chart height in pixels.
+ * @param {string}   title - Chart title.
+ *
+ * @returns {string}
+ */
+const s_OPEN = (width, height, title) => `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height
+ }" viewBox="0 0 ${width} ${height}" role="img" font-family="sans-serif" font-size="10"><title>${escapeHTML(title)
+  }</title>`;
+
+/**
+ * Returns a line chart of the weekly commits of everyone and of the owner.
+ *
+ * @param {object}   participation - Participation with `all` and `owner` arrays of weekly commits.
+ * @param {number}   width - Chart width in pixels.
+ * @param {function} message - Looks up a message.
+ *
+ * @returns {string}
+ */
+const s_PARTICIPATION = (participation, width, message) =>
+{
+   const height = 80;
+   const legend = 14;
+
+   const series = [
+      { label: message('stats.column.all'), color: '#0366d6',
+       values: Array.isArray(participation.all) ? participation.all : [] },
+      { label: message('stats.column.owner'), color: '#e36209',
+       values: Array.isArray(participation.owner) ? participation.owner : [] }
+   ];
+
+   const max = Math.max(1, ...series[0].values, ...series[1].values);
+
+   const lines = [s_OPEN(width, height + legend, message('stats.participation.chart'))];
+
+   series.forEach((line, index) =>
+   {
+      const step = width / Math.max(1, line.values.length - 1);
+
+      const points = line.values.map((value, week) => `${s_NUMBER(week * step)},${
+       s_NUMBER(legend + height - (value || 0) / max * (height - 1))}`).join(' ');
+
+      lines.push(`   <text x="${index * 60}" y="10" fill="${line.color}">${escapeHTML(line.label)}</text>`);
+      lines.push(`   <polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="1.5"><title>${
+       escapeHTML(line.label)}: ${line.values.reduce((sum, value) => sum + (value || 0), 0)}</title></polyline>`);
+   });
+
+   lines.push('</svg>');
+
+   return lines.join('\n');
+};
+
+/**
+ * Returns a heatmap of commits by weekday and hour.
+ *
+ * @param {Array<Array<number>>} punchCard - Entries of weekday, hour and commits.
+ * @param {number}               width - Chart width in pixels.
+ * @param {function}             message - Looks up a message.
+ *
+ * @returns {string}
+ */
+const s_PUNCH_CARD = (punchCard, width, message) =>
+{
+   // Weekday names indexed from Sunday as GitHub orders weekdays.
+   const days = [0, 1, 2, 3, 4, 5, 6].map((day) => escapeHTML(message(`day.${day}`)));
+
+   // Cells are at least one pixel, so narrow charts overflow to the right instead of collapsing.
+   const labelWidth = 30;
+   const cell = Math.max(1, (width - labelWidth) / 24);
+   const height = cell * 7;
+
+   const hours = punchCard.filter((hour) => Array.isArray(hour) && hour[0] >= 0 && hour[0] < 7 && hour[1] >= 0 &&
+    hour[1] < 24);
+
+   const max = Math.max(1, ...hours.map((hour) => hour[2] || 0));
+
+   const lines = [s_OPEN(width, s_NUMBER(height), message('stats.punchCard.chart'))];
+
+   lines.push(`   <rect x="${labelWidth}" y="0" width="${s_NUMBER(cell * 24)}" height="${s_NUMBER(height)
+    }" fill="#f6f8fa"/>`);
+
+   days.forEach((day, index) =>
+   {
+      lines.push(`   <text x="0" y="${s_NUMBER((index + 0.5) * cell)}" dominant-baseline="middle">${day}</text>`);
+   });
+
+   for (const hour of hours)
+   {
+      const commits = hour[2] || 0;
+
+      if (commits === 0) { continue; }
+
+      lines.push(`   <rect x="${s_NUMBER(labelWidth + hour[1] * cell)}" y="${s_NUMBER(hour[0] * cell)}" width="${
+       s_NUMBER(Math.max(1, cell - 1))}" height="${s_NUMBER(Math.max(1, cell - 1))}" fill="#2da44e" fill-opacity="${
+        s_NUMBER(0.15 + 0.85 * commits / max)}"><title>${days[hour[0]]} ${`0${hour[1]}`.slice(-2)}:00: ${commits
+         }</title></rect>`);
+   }
+
+   lines.push('</svg>');
+
+   return lines.join('\n');
+};
@@ -0,0 +1,290 @@
+'use strict';
+
+import messages from './messages.js';
+
+/**
+ * Summarizes a stats entry from `GitHubInspectOrgs->getOrgRepoStats` as a list of sections, one for each stats type
+ * present in the entry, which the `html`, `markdown` and `text` transforms render as a summary line followed by a
+ * table in their own format. Each section is an object:
+ * ```
+ * (string)          name - The stats type; one of `commitActivity`, `contributors`, `codeFrequency`,
+ *                          `participation`, `punchCard`, `stargazers`, `watchers` or `pending`.
+ *
+ * (string)          title - A readable title of the stats type.
+ *
+ * (string)          summary - A one line summary.
+ *
+ * (Array<string>)   columns - Table column labels; empty when the section has no table.
+ *
+ * (Array<Array<string>>)  rows - Table rows of unescaped cell values.
+ * ```
+ *
+ * The sections summarize:
+ * ```
+ * commitActivity - Total commits of the last year and the busiest week with a table of commits by weekday.
+ * contributors - A table of commits, additions and deletions by contributor ordered by commits.
+ * codeFrequency - Total additions and deletions with a table by year.
+ * participation - A table of commits by everyone and the owner for the last 4, 13 and 52 weeks.
+ * punchCard - The busiest hour with a table of commits by weekday and six hour period.
+ * stargazers / watchers - The number of users and their names.
+ * ```
+ *
+ * GitHub generates statistics in the background and may not return results on the first query. In that case a
+ * `pending` section without a table is returned first as the query needs to be run again.
+ *
+ * Titles, summaries, column labels and weekday names are messages such as `stats.commitActivity.title`,
+ * `count.commit` and `day.0` for `options.locale`.
+ *
+ * @param {object}   entry - A stats entry.
+ * @param {object}   options - Optional parameters selecting messages; please see `messages`.
+ *
+ * @returns {Array<{name: string, title: string, summary: string, columns: Array<string>, rows: Array<Array<string>>}>}
+ */
+export default function(entry, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof entry !== 'object' || entry === null)
+   {
+      throw new TypeError(message('error.option', { method: 'statsSummary', name: 'entry',
+       expected: message('type.object') }));
+   }
+
+   const sections = [];
+
+   if (entry._resultsPending)
+   {
+      sections.push(s_SECTION('pending', message('stats.pending.title'), message('stats.pending.summary')));
+   }
+
+   for (const name of Object.keys(s_SUMMARIZE))
+   {
+      const data = entry[name];
+
+      const section = typeof data === 'object' && data !== null ? s_SUMMARIZE[name](data, message) : null;
+
+      if (section !== null) { sections.push(section); }
+   }
+
+   return sections;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns a count followed by a singular or plural noun from the `count.<noun>` message.
+ *
+ * @param {function} message - Looks up a message.
+ * @param {number}   count - A count.
+ * @param {string}   noun - A noun such as `commit`.
+ *
+ * @returns {string}
+ */
+const s_COUNT = (message, count, noun) => message(`count.${noun}`, { count });
+
+/**
+ * Returns the UTC date `YYYY-MM-DD` of a GitHub week timestamp in seconds.
+ *
+ * @param {number}   seconds - Unix timestamp in seconds.
+ *
+ * @returns {string}
+ */
+const s_DATE = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+/**
+ * Returns weekday names indexed from Sunday as GitHub orders weekdays.
+ *
+ * @param {function} message - Looks up a message.
+ *
+ * @returns {Array<string>}
+ */
+const s_DAYS = (message) => [0, 1, 2, 3, 4, 5, 6].map((day) => message(`day.${day}`));
+
+/**
+ * Returns a section.
+ *
+ * @param {string}                  name - The stats type.
+ * @param {string}                  title - A readable title.
+ * @param {string}                  summary - A one line summary.
+ * @param {Array<string>}           columns - Table column labels.
+ * @param {Array<Array<*>>}         rows - Table rows; cell values are converted to strings.
+ *
+ * @returns {{name: string, title: string, summary: string, columns: Array<string>, rows: Array<Array<string>>}}
+ */
+const s_SECTION = (name, title, summary, columns = [], rows = []) =>
+ ({ name, title, summary, columns, rows: rows.map((row) => row.map((value) => String(value))) });
+
+/**
+ * Returns the sum of an array of numbers ignoring any value which is not a number.
+ *
+ * @param {Array<*>} values - Values to sum.
+ *
+ * @returns {number}
+ */
+const s_SUM = (values) => values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+
+/**
+ * Summarizes each stats type with the data and a message lookup. A summarizer returns `null` when the data is not in
+ * the expected form, for instance `contributors` is an empty object while GitHub is generating statistics.
+ *
+ * @type {object}
+ */
+const s_SUMMARIZE =
+{
+   commitActivity: (weeks, message) =>
+   {
+      if (!Array.isArray(weeks)) { return null; }
+
+      const days = [0, 0, 0, 0, 0, 0, 0];
+
+      let busiest = null;
+
+      for (const week of weeks)
+      {
+         if (Array.isArray(week.days)) { week.days.forEach((commits, day) => { days[day] += commits || 0; }); }
+
+         if (week.total > 0 && Number.isFinite(week.week) && (busiest === null || week.total > busiest.total))
+         {
+            busiest = week;
+         }
+      }
+
+      const total = s_SUM(weeks.map((week) => week.total));
+
+      let summary = message('stats.commitActivity.summary', { commits: s_COUNT(message, total, 'commit'),
+       weeks: s_COUNT(message, weeks.length, 'week') });
+
+      if (busiest !== null)
+      {
+         summary = message('stats.commitActivity.busiest', { summary, date: s_DATE(busiest.week),
+          count: busiest.total });
+      }
+
+      return s_SECTION('commitActivity', message('stats.commitActivity.title'), summary,
+       [message('stats.column.day'), message('stats.column.commits')],
+        s_DAYS(message).map((day, index) => [day, days[index]]));
+   },
+
+   contributors: (contributors, message) =>
+   {
+      if (!Array.isArray(contributors)) { return null; }
+
+      const rows = contributors.map((contributor) =>
+      {
+         const weeks = Array.isArray(contributor.weeks) ? contributor.weeks : [];
+
+         const name = typeof contributor.author === 'object' && contributor.author !== null ?
+          contributor.author.name : '';
+
+         return [name, contributor.total || 0, s_SUM(weeks.map((week) => week.a)),
+          s_SUM(weeks.map((week) => week.d))];
+      });
+
+      rows.sort((a, b) => b[1] - a[1]);
+
+      const summary = message('stats.contributors.summary', {
+         contributors: s_COUNT(message, contributors.length, 'contributor'),
+         commits: s_COUNT(message, s_SUM(rows.map((row) => row[1])), 'commit')
+      });
+
+      return s_SECTION('contributors', message('stats.contributors.title'), summary,
+       ['contributor', 'commits', 'additions', 'deletions'].map((column) => message(`stats.column.${column}`)), rows);
+   },
+
+   codeFrequency: (weeks, message) =>
+   {
+      if (!Array.isArray(weeks)) { return null; }
+
+      const years = new Map();
+
+      for (const week of weeks)
+      {
+         if (!Array.isArray(week) || !Number.isFinite(week[0])) { continue; }
+
+         const year = s_DATE(week[0]).slice(0, 4);
+         const totals = years.get(year) || [year, 0, 0];
+
+         totals[1] += week[1] || 0;
+         totals[2] += Math.abs(week[2] || 0);
+
+         years.set(year, totals);
+      }
+
+      const rows = Array.from(years.values());
+
+      const summary = message('stats.codeFrequency.summary', {
+         additions: s_COUNT(message, s_SUM(rows.map((row) => row[1])), 'addition'),
+         deletions: s_COUNT(message, s_SUM(rows.map((row) => row[2])), 'deletion'),
+         weeks: s_COUNT(message, weeks.length, 'week')
+      });
+
+      return s_SECTION('codeFrequency', message('stats.codeFrequency.title'), summary,
+       ['year', 'additions', 'deletions'].map((column) => message(`stats.column.${column}`)), rows);
+   },
+
+   participation: (participation, message) =>
+   {
+      const all = Array.isArray(participation.all) ? participation.all : [];
+      const owner = Array.isArray(participation.owner) ? participation.owner : [];
+
+      const summary = message('stats.participation.summary', { commits: s_COUNT(message, s_SUM(all), 'commit'),
+       weeks: s_COUNT(message, all.length, 'week'), owner: s_SUM(owner) });
+
+      return s_SECTION('participation', message('stats.participation.title'), summary,
+       ['weeks', 'all', 'owner'].map((column) => message(`stats.column.${column}`)), [4, 13, 52].map((weeks) =>
+        [message('stats.column.lastWeeks', { count: weeks }), s_SUM(all.slice(-weeks)), s_SUM(owner.slice(-weeks))]));
+   },
+
+   punchCard: (punchCard, message) =>
+   {
+      if (!Array.isArray(punchCard)) { return null; }
+
+      const days = s_DAYS(message);
+
+      const rows = days.map((day) => [day, 0, 0, 0, 0, 0]);
+
+      let busiest = null;
+
+      for (const hour of punchCard)
+      {
+         if (!Array.isArray(hour) || !rows[hour[0]] || !(hour[1] >= 0 && hour[1] <= 23)) { continue; }
+
+         const commits = hour[2] || 0;
+
+         rows[hour[0]][1 + Math.floor(hour[1] / 6)] += commits;
+         rows[hour[0]][5] += commits;
+
+         if (commits > 0 && (busiest === null || commits > busiest[2])) { busiest = hour; }
+      }
+
+      const summary = busiest !== null ? message('stats.punchCard.summary', { day: days[busiest[0]],
+       hour: `0${busiest[1]}`.slice(-2), count: busiest[2] }) : message('stats.punchCard.none');
+
+      return s_SECTION('punchCard', message('stats.punchCard.title'), summary, [message('stats.column.day'), '00-05',
+       '06-11', '12-17', '18-23', message('stats.column.total')], rows);
+   },
+
+   stargazers: (users, message) => s_USERS(message, 'stargazers', users),
+
+   watchers: (users, message) => s_USERS(message, 'watchers', users)
+};
+
+/**
+ * Returns a section with the number of users and their names or `null` when users is not an array.
+ *
+ * @param {function}       message - Looks up a message.
+ * @param {string}         name - The stats type.
+ * @param {Array<object>}  users - Normalized users.
+ *
+ * @returns {object|null}
+ */
+const s_USERS = (message, name, users) =>
+{
+   if (!Array.isArray(users)) { return null; }
+
+   const count = s_COUNT(message, users.length, 'user');
+
+   return s_SECTION(name, message(`stats.${name}.title`), users.length > 0 ? message('stats.users.names',
+    { users: count, names: users.map((user) => user.name).join(', ') }) : count);
+};
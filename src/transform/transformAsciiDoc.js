@@ -0,0 +1,161 @@
+'use strict';
+
+import categoryFields      from './categoryFields.js';
+import categoryRenderer    from './categoryRenderer.js';
+import diffContent         from './diffContent.js';
+import escapeAsciiDoc      from './escapeAsciiDoc.js';
+import rateLimitContent    from './rateLimitContent.js';
+import safeURL             from './safeURL.js';
+import transformCategories from './transformCategories.js';
+import userCategories      from './userCategories.js';
+
+/**
+ * Transforms data to AsciiDoc for Antora / Asciidoctor sites. Entries at depth 0 are rendered as paragraphs and nested
+ * categories as unordered lists at any depth where the list marker is repeated for each level (`*`, `**`, `***`, ...).
+ * Links use the URL macro form `url[name]`. All names, descriptions and link text are escaped. Links are only created
+ * for URLs with an allowed scheme. Entries from `diffCategories` are marked as added, removed or changed; please see
+ * `diffContent`. Entries are rendered by `renderers` or with the selected `fields` as by the `markdown` transform;
+ * please see `categoryRenderer` and `categoryFields`.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ *
+ * (object)    fields - A hash of category names to an array of field names rendered after each entry name.
+ *
+ * (object)    renderers - A hash of category names to functions rendering the content of entries.
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options)
+{
+   return transformCategories(data, s_TRANSFORM, options);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Provides a single pass transforming a given category and entry at a particular depth to AsciiDoc.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string}
+ */
+const s_TRANSFORM = (category, entry, depth, options) =>
+{
+   // Note AsciiDoc only responds to the first pass.
+   if (options._transformData[depth].pass > 0) { return ''; }
+
+   const lastEntry = options._transformData[depth].lastEntry;
+   const maxDepth = options._transformData[depth].maxDepth;
+   const maxDepthLength = options._maxDepthLength;
+
+   let prefix = '';
+   let tail = '\n\n';
+
+   if (depth > 0)
+   {
+      prefix = `${'*'.repeat(depth)} `;
+      tail = '\n';
+      tail += lastEntry && maxDepth ? '\n' : '';
+   }
+
+   // Single category user lists are rendered as a list.
+   if (depth === 0 && maxDepthLength === 1 && userCategories.indexOf(category) >= 0)
+   {
+      prefix = '* ';
+      tail = '\n';
+   }
+
+   let content = categoryRenderer(category, entry, depth, options, escapeAsciiDoc, s_LINK);
+
+   if (content === null) { content = categoryFields(category, entry, options, escapeAsciiDoc, s_LINK); }
+
+   if (content === null) { content = s_CONTENT(category, entry, prefix, options); }
+
+   if (content === null) { return ''; }
+
+   return `${prefix}${diffContent(entry, content, escapeAsciiDoc, options)}${tail}`;
+};
+
+/**
+ * Returns the AsciiDoc content of a given category and entry or `null` for an unknown category.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {string}   prefix - The list item prefix repeated for additional lines.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string|null}
+ */
+const s_CONTENT = (category, entry, prefix, options) =>
+{
+   const desc = typeof options.description === 'boolean' ? options.description : false;
+
+   switch (category)
+   {
+      case 'collaborators':
+      case 'contributors':
+      case 'members':
+      case 'owners':
+      case 'users':
+         return s_LINK(entry, options);
+
+      case 'orgs':
+      case 'repos':
+         return `${s_LINK(entry, options)}${desc && entry.description ? ` - ${escapeAsciiDoc(entry.description)}` :
+          ''}`;
+
+      case 'ratelimit':
+         return rateLimitContent(entry, options).map((line) => escapeAsciiDoc(line)).join(`\n${prefix}`);
+
+      case 'teams':
+         return `${escapeAsciiDoc(entry.name)}${desc && entry.description ? ` - ${
+          escapeAsciiDoc(entry.description)}` : ''}`;
+
+      case 'stats':
+         return escapeAsciiDoc(JSON.stringify(entry));
+
+      default:
+         return null;
+   }
+};
+
+/**
+ * Returns an AsciiDoc URL macro `url[name]` for the given entry. If the entry has no URL or the URL scheme is not
+ * allowed only the escaped entry name is returned. Relative URLs use the `link:url[name]` form. Characters which end or
+ * alter the URL macro (whitespace, `[`, `]`, `<`, `>`, `"`, `{`, `}` and `\`) are percent encoded.
+ *
+ * @param {object}   entry - Entry with `name` and `url`.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_LINK = (entry, options) =>
+{
+   const url = safeURL(entry.url, options.urlSchemes, options).replace(/[\s\[\]<>"{}\\]/g, (match) =>
+    encodeURIComponent(match));
+
+   if (url === '') { return escapeAsciiDoc(entry.name); }
+
+   // Relative URLs require the explicit `link:` macro.
+   return `${(/^[a-z][a-z0-9+.\-]*:/i).test(url) ? '' : 'link:'}${url}[${escapeAsciiDoc(entry.name)}]`;
+};
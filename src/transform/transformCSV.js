@@ -0,0 +1,206 @@
+'use strict';
+
+import formatDate          from './formatDate.js';
+import messages            from './messages.js';
+import transformCategories from './transformCategories.js';
+import userCategories      from './userCategories.js';
+
+/**
+ * Transforms data to CSV flattening the category hierarchy into rows. One row is emitted for each leaf entry; that is
+ * an entry of the last category or an entry without any nested categories. Each category contributes `<category>_name`
+ * and `<category>_url` columns along with a `<category>_description` column when `description` is true; for instance
+ * `orgs:repos:collaborators` results in a row for each collaborator with the columns of the org and repo it belongs to.
+ * Columns of categories below a leaf entry are left empty. When `fields` selects the fields of a category its columns
+ * are `<category>_name` followed by a column for each selected field as with the `json` transform; repo dates are
+ * formatted by `formatDate` and object values as JSON. Data from `diffCategories` adds a `<category>_diff_status`
+ * column for each category with the `added`, `removed`, `changed` or `unchanged` status of the entry.
+ *
+ * Fields are quoted as described by RFC 4180 and rows are separated by CRLF. The first row is a header row. Fields
+ * starting with `=`, `+`, `-`, `@`, tab or CR are prefixed with `'`, so spreadsheet applications do not evaluate names
+ * or descriptions as formulas (CSV injection).
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string)    delimiter - The field delimiter; default (',').
+ *
+ * (boolean)   description - A boolean which will include description columns for each category.
+ *
+ * (boolean)   escapeFormulas - Prefixes fields which a spreadsheet would evaluate as a formula with `'`;
+ *                              default (true).
+ *
+ * (object)    fields - A hash of category names to an array of field names with a column after `<category>_name`; a
+ *                      `users` entry applies to all user categories.
+ *
+ * (boolean)   header - Emits a header row with column names; default (true).
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.delimiter !== 'undefined' && (typeof options.delimiter !== 'string' ||
+    !(/^[^"\r\n]$/).test(options.delimiter)))
+   {
+      throw new TypeError(message('error.option', { method: 'transformCSV', name: 'options.delimiter',
+       expected: message('type.singleCharacter') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.escapeFormulas !== 'undefined' && typeof options.escapeFormulas !== 'boolean')
+   {
+      throw new TypeError(message('error.option', { method: 'transformCSV', name: 'options.escapeFormulas',
+       expected: message('type.boolean') }));
+   }
+
+   const categories = data.categories.split(':');
+   const delimiter = typeof options.delimiter === 'string' ? options.delimiter : ',';
+   const desc = typeof options.description === 'boolean' ? options.description : false;
+   const escapeFormulas = options.escapeFormulas !== false;
+
+   const diff = typeof data.diff === 'object' && data.diff !== null;
+
+   // The columns of each category by depth.
+   const columns = categories.map((category) => s_COLUMNS(category, options, desc, diff, message));
+
+   // Stores the fields of the current entry at each depth as categories are traversed.
+   const rowFields = [];
+
+   const transformFunction = (category, entry, depth, traversalOptions) =>
+   {
+      const transformData = traversalOptions._transformData[depth];
+
+      if (transformData.pass > 0) { return ''; }
+
+      rowFields.length = depth;
+      rowFields.push(columns[depth].map((column) => s_VALUE(entry, column, options)));
+
+      if (!transformData.maxDepth) { return ''; }
+
+      const fields = [];
+
+      for (let cntr = 0; cntr < categories.length; cntr++)
+      {
+         Array.prototype.push.apply(fields, cntr <= depth ? rowFields[cntr] : columns[cntr].map(() => ''));
+      }
+
+      return s_ROW(fields, delimiter, escapeFormulas);
+   };
+
+   const header = options.header !== false ? s_ROW(categories.reduce((result, category, index) =>
+    result.concat(columns[index].map((column) => `${category}_${column}`)), []), delimiter, escapeFormulas) : '';
+
+   return transformCategories(data, transformFunction, options, { header });
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the columns of a category; `name` followed by the fields selected by `options.fields` or otherwise `name`,
+ * `url` and with `description` true `description`. Data from `diffCategories` adds a `diff_status` column.
+ *
+ * @param {string}   category - A category name.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (object)    fields - A hash of category names to an array of field names.
+ * ```
+ * @param {boolean}  desc - Includes a `description` column without selected fields.
+ * @param {boolean}  diff - Adds a `diff_status` column.
+ * @param {function} message - Looks up error messages.
+ *
+ * @returns {Array<string>}
+ */
+const s_COLUMNS = (category, options, desc, diff, message) =>
+{
+   const fields = options.fields;
+
+   let selected = null;
+
+   if (typeof fields === 'object' && fields !== null)
+   {
+      if (Array.isArray(fields[category])) { selected = fields[category]; }
+      else if (userCategories.indexOf(category) >= 0 && Array.isArray(fields.users)) { selected = fields.users; }
+   }
+
+   /* istanbul ignore if */
+   if (selected !== null && selected.some((field) => typeof field !== 'string'))
+   {
+      throw new TypeError(message('error.option', { method: 'transformCSV', name: `options.fields.${category}`,
+       expected: message('type.stringArray') }));
+   }
+
+   const columns = selected !== null ? ['name'].concat(selected.filter((field) => field !== 'name')) :
+    desc ? ['name', 'url', 'description'] : ['name', 'url'];
+
+   return diff ? columns.concat(['diff_status']) : columns;
+};
+
+/**
+ * Fields formatted as dates.
+ *
+ * @type {Array<string>}
+ */
+const s_DATE_FIELDS = ['created_at', 'updated_at', 'pushed_at'];
+
+/**
+ * Quotes a field as described by RFC 4180 when it contains a delimiter, double quote, CR or LF. Embedded double quotes
+ * are escaped by a preceding double quote. Missing values result in an empty field. When escaping formulas a field
+ * starting with `=`, `+`, `-`, `@`, tab or CR is prefixed with `'` before quoting.
+ *
+ * @param {*}        value - The field value.
+ * @param {string}   delimiter - The field delimiter.
+ * @param {boolean}  escapeFormulas - Prefixes fields which may be evaluated as a formula.
+ *
+ * @returns {string}
+ */
+const s_QUOTE = (value, delimiter, escapeFormulas) =>
+{
+   let field = value === null || typeof value === 'undefined' ? '' : String(value);
+
+   if (escapeFormulas && (/^[=+\-@\t\r]/).test(field)) { field = `'${field}`; }
+
+   return field.indexOf(delimiter) >= 0 || (/["\r\n]/).test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Returns the value of a column of an entry. The `diff_status` column is the status of an entry from `diffCategories`,
+ * repo dates are formatted by `formatDate` and objects are serialized as JSON.
+ *
+ * @param {object}   entry - An entry.
+ * @param {string}   column - A column name.
+ * @param {object}   options - Optional parameters which format dates; please see `formatDate`.
+ *
+ * @returns {*}
+ */
+const s_VALUE = (entry, column, options) =>
+{
+   if (column === 'diff_status')
+   {
+      return typeof entry.diff === 'object' && entry.diff !== null ? entry.diff.status : void 0;
+   }
+
+   const value = entry[column];
+
+   if (typeof value === 'undefined' || value === null || value === '') { return value; }
+
+   if (s_DATE_FIELDS.indexOf(column) >= 0) { return formatDate(value, options); }
+
+   return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * Joins quoted fields into a row terminated by CRLF.
+ *
+ * @param {Array<*>} fields - The field values.
+ * @param {string}   delimiter - The field delimiter.
+ * @param {boolean}  escapeFormulas - Prefixes fields which may be evaluated as a formula.
+ *
+ * @returns {string}
+ */
+const s_ROW = (fields, delimiter, escapeFormulas) =>
+ `${fields.map((field) => s_QUOTE(field, delimiter, escapeFormulas)).join(delimiter)}\r\n`;
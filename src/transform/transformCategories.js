@@ -1,27 +1,48 @@
 'use strict';
 
+import stream from 'stream';
+
 /**
- * Provides a recursive function to traverse categories.
+ * Provides a function to traverse categories. By default the result of all transform function invocations is
+ * concatenated and returned as a string. When `options.stream` is true a Node `stream.Readable` is returned instead
+ * that emits the result of each transform function invocation as a string chunk while the categories are traversed.
+ * Traversal only advances as the stream is read, so large results are never held in memory. On Node 10+ the returned
+ * stream is also an async iterator.
+ *
+ * An optional `enclosure` hash may provide a `header` string emitted before and a `footer` string emitted after all
+ * categories are traversed; for instance the HTML transform uses this to create a complete document.
  *
  * @param {object}   data - Data to traverse.
  * @param {function} transformFunction - Function to apply to category.
- * @param {object}   options - Optional parameters.
- * @returns {string}
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ * ```
+ * @param {object}   enclosure - Optional `header` and `footer` strings enclosing the result.
+ *
+ * @returns {string|stream.Readable}
  */
-export default function(data, transformFunction, options)
+export default function(data, transformFunction, options = {}, enclosure = {})
 {
    const categories = data.categories.split(':');
 
-   options._maxDepthLength = categories.length;
-   options._transformData = [];
+   // Traversal data is stored on a copy of options as a stream may be read after this function returns.
+   const traversalOptions = Object.assign({}, options);
+
+   traversalOptions._maxDepthLength = categories.length;
+   traversalOptions._transformData = [];
 
    // Push X empty objects for the cateogories length transform data.
-   for (let cntr = 0; cntr < categories.length; cntr++) { options._transformData.push({}); }
+   for (let cntr = 0; cntr < categories.length; cntr++) { traversalOptions._transformData.push({}); }
 
-   const resultString = s_DEPTH_TRAVERSAL(categories, data, 0, transformFunction, options);
+   const nextChunk = s_CREATE_TRAVERSAL(categories, data, transformFunction, traversalOptions, enclosure);
 
-   options._transformData = undefined;
-   options._maxDepthLength = undefined;
+   if (options.stream) { return s_CREATE_STREAM(nextChunk); }
+
+   let resultString = '';
+   let chunk;
+
+   while (typeof (chunk = nextChunk()) === 'string') { resultString += chunk; }
 
    return resultString;
 }
@@ -29,46 +50,126 @@ export default function(data, transformFunction, options)
 // Module private ---------------------------------------------------------------------------------------------------
 
 /**
- * Provides a recursive function to normalize results.
+ * Creates a function which incrementally traverses all categories. Each invocation applies the transform function to
+ * the next category entry / pass and returns the result. Each entry receives a first pass before any nested categories
+ * are traversed and a second closing pass afterward; the closing pass is necessary for the HTML transform. When
+ * traversal is complete `null` is returned. Any enclosure header / footer is returned first / last.
  *
  * @param {Array<string>}  categories - Array of categories to traverse.
  * @param {object}         data - Data to traverse.
- * @param {number}         depth - Current category depth.
  * @param {function}       transformFunction - Function to apply to category.
  * @param {object}         options - Optional parameters.
- * @returns {string}
+ * @param {object}         enclosure - Optional `header` and `footer` strings enclosing the result.
+ *
+ * @returns {function}
  */
-const s_DEPTH_TRAVERSAL = (categories, data, depth, transformFunction, options) =>
+const s_CREATE_TRAVERSAL = (categories, data, transformFunction, options, enclosure) =>
 {
-   const category = categories[depth];
-   const nextCategory = categories.length > depth ? categories[depth + 1] : undefined;
-   const entries = data[category];
+   const stack = [{ depth: 0, entries: data[categories[0]], index: 0, pass: 0 }];
 
-   let resultString = '';
+   let header = typeof enclosure.header === 'string' ? enclosure.header : null;
+   let footer = typeof enclosure.footer === 'string' ? enclosure.footer : null;
 
-   for (let cntr = 0; cntr < entries.length; cntr++)
+   return () =>
    {
-      const maxDepth = !(nextCategory && Array.isArray(entries[cntr][nextCategory]) &&
-       entries[cntr][nextCategory].length > 0);
+      if (header !== null)
+      {
+         const result = header;
+         header = null;
+         return result;
+      }
 
-      options._transformData[depth].firstEntry = cntr === 0;
-      options._transformData[depth].lastEntry = cntr === entries.length - 1;
-      options._transformData[depth].maxDepth = maxDepth;
-      options._transformData[depth].pass = 0;
+      while (stack.length > 0)
+      {
+         const frame = stack[stack.length - 1];
 
-      resultString += transformFunction(category, entries[cntr], depth, options);
+         if (frame.index >= frame.entries.length)
+         {
+            stack.pop();
+            continue;
+         }
 
-      if (!maxDepth)
-      {
-         resultString += s_DEPTH_TRAVERSAL(categories, entries[cntr], depth + 1, transformFunction, options);
+         const depth = frame.depth;
+         const category = categories[depth];
+         const nextCategory = categories.length > depth ? categories[depth + 1] : undefined;
+         const entry = frame.entries[frame.index];
+         const transformData = options._transformData[depth];
+
+         if (frame.pass === 0)
+         {
+            const maxDepth = !(nextCategory && Array.isArray(entry[nextCategory]) && entry[nextCategory].length > 0);
+
+            transformData.firstEntry = frame.index === 0;
+            transformData.lastEntry = frame.index === frame.entries.length - 1;
+            transformData.maxDepth = maxDepth;
+            transformData.pass = 0;
+
+            const result = transformFunction(category, entry, depth, options);
+
+            frame.pass = 1;
+
+            if (!maxDepth) { stack.push({ depth: depth + 1, entries: entry[nextCategory], index: 0, pass: 0 }); }
+
+            return result;
+         }
+
+         // Make a second closing pass of the transform function; necessary for HTML transform.
+         transformData.pass = 1;
+
+         const result = transformFunction(category, entry, depth, options);
+
+         frame.index++;
+         frame.pass = 0;
+
+         return result;
       }
 
-      // Make a second closing pass of the transform function; necessary for HTML transform.
+      if (footer !== null)
+      {
+         const result = footer;
+         footer = null;
+         return result;
+      }
 
-      options._transformData[depth].pass = 1;
+      return null;
+   };
+};
 
-      resultString += transformFunction(category, entries[cntr], depth, options);
-   }
+/**
+ * Creates a `stream.Readable` which pulls chunks from the given traversal function as the stream is read.
+ *
+ * @param {function} nextChunk - A traversal function created by `s_CREATE_TRAVERSAL`.
+ *
+ * @returns {stream.Readable}
+ */
+const s_CREATE_STREAM = (nextChunk) =>
+{
+   return new stream.Readable(
+   {
+      encoding: 'utf8',
 
-   return resultString;
+      read()
+      {
+         let chunk;
+
+         try
+         {
+            while (typeof (chunk = nextChunk()) === 'string')
+            {
+               // Skip empty results from passes which produce no output.
+               if (chunk === '') { continue; }
+
+               // Stop when the consumer applies back pressure; `read` is invoked again when more data is wanted.
+               if (!this.push(chunk)) { return; }
+            }
+         }
+         catch (err)
+         {
+            this.emit('error', err);
+            return;
+         }
+
+         this.push(null);
+      }
+   });
 };
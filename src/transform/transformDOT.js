@@ -0,0 +1,154 @@
+'use strict';
+
+import messages            from './messages.js';
+import safeURL             from './safeURL.js';
+import transformCategories from './transformCategories.js';
+
+/**
+ * Transforms data to a Graphviz DOT digraph. Each org, repo, team and user becomes a node and edges follow the
+ * `categories` chain from parent to child entries. Nodes are identified by kind and `id` (or `name` when no `id` is
+ * present), so the same user appearing as a collaborator, contributor or member of several repos or teams becomes one
+ * shared node with an edge from each parent. Node shapes and colours vary by category. Rate limit and stats entries are
+ * not graphed.
+ *
+ * Node labels are entry names and nodes link to the entry URL when it has an allowed scheme; with `description` true
+ * any description is added as a tooltip.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which adds descriptions as node tooltips.
+ *
+ * (string)    rankdir - The Graphviz graph direction; default ('LR').
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in node links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.rankdir !== 'undefined' && !(/^(TB|LR|BT|RL)$/).test(options.rankdir))
+   {
+      throw new TypeError(message('error.option', { method: 'transformDOT', name: 'options.rankdir',
+       expected: message('type.oneOf', { values: `'TB', 'LR', 'BT', 'RL'` }) }));
+   }
+
+   const rankdir = typeof options.rankdir === 'string' ? options.rankdir : 'LR';
+
+   // Stores declared node ids, emitted edges and the node id of the current entry at each depth while traversing.
+   const nodes = new Set();
+   const edges = new Set();
+   const parentNodes = [];
+
+   const transformFunction = (category, entry, depth, traversalOptions) =>
+   {
+      if (traversalOptions._transformData[depth].pass > 0) { return ''; }
+
+      const style = s_NODE_STYLES[category];
+
+      parentNodes.length = depth;
+
+      if (typeof style === 'undefined')
+      {
+         parentNodes.push(null);
+         return '';
+      }
+
+      const nodeID = `${style.kind}:${typeof entry.id !== 'undefined' ? entry.id : entry.name}`;
+      const parentID = depth > 0 ? parentNodes[depth - 1] : null;
+
+      parentNodes.push(nodeID);
+
+      let resultString = '';
+
+      if (!nodes.has(nodeID))
+      {
+         nodes.add(nodeID);
+         resultString += `   ${s_QUOTE(nodeID)} [${s_NODE_ATTRIBUTES(entry, style, traversalOptions)}];\n`;
+      }
+
+      const edge = `${s_QUOTE(parentID)} -> ${s_QUOTE(nodeID)}`;
+
+      if (parentID !== null && !edges.has(edge))
+      {
+         edges.add(edge);
+         resultString += `   ${edge};\n`;
+      }
+
+      return resultString;
+   };
+
+   const enclosure =
+   {
+      header: `digraph ${s_QUOTE(data.categories)} {\n   rankdir=${rankdir};\n   node [fontname="Helvetica"];\n\n`,
+      footer: '}\n'
+   };
+
+   return transformCategories(data, transformFunction, options, enclosure);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the node kind, shape and fill colour for each category. Categories sharing a kind share nodes by id.
+ *
+ * @type {object}
+ */
+const s_NODE_STYLES =
+{
+   collaborators: { kind: 'user', shape: 'ellipse', color: '#e2f3dc' },
+   contributors: { kind: 'user', shape: 'ellipse', color: '#e2f3dc' },
+   members: { kind: 'user', shape: 'ellipse', color: '#e2f3dc' },
+   orgs: { kind: 'org', shape: 'box3d', color: '#dbe9f6' },
+   owners: { kind: 'owner', shape: 'doubleoctagon', color: '#f3dcdc' },
+   repos: { kind: 'repo', shape: 'folder', color: '#fff5cc' },
+   teams: { kind: 'team', shape: 'hexagon', color: '#fde9c9' },
+   users: { kind: 'user', shape: 'ellipse', color: '#e2f3dc' }
+};
+
+/**
+ * Returns the attribute list for a node.
+ *
+ * @param {object}   entry - The entry represented by the node.
+ * @param {object}   style - The node style for the entry category.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which adds descriptions as node tooltips.
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in node links.
+ * ```
+ *
+ * @returns {string}
+ */
+const s_NODE_ATTRIBUTES = (entry, style, options) =>
+{
+   const attributes = [`label=${s_QUOTE(entry.name)}`, `shape=${style.shape}`, 'style=filled',
+    `fillcolor=${s_QUOTE(style.color)}`];
+
+   const url = safeURL(entry.url, options.urlSchemes, options);
+
+   if (url !== '') { attributes.push(`URL=${s_QUOTE(url)}`); }
+
+   if (options.description && typeof entry.description === 'string' && entry.description !== '')
+   {
+      attributes.push(`tooltip=${s_QUOTE(entry.description)}`);
+   }
+
+   return attributes.join(', ');
+};
+
+/**
+ * Quotes a value as a DOT string escaping backslashes, double quotes and line breaks.
+ *
+ * @param {*}  value - The value to quote.
+ *
+ * @returns {string}
+ */
+const s_QUOTE = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r\n|\r|\n/g,
+ '\\n')}"`;
@@ -1,6 +1,17 @@
 'use strict';
 
+import categoryFields      from './categoryFields.js';
+import categoryRenderer    from './categoryRenderer.js';
+import diffContent         from './diffContent.js';
+import escapeHTML          from './escapeHTML.js';
+import formatDate          from './formatDate.js';
 import indent              from './indent.js';
+import messages            from './messages.js';
+import rateLimitContent    from './rateLimitContent.js';
+import repoTableColumns    from './repoTableColumns.js';
+import safeURL             from './safeURL.js';
+import statsSummary        from './statsSummary.js';
+import statsSVG            from './statsSVG.js';
 import transformCategories from './transformCategories.js';
 
 /**
@@ -8,17 +19,113 @@ import transformCategories from './transformCategories.js';
  * will be assigned a CSS `id` with the category name. For stylizing lists the first `li` at depth 0 will be assigned
  * a CSS class `li-depth-0` which can be used for providing margins.
  *
+ * All names, descriptions and URLs are escaped. Links are only created for URLs with an allowed scheme and open in a
+ * new window with `rel="noopener noreferrer"`.
+ *
+ * When `document` is true a complete HTML5 document is produced with an embedded default stylesheet and any user
+ * supplied CSS. As category ids repeat for nested lists each list is instead assigned CSS classes with the category
+ * name and `depth-<depth>` keeping the document valid. Entries with an `avatar_url` such as orgs, users and
+ * contributors render an avatar image with the CSS class `avatar`.
+ *
+ * When `layout` is `table` and `repos` is the leaf category the repos of each parent entry are rendered as a `table`
+ * instead of a list which is assigned the same CSS `id` or classes as the list it replaces. The table columns are
+ * selected by `columns` and are not affected by `description`.
+ *
+ * Stats entries render a paragraph and a `table.stats` for each stats type; please see `statsSummary`. With `charts`
+ * commit activity, participation and the punch card are rendered as inline SVG charts instead of tables which are
+ * self-contained and need no script or stylesheet; please see `statsSVG`.
+ *
+ * List items of entries from `diffCategories` start with a `+`, `-` or `~` status marker; please see `diffContent`.
+ *
  * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
  * @param {object}   options - Optional parameters:
  * ```
+ * (boolean)   avatars - Render avatar images for entries with an `avatar_url`; default (options.document).
+ *
+ * (boolean)   charts - Renders stats as inline SVG charts where available; default (false).
+ *
+ * (number)    chartWidth - The width of SVG charts in pixels; default (520).
+ *
+ * (Array<string>)   columns - Repo fields rendered as table columns; any of `name`, `description`, `fork`, `private`,
+ *                             `default_branch`, `created_at` and `clone_url`; default
+ *                             (['name', 'description', 'default_branch', 'created_at']).
+ *
+ * (string)    css - Additional CSS embedded after the default stylesheet in document mode.
+ *
+ * (boolean)   defaultStyle - Embeds the default stylesheet in document mode; default (true).
+ *
  * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ *
+ * (boolean)   document - Produces a complete HTML5 document instead of a fragment; default (false).
+ *
+ * (string)    layout - Renders leaf repos as a `list` or `table`; default ('list').
+ *
+ * (object)    fields - A hash of category names to an array of field names rendered after the entry name; a `users`
+ *                      entry applies to all user categories and takes precedence over `description`; please see
+ *                      `categoryFields`.
+ *
+ * (object)    renderers - A hash of category names to functions `(entry, context) => string` replacing the content
+ *                         rendered for entries of a category; please see `categoryRenderer`.
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (string)    title - The document title in document mode; default ('GitHub').
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
  * ```
  *
- * @returns {string}
+ * @returns {string|stream.Readable}
  */
 export default function(data, options = {})
 {
-   return transformCategories(data, s_TRANSFORM, options);
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.charts !== 'undefined' && typeof options.charts !== 'boolean')
+   {
+      throw new TypeError(message('error.option', { method: 'transformHTML', name: 'options.charts',
+       expected: message('type.boolean') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.chartWidth !== 'undefined' && (!Number.isInteger(options.chartWidth) || options.chartWidth < 1))
+   {
+      throw new TypeError(message('error.option', { method: 'transformHTML', name: 'options.chartWidth',
+       expected: message('type.positiveInteger') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.css !== 'undefined' && typeof options.css !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'transformHTML', name: 'options.css',
+       expected: message('type.string') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.title !== 'undefined' && typeof options.title !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'transformHTML', name: 'options.title',
+       expected: message('type.string') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.layout !== 'undefined' && options.layout !== 'list' && options.layout !== 'table')
+   {
+      throw new TypeError(message('error.option', { method: 'transformHTML', name: 'options.layout',
+       expected: message('type.oneOf', { values: 'list, table' }) }));
+   }
+
+   const enclosure = options.document ? s_DOCUMENT_ENCLOSURE(options) : {};
+
+   if (options.layout !== 'table') { return transformCategories(data, s_TRANSFORM, options, enclosure); }
+
+   const columns = repoTableColumns(options, 'transformHTML');
+
+   // Repos are only rendered as a table when they are the leaf category.
+   return transformCategories(data, (category, entry, depth, traversalOptions) =>
+    category === 'repos' && depth === traversalOptions._maxDepthLength - 1 ?
+     s_TRANSFORM_TABLE_ROW(entry, depth, traversalOptions, columns) :
+      s_TRANSFORM(category, entry, depth, traversalOptions), options, enclosure);
 }
 
 // Module private ---------------------------------------------------------------------------------------------------
@@ -71,14 +178,15 @@ const s_TRANSFORM_FIRST_PASS = (category, entry, depth, options = {}) =>
    const maxDepth = options._transformData[depth].maxDepth;
    const maxDepthLength = options._maxDepthLength;
 
-   const desc = typeof options.description === 'boolean' ? options.description : false;
-
    let prefix = '';
    let tail = '\n';
 
    if (firstEntry)
    {
-      prefix += `${indent(depth)}<ul id="${category}">\n${indent(depth + 1)}<li>`;
+      const attributes = options.document ? `class="${escapeHTML(category)} depth-${depth}"` :
+       `id="${escapeHTML(category)}"`;
+
+      prefix += `${indent(depth)}<ul ${attributes}>\n${indent(depth + 1)}<li>`;
    }
    else
    {
@@ -94,7 +202,33 @@ const s_TRANSFORM_FIRST_PASS = (category, entry, depth, options = {}) =>
 
    if (maxDepth) { tail = '</li>\n'; }
 
-   let resultString = prefix;
+   let content = categoryRenderer(category, entry, depth, options, escapeHTML, s_LINK);
+
+   if (content === null) { content = categoryFields(category, entry, options, escapeHTML, s_LINK); }
+
+   if (content === null) { content = s_CONTENT(category, entry, depth, options); }
+
+   const resultString = `${prefix}${diffContent(entry, content, escapeHTML, options)}${tail}`;
+
+   return resultString;
+};
+
+/**
+ * Returns the HTML content of a given category and entry.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string}
+ */
+const s_CONTENT = (category, entry, depth, options) =>
+{
+   const desc = typeof options.description === 'boolean' ? options.description : false;
 
    switch (category)
    {
@@ -103,43 +237,81 @@ const s_TRANSFORM_FIRST_PASS = (category, entry, depth, options = {}) =>
       case 'members':
       case 'owners':
       case 'users':
-         resultString += `${entry.url !== '' ? `<a href="${entry.url}" target="_blank">${entry.name}</a>` :
-          entry.name}${tail}`;
-         break;
+         return s_LINK(entry, options);
 
       case 'orgs':
       case 'repos':
-         if (desc)
-         {
-            resultString += `${entry.url !== '' ? `<a href="${entry.url}" target="_blank">${entry.name}</a>` :
-             entry.name}${entry.description ? ` - ${entry.description}` : ''}${tail}`;
-         }
-         else
-         {
-            resultString += `${entry.url !== '' ? `<a href="${entry.url}" target="_blank">${entry.name}</a>` :
-             entry.name}${tail}`;
-         }
-         break;
+         return `${s_LINK(entry, options)}${desc && entry.description ? ` - ${escapeHTML(entry.description)}` : ''}`;
 
+      // Rate limits are always a leaf entry; the search limit is rendered as an additional list item.
       case 'ratelimit':
-         resultString += `Core: limit: ${entry.core.limit}, remaining: ${entry.core.remaining}, reset: ${
-          new Date(entry.core.reset)}${tail}`;
-
-         resultString += `${indent(depth + 1)}<li>Search: limit: ${entry.search.limit}, remaining: ${
-          entry.search.remaining}, reset: ${new Date(entry.search.reset)}${tail}`;
-         break;
+         return rateLimitContent(entry, options).map((line) => escapeHTML(line)).join(`</li>\n${
+          indent(depth + 1)}<li>`);
 
       case 'teams':
-         if (desc) { resultString += `${entry.name}${entry.description ? ` - ${entry.description}` : ''}${tail}`; }
-         else { resultString += `${entry.name}${tail}`; }
-         break;
+         return `${escapeHTML(entry.name)}${desc && entry.description ? ` - ${escapeHTML(entry.description)}` : ''}`;
 
       case 'stats':
-         resultString += `<pre>${JSON.stringify(entry)}</pre>${tail}`;
-         break;
+         return s_STATS(entry, depth, options);
+
+      default:
+         return '';
    }
+};
 
-   return resultString;
+/**
+ * Returns the HTML content of a stats entry with a paragraph summarizing each stats type followed by a table; please
+ * see `statsSummary`. Each table is assigned the CSS classes `stats` and the stats type. With `charts` an SVG chart
+ * replaces the table of stats types charted by `statsSVG`.
+ *
+ * @param {object}   entry - Stats entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   charts - Renders stats as inline SVG charts where available; default (false).
+ *
+ * (number)    chartWidth - The width of SVG charts in pixels; default (520).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_STATS = (entry, depth, options) =>
+{
+   const sections = statsSummary(entry, options);
+
+   if (sections.length === 0) { return ''; }
+
+   let result = '\n';
+
+   for (const section of sections)
+   {
+      result += `${indent(depth + 2)}<p><strong>${escapeHTML(section.title)}</strong>: ${
+       escapeHTML(section.summary)}</p>\n`;
+
+      if (section.columns.length === 0) { continue; }
+
+      const chart = options.charts ? statsSVG(entry, section.name, options) : null;
+
+      if (chart !== null)
+      {
+         result += `${chart.split('\n').map((line) => `${indent(depth + 2)}${line}`).join('\n')}\n`;
+         continue;
+      }
+
+      result += `${indent(depth + 2)}<table class="stats ${escapeHTML(section.name)}">\n`;
+      result += `${indent(depth + 3)}<thead>\n${indent(depth + 4)}<tr>${section.columns.map((column) =>
+       `<th>${escapeHTML(column)}</th>`).join('')}</tr>\n${indent(depth + 3)}</thead>\n`;
+      result += `${indent(depth + 3)}<tbody>\n`;
+
+      for (const row of section.rows)
+      {
+         result += `${indent(depth + 4)}<tr>${row.map((value) => `<td>${escapeHTML(value)}</td>`).join('')}</tr>\n`;
+      }
+
+      result += `${indent(depth + 3)}</tbody>\n${indent(depth + 2)}</table>\n`;
+   }
+
+   return `${result}${indent(depth + 1)}`;
 };
 
 /**
@@ -172,4 +344,154 @@ const s_TRANSFORM_SECOND_PASS = (category, entry, depth, options = {}) =>
    resultString += tail;
 
    return resultString;
-};
\ No newline at end of file
+};
+
+/**
+ * Provides a two pass transform of a repo to a table row. The table, header and body are opened on the first pass of
+ * the first repo and closed on the second pass of the last repo.
+ *
+ * @param {object}   entry - Repo entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   document - Assigns CSS classes instead of an `id` to the table.
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ * @param {Array<{field: string, label: string}>}   columns - Table columns.
+ *
+ * @returns {string}
+ */
+const s_TRANSFORM_TABLE_ROW = (entry, depth, options, columns) =>
+{
+   const transformData = options._transformData[depth];
+
+   if (transformData.pass > 0)
+   {
+      return transformData.lastEntry ? `${indent(depth + 1)}</tbody>\n${indent(depth)}</table>\n` : '';
+   }
+
+   let resultString = '';
+
+   if (transformData.firstEntry)
+   {
+      const attributes = options.document ? `class="repos depth-${depth}"` : 'id="repos"';
+
+      resultString += `${indent(depth)}<table ${attributes}>\n${indent(depth + 1)}<thead>\n`;
+      resultString += `${indent(depth + 2)}<tr>${columns.map((column) => `<th>${escapeHTML(column.label)}</th>`)
+       .join('')}</tr>\n`;
+      resultString += `${indent(depth + 1)}</thead>\n${indent(depth + 1)}<tbody>\n`;
+   }
+
+   resultString += `${indent(depth + 2)}<tr>${columns.map((column) => `<td>${s_TABLE_CELL(entry, column.field,
+    options)}</td>`).join('')}</tr>\n`;
+
+   return resultString;
+};
+
+/**
+ * Returns the escaped content of a table cell for the given repo field. The `name` field is rendered as a link, the
+ * `created_at` field is formatted by `formatDate` and missing values are empty.
+ *
+ * @param {object}   entry - Repo entry.
+ * @param {string}   field - Repo field.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_TABLE_CELL = (entry, field, options) =>
+{
+   if (field === 'name') { return s_LINK(entry, options); }
+
+   const value = entry[field];
+
+   if (typeof value === 'undefined' || value === null) { return ''; }
+
+   return escapeHTML(field === 'created_at' ? formatDate(value, options) : value);
+};
+
+/**
+ * Returns an escaped link for the given entry name and URL. If the entry has no URL or the URL scheme is not allowed
+ * only the escaped entry name is returned.
+ *
+ * @param {object}   entry - Entry with `name` and `url`.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_LINK = (entry, options) =>
+{
+   const url = safeURL(entry.url, options.urlSchemes, options);
+
+   const link = url !== '' ? `<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer">${
+    escapeHTML(entry.name)}</a>` : escapeHTML(entry.name);
+
+   const avatars = typeof options.avatars === 'boolean' ? options.avatars : !!options.document;
+
+   const avatarURL = avatars ? safeURL(entry.avatar_url, options.urlSchemes, options) : '';
+
+   return avatarURL !== '' ? `<img class="avatar" src="${escapeHTML(avatarURL)}" alt="" width="20" height="20"> ${
+    link}` : link;
+};
+
+/**
+ * Returns the header and footer enclosing the transformed lists in a complete HTML5 document.
+ *
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string)    css - Additional CSS embedded after the default stylesheet.
+ *
+ * (boolean)   defaultStyle - Embeds the default stylesheet; default (true).
+ *
+ * (string)    title - The document title; default ('GitHub').
+ * ```
+ *
+ * @returns {{header: string, footer: string}}
+ */
+const s_DOCUMENT_ENCLOSURE = (options) =>
+{
+   const title = typeof options.title === 'string' ? options.title : 'GitHub';
+
+   let style = options.defaultStyle !== false ? s_DEFAULT_STYLE : '';
+
+   // User supplied CSS may not close the style element.
+   if (typeof options.css === 'string') { style += `${options.css.replace(/<\/style/gi, '<\\/style')}\n`; }
+
+   let header = '<!DOCTYPE html>\n<html lang="en">\n<head>\n';
+   header += `${indent(1)}<meta charset="utf-8">\n`;
+   header += `${indent(1)}<meta name="viewport" content="width=device-width, initial-scale=1">\n`;
+   header += `${indent(1)}<title>${escapeHTML(title)}</title>\n`;
+
+   if (style !== '') { header += `${indent(1)}<style>\n${style}${indent(1)}</style>\n`; }
+
+   header += '</head>\n<body>\n';
+
+   return { header, footer: '</body>\n</html>\n' };
+};
+
+/**
+ * The default stylesheet embedded in document mode.
+ *
+ * @type {string}
+ */
+const s_DEFAULT_STYLE =
+`body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; line-height: 1.5; margin: 2em;
+ color: #24292e; }
+ul { list-style: none; padding-left: 1.5em; }
+body > ul { padding-left: 0; }
+li { margin: 0.2em 0; }
+li.li-depth-0 { margin-top: 1em; }
+a { color: #0366d6; text-decoration: none; }
+a:hover { text-decoration: underline; }
+img.avatar { width: 20px; height: 20px; border-radius: 3px; vertical-align: middle; }
+pre { white-space: pre-wrap; }
+table { border-collapse: collapse; margin: 0.5em 0 0.5em 1.5em; }
+th, td { border: 1px solid #dfe2e5; padding: 0.25em 0.75em; text-align: left; }
+th { background: #f6f8fa; }
+`;
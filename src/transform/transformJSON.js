@@ -1,13 +1,89 @@
 'use strict';
 
+import messages     from './messages.js';
+import selectFields from './selectFields.js';
+
 /**
- * Transforms data to a JSON string.
+ * Transforms data to a JSON string. `description` fields are only included when `description` is true and the fields of
+ * each category may be selected by `fields` / `excludeFields`; for instance
+ * `{ fields: { repos: ['url', 'clone_url'] }, excludeFields: { orgs: ['avatar_url'] } }`. Nested category data is
+ * always kept.
  *
  * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which includes `description` fields; default (false).
+ *
+ * (object)    excludeFields - A hash of category names to an array of field names to remove.
+ *
+ * (object)    fields - A hash of category names to an array of field names to keep in addition to `name`.
+ *
+ * (number|string)   indent - Pretty prints the JSON with the given number of spaces or string per level.
+ * ```
  *
  * @returns {string}
  */
-export default function(data)
+export default function(data, options = {})
 {
-   return JSON.stringify(data);
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.indent !== 'undefined' && typeof options.indent !== 'number' &&
+    typeof options.indent !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'transformJSON', name: 'options.indent',
+       expected: message('type.numberOrString') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.fields !== 'undefined' && (options.fields === null || typeof options.fields !== 'object'))
+   {
+      throw new TypeError(message('error.option', { method: 'transformJSON', name: 'options.fields',
+       expected: message('type.object') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.excludeFields !== 'undefined' &&
+    (options.excludeFields === null || typeof options.excludeFields !== 'object'))
+   {
+      throw new TypeError(message('error.option', { method: 'transformJSON', name: 'options.excludeFields',
+       expected: message('type.object') }));
+   }
+
+   const filter = options.description !== true || typeof options.fields === 'object' ||
+    typeof options.excludeFields === 'object';
+
+   const result = filter && typeof data.categories === 'string' ?
+    s_SELECT(data, data.categories.split(':'), 0, options) : data;
+
+   return JSON.stringify(result, null, options.indent);
 }
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns a copy of the given parent with the entries of the category at `depth` and all nested categories reduced to
+ * the selected fields.
+ *
+ * @param {object}         parent - The parent object holding the category entries.
+ * @param {Array<string>}  categories - The categories of the data.
+ * @param {number}         depth - The current category depth.
+ * @param {object}         options - Optional parameters.
+ *
+ * @returns {object}
+ */
+const s_SELECT = (parent, categories, depth, options) =>
+{
+   const category = categories[depth];
+   const nextCategory = categories[depth + 1];
+
+   if (typeof category === 'undefined' || !Array.isArray(parent[category])) { return parent; }
+
+   const result = Object.assign({}, parent);
+
+   // The `diff` object of entries from `diffCategories` is always kept.
+   result[category] = parent[category].map((entry) =>
+    s_SELECT(selectFields(entry, category, options, [nextCategory, 'diff']), categories, depth + 1, options));
+
+   return result;
+};
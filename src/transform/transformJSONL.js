@@ -0,0 +1,75 @@
+'use strict';
+
+import messages            from './messages.js';
+import selectFields        from './selectFields.js';
+import transformCategories from './transformCategories.js';
+
+/**
+ * Transforms data to JSON Lines flattening the category hierarchy into records for log and analytics tools. One record
+ * is emitted per line for each leaf entry; that is an entry of the last category or an entry without any nested
+ * categories. Each record holds the fields of the leaf entry and all of its ancestors with keys prefixed by the
+ * category name in the same manner as the `csv` transform columns; for instance `orgs_name`, `repos_name`,
+ * `repos_clone_url` and `collaborators_name`. Fields are selected for each category as with the `json` transform.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which includes `description` fields; default (false).
+ *
+ * (object)    excludeFields - A hash of category names to an array of field names to remove.
+ *
+ * (object)    fields - A hash of category names to an array of field names to keep in addition to `name`.
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.fields !== 'undefined' && (options.fields === null || typeof options.fields !== 'object'))
+   {
+      throw new TypeError(message('error.option', { method: 'transformJSONL', name: 'options.fields',
+       expected: message('type.object') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.excludeFields !== 'undefined' &&
+    (options.excludeFields === null || typeof options.excludeFields !== 'object'))
+   {
+      throw new TypeError(message('error.option', { method: 'transformJSONL', name: 'options.excludeFields',
+       expected: message('type.object') }));
+   }
+
+   const categories = data.categories.split(':');
+
+   // Stores the prefixed fields of the current entry at each depth as categories are traversed.
+   const recordFields = [];
+
+   const transformFunction = (category, entry, depth, traversalOptions) =>
+   {
+      const transformData = traversalOptions._transformData[depth];
+
+      if (transformData.pass > 0) { return ''; }
+
+      const fields = selectFields(entry, category, traversalOptions);
+      const prefixed = {};
+
+      // Nested category data is represented by the records of its leaf entries.
+      delete fields[categories[depth + 1]];
+
+      for (const key in fields) { prefixed[`${category}_${key}`] = fields[key]; }
+
+      recordFields.length = depth;
+      recordFields.push(prefixed);
+
+      if (!transformData.maxDepth) { return ''; }
+
+      return `${JSON.stringify(Object.assign.apply(null, [{}].concat(recordFields)))}\n`;
+   };
+
+   return transformCategories(data, transformFunction, options);
+}
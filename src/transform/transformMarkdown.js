@@ -1,22 +1,78 @@
 'use strict';
 
+import categoryFields      from './categoryFields.js';
+import categoryRenderer    from './categoryRenderer.js';
+import diffContent         from './diffContent.js';
+import escapeMarkdown      from './escapeMarkdown.js';
+import escapeMarkdownURL   from './escapeMarkdownURL.js';
+import formatDate          from './formatDate.js';
 import indent              from './indent.js';
+import messages            from './messages.js';
+import rateLimitContent    from './rateLimitContent.js';
+import repoTableColumns    from './repoTableColumns.js';
+import statsSummary        from './statsSummary.js';
 import transformCategories from './transformCategories.js';
+import userCategories      from './userCategories.js';
 
 /**
- * Transforms data to markdown.
+ * Transforms data to markdown. Entries at depth 0 are rendered as paragraphs and nested categories as lists at any
+ * depth. All names, descriptions and link text are escaped, so the output is valid CommonMark. Links are only created
+ * for URLs with an allowed scheme.
+ *
+ * When `layout` is `table` and `repos` is the leaf category the repos of each parent entry are rendered as a GFM pipe
+ * table instead of a list. The table columns are selected by `columns` and are not affected by `description`.
+ *
+ * Stats entries render a bold titled summary and a GFM pipe table for each stats type within the list item; please
+ * see `statsSummary`.
+ *
+ * Entries from `diffCategories` start with an escaped `+`, `-` or `~` status marker, so a marker is never parsed as a
+ * nested list; please see `diffContent`.
  *
  * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
  * @param {object}   options - Optional parameters:
  * ```
+ * (Array<string>)   columns - Repo fields rendered as table columns; any of `name`, `description`, `fork`, `private`,
+ *                             `default_branch`, `created_at` and `clone_url`; default
+ *                             (['name', 'description', 'default_branch', 'created_at']).
+ *
  * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ *
+ * (string)    layout - Renders leaf repos as a `list` or `table`; default ('list').
+ *
+ * (object)    fields - A hash of category names to an array of field names rendered after the entry name; a `users`
+ *                      entry applies to all user categories and takes precedence over `description`; please see
+ *                      `categoryFields`.
+ *
+ * (object)    renderers - A hash of category names to functions `(entry, context) => string` replacing the content
+ *                         rendered for entries of a category; please see `categoryRenderer`.
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
  * ```
  *
- * @returns {string}
+ * @returns {string|stream.Readable}
  */
-export default function(data, options)
+export default function(data, options = {})
 {
-   return transformCategories(data, s_TRANSFORM, options);
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.layout !== 'undefined' && options.layout !== 'list' && options.layout !== 'table')
+   {
+      throw new TypeError(message('error.option', { method: 'transformMarkdown', name: 'options.layout',
+       expected: message('type.oneOf', { values: 'list, table' }) }));
+   }
+
+   if (options.layout !== 'table') { return transformCategories(data, s_TRANSFORM, options); }
+
+   const columns = repoTableColumns(options, 'transformMarkdown');
+
+   // Repos are only rendered as a table when they are the leaf category.
+   return transformCategories(data, (category, entry, depth, traversalOptions) =>
+    category === 'repos' && depth === traversalOptions._maxDepthLength - 1 ?
+     s_TRANSFORM_TABLE_ROW(entry, depth, traversalOptions, columns) :
+      s_TRANSFORM(category, entry, depth, traversalOptions), options);
 }
 
 // Module private ---------------------------------------------------------------------------------------------------
@@ -43,28 +99,55 @@ const s_TRANSFORM = (category, entry, depth, options) =>
    const maxDepth = options._transformData[depth].maxDepth;
    const maxDepthLength = options._maxDepthLength;
 
-   const desc = typeof options.description === 'boolean' ? options.description : false;
-
    let resultString = '';
 
    let prefix = '';
    let tail = '\n\n';
 
-   switch (depth)
+   // Nested categories are rendered as lists at any depth alternating `-` and `*` bullets. Each level is indented past
+   // the content of the parent list item.
+   if (depth > 0)
+   {
+      prefix = `${indent(depth)}${depth % 2 === 1 ? '-' : '*'} `;
+      tail = '\n';
+      tail += lastEntry && maxDepth ? '\n' : '';
+   }
+
+   // Single category user lists are rendered as a list.
+   if (depth === 0 && maxDepthLength === 1 && userCategories.indexOf(category) >= 0)
    {
-      case 1:
-         prefix = `${indent(1)}- `;
-         tail = '\n';
-         tail += lastEntry && maxDepth ? '\n' : '';
-         break;
-
-      case 2:
-         prefix = `${indent(2)}* `;
-         tail = '\n';
-         tail += lastEntry && maxDepth ? '\n' : '';
-         break;
+      prefix = '- ';
+      tail = '\n';
    }
 
+   let content = categoryRenderer(category, entry, depth, options, escapeMarkdown, s_LINK);
+
+   if (content === null) { content = categoryFields(category, entry, options, escapeMarkdown, s_LINK); }
+
+   if (content === null) { content = s_CONTENT(category, entry, prefix, options); }
+
+   resultString += `${prefix}${diffContent(entry, content, escapeMarkdown, options)}${tail}`;
+
+   return resultString;
+};
+
+/**
+ * Returns the markdown content of a given category and entry.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {string}   prefix - The list item prefix repeated for additional lines.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string}
+ */
+const s_CONTENT = (category, entry, prefix, options) =>
+{
+   const desc = typeof options.description === 'boolean' ? options.description : false;
+
    switch (category)
    {
       case 'collaborators':
@@ -72,38 +155,149 @@ const s_TRANSFORM = (category, entry, depth, options) =>
       case 'members':
       case 'owners':
       case 'users':
-         if (depth === 0 && maxDepthLength === 1) { prefix = '- '; tail = '\n'; }
-         resultString += `${prefix}${entry.url !== '' ? `[${entry.name}](${entry.url})` : entry.name}${tail}`;
-         break;
+         return s_LINK(entry, options);
 
       case 'orgs':
       case 'repos':
-         if (desc)
-         {
-            resultString += `${prefix}${entry.url !== '' ? `[${entry.name}](${entry.url})` :
-             entry.name}${entry.description ? ` - ${entry.description}` : ''}${tail}`;
-         }
-         else { resultString += `${prefix}${entry.url !== '' ? `[${entry.name}](${entry.url})` : entry.name}${tail}`; }
-         break;
+         return `${s_LINK(entry, options)}${desc && entry.description ? ` - ${escapeMarkdown(entry.description)}` :
+          ''}`;
 
       case 'ratelimit':
-         resultString += `${prefix}Core: limit: ${entry.core.limit}, remaining: ${entry.core.remaining}, reset: ${
-          new Date(entry.core.reset)}\n${prefix}Search: limit: ${entry.search.limit}, remaining: ${
-           entry.search.remaining}, reset: ${new Date(entry.search.reset)}${tail}`;
-         break;
+         return rateLimitContent(entry, options).map((line) => escapeMarkdown(line)).join(`\n${prefix}`);
 
       case 'teams':
-         if (desc)
-         {
-            resultString += `${prefix}${entry.name}${entry.description ? ` - ${entry.description}` : ''}${tail}`;
-         }
-         else { resultString += `${prefix}${entry.name}${tail}`; }
-         break;
+         return `${escapeMarkdown(entry.name)}${desc && entry.description ? ` - ${
+          escapeMarkdown(entry.description)}` : ''}`;
 
       case 'stats':
-         resultString += `${prefix}\`\`\`${JSON.stringify(entry)}\`\`\`${tail}`;
-         break;
+         return s_STATS(entry, prefix, options);
+
+      default:
+         return '';
    }
+};
+
+/**
+ * Returns the markdown content of a stats entry with a paragraph summarizing each stats type followed by a GFM pipe
+ * table; please see `statsSummary`. Additional lines are indented to the content of the list item.
+ *
+ * @param {object}   entry - Stats entry to transform.
+ * @param {string}   prefix - The list item prefix of the entry.
+ * @param {object}   options - Optional parameters selecting messages; please see `messages`.
+ *
+ * @returns {string}
+ */
+const s_STATS = (entry, prefix, options) =>
+{
+   const continuation = ' '.repeat(prefix.length);
+
+   const lines = [];
+
+   for (const section of statsSummary(entry, options))
+   {
+      if (lines.length > 0) { lines.push(''); }
+
+      lines.push(`**${escapeMarkdown(section.title)}**: ${escapeMarkdown(section.summary)}`);
+
+      if (section.columns.length === 0) { continue; }
+
+      lines.push('');
+      lines.push(`| ${section.columns.map((column) => escapeMarkdown(column)).join(' | ')} |`);
+      lines.push(`|${section.columns.map(() => ' --- ').join('|')}|`);
+
+      for (const row of section.rows) { lines.push(`| ${row.map((value) => escapeMarkdown(value)).join(' | ')} |`); }
+   }
+
+   return lines.map((line, index) => index > 0 && line !== '' ? `${continuation}${line}` : line).join('\n');
+};
+
+/**
+ * Provides a single pass transforming a repo to a GFM pipe table row. The header and delimiter rows are emitted before
+ * the first repo and a blank line after the last repo. Tables are indented to the depth of the list they replace.
+ *
+ * @param {object}   entry - Repo entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ * @param {Array<{field: string, label: string}>}   columns - Table columns.
+ *
+ * @returns {string}
+ */
+const s_TRANSFORM_TABLE_ROW = (entry, depth, options, columns) =>
+{
+   // Note Markdown only responds to the first pass.
+   if (options._transformData[depth].pass > 0) { return ''; }
+
+   const firstEntry = options._transformData[depth].firstEntry;
+   const lastEntry = options._transformData[depth].lastEntry;
+
+   const prefix = indent(depth);
+
+   let resultString = '';
+
+   if (firstEntry)
+   {
+      // Parent list items at depth 1 and beyond are not followed by a blank line.
+      if (depth > 1) { resultString += '\n'; }
+
+      resultString += `${prefix}| ${columns.map((column) => escapeMarkdown(column.label)).join(' | ')} |\n`;
+      resultString += `${prefix}|${columns.map(() => ' --- ').join('|')}|\n`;
+   }
+
+   resultString += `${prefix}| ${columns.map((column) => s_TABLE_CELL(entry, column.field, options)).join(' | ')} |\n`;
+
+   if (lastEntry) { resultString += '\n'; }
 
    return resultString;
-};
\ No newline at end of file
+};
+
+/**
+ * Returns the escaped content of a table cell for the given repo field. The `name` field is rendered as a link where
+ * any pipe character in the URL is percent encoded as it would otherwise end the cell. The `created_at` field is
+ * formatted by `formatDate` and missing values are empty.
+ *
+ * @param {object}   entry - Repo entry.
+ * @param {string}   field - Repo field.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_TABLE_CELL = (entry, field, options) =>
+{
+   if (field === 'name')
+   {
+      const url = escapeMarkdownURL(entry.url, options.urlSchemes, options).replace(/\|/g, '%7C');
+
+      return url !== '' ? `[${escapeMarkdown(entry.name)}](${url})` : escapeMarkdown(entry.name);
+   }
+
+   const value = entry[field];
+
+   if (typeof value === 'undefined' || value === null) { return ''; }
+
+   return escapeMarkdown(field === 'created_at' ? formatDate(value, options) : value);
+};
+
+/**
+ * Returns a Markdown link for the given entry name and URL. If the entry has no URL or the URL scheme is not allowed
+ * only the escaped entry name is returned.
+ *
+ * @param {object}   entry - Entry with `name` and `url`.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_LINK = (entry, options) =>
+{
+   const url = escapeMarkdownURL(entry.url, options.urlSchemes, options);
+
+   return url !== '' ? `[${escapeMarkdown(entry.name)}](${url})` : escapeMarkdown(entry.name);
+};
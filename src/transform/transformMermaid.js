@@ -0,0 +1,235 @@
+'use strict';
+
+import indent              from './indent.js';
+import messages            from './messages.js';
+import transformCategories from './transformCategories.js';
+
+/**
+ * Transforms data to a Mermaid diagram which renders directly in GitHub hosted Markdown. By default a fenced
+ * ```` ```mermaid ```` block is emitted containing a `graph TD` flowchart where each org, repo, team and user is a node
+ * with edges following the `categories` chain; as with the `dot` transform the same user across repos / teams is a
+ * single shared node. With `diagram: 'mindmap'` a `mindmap` rooted at `title` mirrors the nested hierarchy instead.
+ * Node shapes vary by category. Rate limit and stats entries are not included.
+ *
+ * Node IDs are generated from the category kind and the entry `id` (or `name`) with all characters other than
+ * `[A-Za-z0-9_]` replaced, so they are always valid Mermaid identifiers. Labels are quoted and characters with meaning
+ * to Mermaid or HTML are replaced by Mermaid entity codes.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string)    diagram - The diagram type: `graph` or `mindmap`; default ('graph').
+ *
+ * (string)    direction - The `graph` direction: `TD`, `TB`, `BT`, `LR` or `RL`; default ('TD').
+ *
+ * (boolean)   fence - Wraps the diagram in a ```` ```mermaid ```` fenced code block; default (true).
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (string)    title - The `mindmap` root label; default ('GitHub').
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.diagram !== 'undefined' && options.diagram !== 'graph' && options.diagram !== 'mindmap')
+   {
+      throw new TypeError(message('error.option', { method: 'transformMermaid', name: 'options.diagram',
+       expected: message('type.oneOf', { values: `'graph', 'mindmap'` }) }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.direction !== 'undefined' && !(/^(TD|TB|BT|LR|RL)$/).test(options.direction))
+   {
+      throw new TypeError(message('error.option', { method: 'transformMermaid', name: 'options.direction',
+       expected: message('type.oneOf', { values: `'TD', 'TB', 'BT', 'LR', 'RL'` }) }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.title !== 'undefined' && typeof options.title !== 'string')
+   {
+      throw new TypeError(message('error.option', { method: 'transformMermaid', name: 'options.title',
+       expected: message('type.string') }));
+   }
+
+   const mindmap = options.diagram === 'mindmap';
+   const fence = options.fence !== false;
+
+   let header = fence ? '```mermaid\n' : '';
+
+   if (mindmap)
+   {
+      header += `mindmap\n${indent(1)}root((${s_LABEL(typeof options.title === 'string' ? options.title : 'GitHub')
+       }))\n`;
+   }
+   else
+   {
+      header += `graph ${typeof options.direction === 'string' ? options.direction : 'TD'}\n`;
+   }
+
+   const transformFunction = mindmap ? s_CREATE_MINDMAP_TRANSFORM() : s_CREATE_GRAPH_TRANSFORM();
+
+   return transformCategories(data, transformFunction, options, { header, footer: fence ? '```\n' : '' });
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the node kind and shape delimiters for `graph` and `mindmap` diagrams for each category. Categories sharing a
+ * kind share `graph` nodes by id.
+ *
+ * @type {object}
+ */
+const s_NODE_STYLES =
+{
+   collaborators: { kind: 'user', graph: ['([', '])'], mindmap: ['((', '))'] },
+   contributors: { kind: 'user', graph: ['([', '])'], mindmap: ['((', '))'] },
+   members: { kind: 'user', graph: ['([', '])'], mindmap: ['((', '))'] },
+   orgs: { kind: 'org', graph: ['[', ']'], mindmap: ['[', ']'] },
+   owners: { kind: 'owner', graph: ['[[', ']]'], mindmap: [')', '('] },
+   repos: { kind: 'repo', graph: ['(', ')'], mindmap: ['(', ')'] },
+   teams: { kind: 'team', graph: ['{{', '}}'], mindmap: ['{{', '}}'] },
+   users: { kind: 'user', graph: ['([', '])'], mindmap: ['((', '))'] }
+};
+
+/**
+ * Creates a transform function for a `graph` flowchart. Each node is declared once with edges from each parent.
+ *
+ * @returns {function}
+ */
+const s_CREATE_GRAPH_TRANSFORM = () =>
+{
+   // Stores node IDs by kind / entry key, the set of used node IDs, emitted edges and the node ID at each depth.
+   const nodeIDs = new Map();
+   const usedIDs = new Set();
+   const edges = new Set();
+   const parentNodes = [];
+
+   return (category, entry, depth, options) =>
+   {
+      if (options._transformData[depth].pass > 0) { return ''; }
+
+      const style = s_NODE_STYLES[category];
+
+      parentNodes.length = depth;
+
+      if (typeof style === 'undefined')
+      {
+         parentNodes.push(null);
+         return '';
+      }
+
+      const key = `${style.kind}:${typeof entry.id !== 'undefined' ? entry.id : entry.name}`;
+      const parentID = depth > 0 ? parentNodes[depth - 1] : null;
+
+      let resultString = '';
+      let nodeID = nodeIDs.get(key);
+
+      if (typeof nodeID === 'undefined')
+      {
+         nodeID = s_NODE_ID(style.kind, typeof entry.id !== 'undefined' ? entry.id : entry.name, usedIDs);
+
+         nodeIDs.set(key, nodeID);
+
+         resultString += `${indent(1)}${nodeID}${style.graph[0]}${s_LABEL(entry.name)}${style.graph[1]}\n`;
+      }
+
+      parentNodes.push(nodeID);
+
+      const edge = `${parentID} --> ${nodeID}`;
+
+      if (parentID !== null && !edges.has(edge))
+      {
+         edges.add(edge);
+         resultString += `${indent(1)}${edge}\n`;
+      }
+
+      return resultString;
+   };
+};
+
+/**
+ * Creates a transform function for a `mindmap`. Each entry is a node nested by indentation below its parent.
+ *
+ * @returns {function}
+ */
+const s_CREATE_MINDMAP_TRANSFORM = () =>
+{
+   const usedIDs = new Set();
+
+   // Stores the depth of any category skipped so that nested entries are not attached to the wrong parent.
+   let skipDepth = -1;
+
+   return (category, entry, depth, options) =>
+   {
+      if (options._transformData[depth].pass > 0) { return ''; }
+
+      if (skipDepth >= 0 && depth > skipDepth) { return ''; }
+
+      skipDepth = -1;
+
+      const style = s_NODE_STYLES[category];
+
+      if (typeof style === 'undefined')
+      {
+         skipDepth = depth;
+         return '';
+      }
+
+      const nodeID = s_NODE_ID(style.kind, typeof entry.id !== 'undefined' ? entry.id : entry.name, usedIDs);
+
+      return `${indent(depth + 2)}${nodeID}${style.mindmap[0]}${s_LABEL(entry.name)}${style.mindmap[1]}\n`;
+   };
+};
+
+/**
+ * Creates a unique Mermaid node ID from a kind and entry key replacing all characters other than `[A-Za-z0-9_]`.
+ *
+ * @param {string}      kind - The node kind.
+ * @param {*}           key - The entry `id` or `name`.
+ * @param {Set<string>} usedIDs - The node IDs already in use.
+ *
+ * @returns {string}
+ */
+const s_NODE_ID = (kind, key, usedIDs) =>
+{
+   const baseID = `${kind}_${String(key).replace(/[^A-Za-z0-9_]/g, '_')}`;
+
+   let nodeID = baseID;
+
+   for (let cntr = 2; usedIDs.has(nodeID); cntr++) { nodeID = `${baseID}_${cntr}`; }
+
+   usedIDs.add(nodeID);
+
+   return nodeID;
+};
+
+/**
+ * Quotes a node label replacing characters with meaning to Mermaid or HTML by Mermaid entity codes. Line breaks are
+ * replaced by a space.
+ *
+ * @param {*}  value - The label value.
+ *
+ * @returns {string}
+ */
+const s_LABEL = (value) => `"${String(value).replace(/[\r\n]+/g, ' ').replace(/[#"&<>`]/g, (match) =>
+ s_ENTITIES[match])}"`;
+
+/**
+ * Defines the Mermaid entity codes for label characters.
+ *
+ * @type {object}
+ */
+const s_ENTITIES =
+{
+   '#': '#35;',
+   '"': '#quot;',
+   '&': '#amp;',
+   '<': '#lt;',
+   '>': '#gt;',
+   '`': '#96;'
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+import categoryFields      from './categoryFields.js';
+import categoryRenderer    from './categoryRenderer.js';
+import diffContent         from './diffContent.js';
+import escapeRST           from './escapeRST.js';
+import rateLimitContent    from './rateLimitContent.js';
+import safeURL             from './safeURL.js';
+import transformCategories from './transformCategories.js';
+import userCategories      from './userCategories.js';
+
+/**
+ * Transforms data to reStructuredText for Sphinx / docutils sites. Entries at depth 0 are rendered as paragraphs and
+ * nested categories as bullet lists at any depth alternating `-` and `*` bullets. Each level is indented to the text of
+ * the parent list item and every item is followed by a blank line as required for nested lists. Links use the
+ * anonymous embedded URI form `` `name <url>`__ ``, so entries sharing a name such as a user in several repos do not
+ * define duplicate targets. All names, descriptions and link text are escaped. Links are only created for URLs with
+ * an allowed scheme. Entries from `diffCategories` are marked as added, removed or changed; please see `diffContent`.
+ * Entries are rendered by `renderers` or with the selected `fields` as by the `markdown` transform; please see
+ * `categoryRenderer` and `categoryFields`.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ *
+ * (object)    fields - A hash of category names to an array of field names rendered after each entry name.
+ *
+ * (object)    renderers - A hash of category names to functions rendering the content of entries.
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options)
+{
+   return transformCategories(data, s_TRANSFORM, options);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Provides a single pass transforming a given category and entry at a particular depth to reStructuredText.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string}
+ */
+const s_TRANSFORM = (category, entry, depth, options) =>
+{
+   // Note reStructuredText only responds to the first pass.
+   if (options._transformData[depth].pass > 0) { return ''; }
+
+   const maxDepthLength = options._maxDepthLength;
+
+   // Nested lists start at the left margin below the depth 0 paragraph and are indented two spaces per level.
+   let prefix = depth > 0 ? `${'  '.repeat(depth - 1)}${depth % 2 === 1 ? '-' : '*'} ` : '';
+
+   const tail = '\n\n';
+
+   // Single category user lists are rendered as a list.
+   if (depth === 0 && maxDepthLength === 1 && userCategories.indexOf(category) >= 0) { prefix = '- '; }
+
+   let content = categoryRenderer(category, entry, depth, options, escapeRST, s_LINK);
+
+   if (content === null) { content = categoryFields(category, entry, options, escapeRST, s_LINK); }
+
+   if (content === null) { content = s_CONTENT(category, entry, `${tail}${prefix}`, options); }
+
+   if (content === null) { return ''; }
+
+   return `${prefix}${diffContent(entry, content, escapeRST, options)}${tail}`;
+};
+
+/**
+ * Returns the reStructuredText content of a given category and entry or `null` for an unknown category.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {string}   separator - Separates the paragraphs of rate limit lines.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string|null}
+ */
+const s_CONTENT = (category, entry, separator, options) =>
+{
+   const desc = typeof options.description === 'boolean' ? options.description : false;
+
+   switch (category)
+   {
+      case 'collaborators':
+      case 'contributors':
+      case 'members':
+      case 'owners':
+      case 'users':
+         return s_LINK(entry, options);
+
+      case 'orgs':
+      case 'repos':
+         return `${s_LINK(entry, options)}${desc && entry.description ? ` - ${escapeRST(entry.description)}` : ''}`;
+
+      case 'ratelimit':
+         return rateLimitContent(entry, options).map((line) => escapeRST(line)).join(separator);
+
+      case 'teams':
+         return `${escapeRST(entry.name)}${desc && entry.description ? ` - ${escapeRST(entry.description)}` : ''}`;
+
+      case 'stats':
+         return escapeRST(JSON.stringify(entry));
+
+      default:
+         return null;
+   }
+};
+
+/**
+ * Returns an anonymous reStructuredText hyperlink reference with an embedded URI `` `name <url>`__ `` for the given
+ * entry. If the entry has no URL or the URL scheme is not allowed only the escaped entry name is returned. Characters
+ * which end or alter the embedded URI (whitespace, `<`, `>`, `` ` `` and `\`) are percent encoded.
+ *
+ * @param {object}   entry - Entry with `name` and `url`.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (Array<string>)   urlSchemes - URL schemes allowed in links; default (['http', 'https', 'mailto']).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_LINK = (entry, options) =>
+{
+   const url = safeURL(entry.url, options.urlSchemes, options).replace(/[\s<>`\\]/g, (match) => encodeURIComponent(match));
+
+   if (url === '') { return escapeRST(entry.name); }
+
+   // Link text may not be empty or an embedded URI would be treated as the text.
+   const name = escapeRST(entry.name);
+
+   return `\`${name !== '' ? name : url} <${url}>\`__`;
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+import transformCSV from './transformCSV.js';
+
+/**
+ * Transforms data to TSV flattening the category hierarchy into rows. This is the `csv` transform with a tab delimiter;
+ * fields containing a tab, double quote, CR or LF are quoted as described by RFC 4180.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include description columns for each category.
+ *
+ * (boolean)   escapeFormulas - Prefixes fields which a spreadsheet would evaluate as a formula with `'`;
+ *                              default (true).
+ *
+ * (object)    fields - A hash of category names to an array of field names with a column after `<category>_name`; a
+ *                      `users` entry applies to all user categories.
+ *
+ * (boolean)   header - Emits a header row with column names; default (true).
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options = {})
+{
+   return transformCSV(data, Object.assign({}, options, { delimiter: '\t' }));
+}
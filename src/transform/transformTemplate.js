@@ -0,0 +1,164 @@
+'use strict';
+
+import compileTemplate     from './compileTemplate.js';
+import escapeHTML          from './escapeHTML.js';
+import escapeMarkdown      from './escapeMarkdown.js';
+import messages            from './messages.js';
+import transformCategories from './transformCategories.js';
+
+/**
+ * Transforms data with user supplied templates for each category. A category template is either a string rendered
+ * when an entry is entered or an object with `enter` and / or `leave` templates where `leave` is rendered after all
+ * nested entries. Categories without a template render `{{@indent}}{{name}}` on a line. Please see `compileTemplate`
+ * for the supported template tags.
+ *
+ * ```
+ * transformControl.transform(data, { transformType: 'template', templates:
+ * {
+ *    orgs: { enter: '{{name}}\n', leave: '\n' },
+ *    repos: '{{@indent}}{{name}} ({{default_branch}}){{#description}} - {{description}}{{/description}}\n'
+ * } });
+ * ```
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (string|function) escape - Escapes values; one of `html`, `markdown`, `none` or a function; default ('none').
+ *
+ * (string)    footer - A string emitted after all entries.
+ *
+ * (string)    header - A string emitted before all entries.
+ *
+ * (string)    indent - The indentation for each depth level of `{{@indent}}`; default (three spaces).
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
+ *
+ * (object)    templates - A hash of category names to a template string or `{ enter, leave }` templates.
+ * ```
+ *
+ * @returns {string|stream.Readable}
+ */
+export default function(data, options = {})
+{
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.templates !== 'undefined' &&
+    (options.templates === null || typeof options.templates !== 'object'))
+   {
+      throw new TypeError(message('error.option', { method: 'transformTemplate', name: 'options.templates',
+       expected: message('type.object') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.escape !== 'undefined' && typeof options.escape !== 'function' &&
+    !s_ESCAPE_FUNCTIONS.hasOwnProperty(options.escape))
+   {
+      throw new TypeError(message('error.option', { method: 'transformTemplate', name: 'options.escape',
+       expected: message('type.escape') }));
+   }
+
+   for (const key of ['footer', 'header', 'indent'])
+   {
+      /* istanbul ignore if */
+      if (typeof options[key] !== 'undefined' && typeof options[key] !== 'string')
+      {
+         throw new TypeError(message('error.option', { method: 'transformTemplate', name: `options.${key}`,
+          expected: message('type.string') }));
+      }
+   }
+
+   const escape = typeof options.escape === 'function' ? options.escape :
+    s_ESCAPE_FUNCTIONS[typeof options.escape === 'string' ? options.escape : 'none'];
+
+   const indentString = typeof options.indent === 'string' ? options.indent : '   ';
+
+   const indent = (levels) => indentString.repeat(levels);
+
+   // Templates are compiled before traversal so that errors are thrown immediately.
+   const templates = {};
+
+   if (typeof options.templates === 'object')
+   {
+      for (const category in options.templates)
+      {
+         templates[category] = s_COMPILE(category, options.templates[category], options);
+      }
+   }
+
+   const transformFunction = (category, entry, depth, traversalOptions) =>
+   {
+      const transformData = traversalOptions._transformData[depth];
+
+      const compiled = templates.hasOwnProperty(category) ? templates[category] : s_DEFAULT_TEMPLATE;
+
+      const render = transformData.pass === 0 ? compiled.enter : compiled.leave;
+
+      if (render === null) { return ''; }
+
+      return render(entry, { category, depth, first: transformData.firstEntry, last: transformData.lastEntry,
+       leaf: transformData.maxDepth, indent, escape });
+   };
+
+   return transformCategories(data, transformFunction, options, { header: options.header, footer: options.footer });
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Compiles the `enter` / `leave` templates for a category.
+ *
+ * @param {string}         category - Category name.
+ * @param {string|object}  template - A template string or `{ enter, leave }` templates.
+ * @param {object}         options - Optional parameters selecting error messages; please see `messages`.
+ *
+ * @returns {{enter: (function|null), leave: (function|null)}}
+ */
+const s_COMPILE = (category, template, options) =>
+{
+   if (typeof template === 'string') { return { enter: compileTemplate(template, options), leave: null }; }
+
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (template === null || typeof template !== 'object')
+   {
+      throw new TypeError(message('error.option', { method: 'transformTemplate', name: `options.templates.${category}`,
+       expected: message('type.stringOrObject') }));
+   }
+
+   const result = {};
+
+   for (const key of ['enter', 'leave'])
+   {
+      /* istanbul ignore if */
+      if (typeof template[key] !== 'undefined' && typeof template[key] !== 'string')
+      {
+         throw new TypeError(message('error.option', { method: 'transformTemplate',
+          name: `options.templates.${category}.${key}`, expected: message('type.string') }));
+      }
+
+      result[key] = typeof template[key] === 'string' ? compileTemplate(template[key], options) : null;
+   }
+
+   return result;
+};
+
+/**
+ * Provides the template for categories without a user supplied template.
+ *
+ * @type {{enter: function, leave: null}}
+ */
+const s_DEFAULT_TEMPLATE = { enter: compileTemplate('{{@indent}}{{name}}\n'), leave: null };
+
+/**
+ * Maps the named `escape` options to escape functions.
+ *
+ * @type {{html: function, markdown: function, none: function}}
+ */
+const s_ESCAPE_FUNCTIONS =
+{
+   html: escapeHTML,
+   markdown: escapeMarkdown,
+   none: (value) => value
+};
@@ -1,21 +1,70 @@
 'use strict';
 
+import categoryFields      from './categoryFields.js';
+import categoryRenderer    from './categoryRenderer.js';
+import diffContent         from './diffContent.js';
 import indent              from './indent.js';
+import messages            from './messages.js';
+import rateLimitContent    from './rateLimitContent.js';
+import statsSummary        from './statsSummary.js';
 import transformCategories from './transformCategories.js';
 
 /**
  * Transforms data to text.
  *
+ * Stats entries render a summary line and an aligned table for each stats type; please see `statsSummary`. With
+ * `charts` weekly commit activity is drawn as a sparkline, code frequency additions and deletions as horizontal bars
+ * and contributor commits as a ranked bar list instead of tables, for instance:
+ * ```
+ * Commit activity: 18 commits in 3 weeks; busiest week 2016-01-10 (11)
+ *    ▁█▅
+ * Contributors: 2 contributors with 121 commits
+ *    typhonrt       ████████████████████████████████████████ 118
+ *    contributor-b  █ 3
+ * ```
+ *
+ * Entries from `diffCategories` are rendered with `+`, `-` and `~` status markers and any changed fields; please see
+ * `diffContent`.
+ *
  * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
  * @param {object}   options - Optional parameters:
  * ```
+ * (boolean)   charts - Draws stats as sparklines and bar charts; default (false).
+ *
+ * (number)    chartWidth - The maximum width in characters of sparklines and bars; default (40).
+ *
  * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ *
+ * (object)    fields - A hash of category names to an array of field names rendered after the entry name; a `users`
+ *                      entry applies to all user categories and takes precedence over `description`; please see
+ *                      `categoryFields`.
+ *
+ * (object)    renderers - A hash of category names to functions `(entry, context) => string` replacing the content
+ *                         rendered for entries of a category; please see `categoryRenderer`.
+ *
+ * (boolean)   stream - Returns a `stream.Readable` emitting the transformed result in chunks; default (false).
  * ```
  *
- * @returns {string}
+ * @returns {string|stream.Readable}
  */
-export default function(data, options)
+export default function(data, options = {})
 {
+   const message = messages(options);
+
+   /* istanbul ignore if */
+   if (typeof options.charts !== 'undefined' && typeof options.charts !== 'boolean')
+   {
+      throw new TypeError(message('error.option', { method: 'transformText', name: 'options.charts',
+       expected: message('type.boolean') }));
+   }
+
+   /* istanbul ignore if */
+   if (typeof options.chartWidth !== 'undefined' && (!Number.isInteger(options.chartWidth) || options.chartWidth < 1))
+   {
+      throw new TypeError(message('error.option', { method: 'transformText', name: 'options.chartWidth',
+       expected: message('type.positiveInteger') }));
+   }
+
    return transformCategories(data, s_TRANSFORM, options);
 }
 
@@ -42,8 +91,6 @@ const s_TRANSFORM = (category, entry, depth, options) =>
    const lastEntry = options._transformData[depth].lastEntry;
    const maxDepth = options._transformData[depth].maxDepth;
 
-   const desc = typeof options.description === 'boolean' ? options.description : false;
-
    const prefix = indent(depth);
 
    let tail = '\n';
@@ -57,47 +104,238 @@ const s_TRANSFORM = (category, entry, depth, options) =>
       case 'members':
       case 'owners':
       case 'users':
+      case 'ratelimit':
          if (depth > 0 && lastEntry && maxDepth) { tail += '\n'; }
-         if (desc) { resultString += `${entry.name}${entry.url !== '' ? ` - ${entry.url}` : ''}${tail}`; }
-         else { resultString += `${entry.name}${tail}`; }
-
          break;
 
       case 'orgs':
          if (depth === 0 && options._maxDepthLength > 1 && maxDepth) { tail += '\n'; }
          else if (depth > 0 && lastEntry && maxDepth) { tail += '\n'; }
-
-         if (desc)
-         {
-            resultString += `${entry.name}${entry.description !== '' ? ` - ${entry.description}` : ''}${tail}`;
-         }
-         else { resultString += `${entry.name}${tail}`; }
-         break;
-
-      case 'ratelimit':
-         if (depth > 0 && lastEntry && maxDepth) { tail += '\n'; }
-
-         resultString += `Core: limit: ${entry.core.limit}, remaining: ${entry.core.remaining}, reset: ${
-          new Date(entry.core.reset)}\n${indent(depth)}Search: limit: ${entry.search.limit}, remaining: ${
-           entry.search.remaining}, reset: ${new Date(entry.search.reset)}${tail}`;
          break;
 
       case 'repos':
       case 'teams':
          if (depth > 0 && options._maxDepthLength > 0 && lastEntry && maxDepth) { tail += '\n'; }
-
-         if (desc)
-         {
-            resultString += `${entry.name}${entry.description ? ` - ${entry.description}` : ''}${tail}`;
-         }
-         else { resultString += `${entry.name}${tail}`; }
          break;
 
       case 'stats':
          if (depth > 0 && options._maxDepthLength > 0 && maxDepth) { tail += '\n'; }
-         resultString += `${JSON.stringify(entry)}${tail}`;
          break;
    }
 
+   let content = categoryRenderer(category, entry, depth, options, s_ESCAPE, s_LINK);
+
+   if (content === null) { content = categoryFields(category, entry, options, s_ESCAPE, s_NAME); }
+
+   if (content === null) { content = s_CONTENT(category, entry, depth, options); }
+
+   resultString += `${diffContent(entry, content, s_ESCAPE, options)}${tail}`;
+
    return resultString;
-};
\ No newline at end of file
+};
+
+/**
+ * Returns the text content of a given category and entry.
+ *
+ * @param {string}   category - Current category type.
+ * @param {object}   entry - Entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which will include more descriptive data while transforming.
+ * ```
+ *
+ * @returns {string}
+ */
+const s_CONTENT = (category, entry, depth, options) =>
+{
+   const desc = typeof options.description === 'boolean' ? options.description : false;
+
+   switch (category)
+   {
+      case 'collaborators':
+      case 'contributors':
+      case 'members':
+      case 'owners':
+      case 'users':
+         return desc ? s_LINK(entry) : entry.name;
+
+      case 'orgs':
+         return desc ? `${entry.name}${entry.description !== '' ? ` - ${entry.description}` : ''}` : entry.name;
+
+      case 'ratelimit':
+         return rateLimitContent(entry, options).join(`\n${indent(depth)}`);
+
+      case 'repos':
+      case 'teams':
+         return desc ? `${entry.name}${entry.description ? ` - ${entry.description}` : ''}` : entry.name;
+
+      case 'stats':
+         return s_STATS(entry, depth, options);
+
+      default:
+         return '';
+   }
+};
+
+/**
+ * Returns the lines of a horizontal bar chart with a bar for each labelled value scaled to the largest value. Labels
+ * are left aligned and each bar is followed by its value; a value greater than 0 has a bar of at least one character.
+ *
+ * @param {Array<Array<string>>} bars - Pairs of a label and a value.
+ * @param {number}               width - The width of the longest bar.
+ *
+ * @returns {Array<string>}
+ */
+const s_BARS = (bars, width) =>
+{
+   const labelWidth = Math.max(...bars.map((bar) => bar[0].length));
+   const max = Math.max(...bars.map((bar) => Number(bar[1])));
+
+   return bars.map((bar) =>
+   {
+      const value = Number(bar[1]);
+      const length = value > 0 ? Math.max(1, Math.round(value / max * width)) : 0;
+
+      return `${bar[0].padEnd(labelWidth)}  ${'█'.repeat(length)}${length > 0 ? ' ' : ''}${bar[1]}`;
+   });
+};
+
+/**
+ * Returns the chart lines of a stats section or `null` when the stats type is rendered as a table.
+ *
+ * @param {object}   entry - Stats entry to transform.
+ * @param {object}   section - A section from `statsSummary`.
+ * @param {number}   width - The maximum width in characters of sparklines and bars.
+ *
+ * @returns {Array<string>|null}
+ */
+const s_CHART = (entry, section, width) =>
+{
+   switch (section.name)
+   {
+      case 'codeFrequency':
+         return s_BARS(section.rows.reduce((bars, row) => bars.concat([[`${row[0]} +`, row[1]],
+          [`${' '.repeat(row[0].length)} -`, row[2]]]), []), width);
+
+      case 'commitActivity':
+         return [s_SPARKLINE(entry.commitActivity.map((week) => week.total || 0), width)];
+
+      case 'contributors':
+         return s_BARS(section.rows.map((row) => [row[0], row[1]]), width);
+
+      default:
+         return null;
+   }
+};
+
+/**
+ * Returns a sparkline of values drawn with block elements from `▁` to `█` scaled to the largest value. When there are
+ * more values than the width consecutive values are summed, so the sparkline is at most `width` characters.
+ *
+ * @param {Array<number>}  values - Values to draw.
+ * @param {number}         width - The maximum width in characters.
+ *
+ * @returns {string}
+ */
+const s_SPARKLINE = (values, width) =>
+{
+   const size = Math.ceil(values.length / width);
+
+   const buckets = [];
+
+   for (let cntr = 0; cntr < values.length; cntr += size)
+   {
+      buckets.push(values.slice(cntr, cntr + size).reduce((sum, value) => sum + value, 0));
+   }
+
+   const max = Math.max(0, ...buckets);
+
+   return buckets.map((value) => s_SPARKS[max > 0 ? Math.round(value / max * (s_SPARKS.length - 1)) : 0]).join('');
+};
+
+/**
+ * The block elements of a sparkline from lowest to highest.
+ *
+ * @type {Array<string>}
+ */
+const s_SPARKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+/**
+ * Returns the text content of a stats entry with a line summarizing each stats type followed by an aligned table
+ * indented below it; please see `statsSummary`. With `charts` commit activity, code frequency and contributors are
+ * drawn as charts instead.
+ *
+ * @param {object}   entry - Stats entry to transform.
+ * @param {number}   depth - Current category depth.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   charts - Draws stats as sparklines and bar charts; default (false).
+ *
+ * (number)    chartWidth - The maximum width in characters of sparklines and bars; default (40).
+ * ```
+ *
+ * @returns {string}
+ */
+const s_STATS = (entry, depth, options) =>
+{
+   const width = Number.isInteger(options.chartWidth) ? options.chartWidth : 40;
+
+   const lines = [];
+
+   for (const section of statsSummary(entry, options))
+   {
+      lines.push(`${lines.length > 0 ? indent(depth) : ''}${section.title}: ${section.summary}`);
+
+      if (section.columns.length === 0) { continue; }
+
+      const chart = options.charts ? s_CHART(entry, section, width) : null;
+
+      if (chart !== null)
+      {
+         for (const line of chart) { lines.push(`${indent(depth + 1)}${line}`); }
+
+         continue;
+      }
+
+      const table = [section.columns].concat(section.rows);
+
+      const widths = section.columns.map((column, index) => Math.max(...table.map((row) => row[index].length)));
+
+      // The first column is left aligned and the remaining numeric columns right aligned.
+      for (const row of table)
+      {
+         lines.push(`${indent(depth + 1)}${row.map((value, index) => index === 0 ? value.padEnd(widths[index]) :
+          value.padStart(widths[index])).join('  ')}`);
+      }
+   }
+
+   return lines.join('\n');
+};
+
+/**
+ * Text is not escaped.
+ *
+ * @param {*}  value - Value to convert to a string.
+ *
+ * @returns {string}
+ */
+const s_ESCAPE = (value) => String(value);
+
+/**
+ * Returns the entry name followed by the entry URL when available.
+ *
+ * @param {object}   entry - Entry with `name` and `url`.
+ *
+ * @returns {string}
+ */
+const s_LINK = (entry) => `${entry.name}${entry.url !== '' ? ` - ${entry.url}` : ''}`;
+
+/**
+ * Returns the entry name.
+ *
+ * @param {object}   entry - Entry with `name`.
+ *
+ * @returns {string}
+ */
+const s_NAME = (entry) => entry.name;
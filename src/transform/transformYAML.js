@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Transforms data to a YAML string suitable for static site data files. Keys are emitted in a stable order: `scm`,
+ * `categories`, `name`, `full_name` and `id` first, then all remaining keys sorted alphabetically with any nested
+ * category data last. Strings are only emitted as plain scalars when they can not be misread; for instance strings
+ * containing `: `, ` #`, newlines or which resemble numbers, booleans or dates are double quoted.
+ *
+ * @param {object}   data - Normalized data from `GitHubInspectOrgs` to transform.
+ * @param {object}   options - Optional parameters:
+ * ```
+ * (boolean)   description - A boolean which includes `description` fields; default (false).
+ * ```
+ *
+ * @returns {string}
+ */
+export default function(data, options = {})
+{
+   const serializeOptions =
+   {
+      categories: typeof data.categories === 'string' ? data.categories.split(':') : [],
+      description: typeof options.description === 'boolean' ? options.description : false
+   };
+
+   return s_MAPPING(data, 0, serializeOptions);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Keys emitted first in this order when present.
+ *
+ * @type {Array<string>}
+ */
+const s_LEADING_KEYS = ['scm', 'categories', 'name', 'full_name', 'id'];
+
+/**
+ * Returns the indentation for a given depth.
+ *
+ * @param {number}   depth - The current depth.
+ *
+ * @returns {string}
+ */
+const s_INDENT = (depth) => '  '.repeat(depth);
+
+/**
+ * Returns the keys of an object in stable order removing `description` keys unless `options.description` is true.
+ *
+ * @param {object}   object - The object to sort keys.
+ * @param {object}   options - Serialization options.
+ *
+ * @returns {Array<string>}
+ */
+const s_KEYS = (object, options) =>
+{
+   const rank = (key) =>
+   {
+      const leading = s_LEADING_KEYS.indexOf(key);
+
+      if (leading >= 0) { return leading - s_LEADING_KEYS.length; }
+
+      const category = options.categories.indexOf(key);
+
+      return category >= 0 ? category + 1 : 0;
+   };
+
+   return Object.keys(object).filter((key) => options.description || key !== 'description').sort((a, b) =>
+   {
+      const rankDiff = rank(a) - rank(b);
+
+      return rankDiff !== 0 ? rankDiff : a < b ? -1 : a > b ? 1 : 0;
+   });
+};
+
+/**
+ * Serializes an object as a block mapping.
+ *
+ * @param {object}   object - The object to serialize.
+ * @param {number}   depth - The current depth.
+ * @param {object}   options - Serialization options.
+ *
+ * @returns {string}
+ */
+const s_MAPPING = (object, depth, options) =>
+{
+   let resultString = '';
+
+   for (const key of s_KEYS(object, options))
+   {
+      const value = object[key];
+
+      // Skip values which have no JSON / YAML representation.
+      if (typeof value === 'undefined' || typeof value === 'function') { continue; }
+
+      resultString += `${s_INDENT(depth)}${s_SCALAR(key)}:${s_VALUE(value, depth, options)}`;
+   }
+
+   return resultString;
+};
+
+/**
+ * Serializes an array as a block sequence.
+ *
+ * @param {Array<*>} array - The array to serialize.
+ * @param {number}   depth - The current depth.
+ * @param {object}   options - Serialization options.
+ *
+ * @returns {string}
+ */
+const s_SEQUENCE = (array, depth, options) =>
+{
+   let resultString = '';
+
+   for (const value of array)
+   {
+      if (s_IS_COLLECTION(value))
+      {
+         if (Array.isArray(value))
+         {
+            resultString += `${s_INDENT(depth)}-\n${s_SEQUENCE(value, depth + 1, options)}`;
+         }
+         else
+         {
+            // The first key of the mapping is placed on the same line as the sequence indicator.
+            resultString += `${s_INDENT(depth)}- ${s_MAPPING(value, depth + 1, options).substring(
+             s_INDENT(depth + 1).length)}`;
+         }
+      }
+      else
+      {
+         resultString += `${s_INDENT(depth)}-${s_VALUE(value, depth, options)}`;
+      }
+   }
+
+   return resultString;
+};
+
+/**
+ * Returns true if the value is a non-empty array or an object with at least one serialized key.
+ *
+ * @param {*}  value - The value to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_COLLECTION = (value) =>
+{
+   if (Array.isArray(value)) { return value.length > 0; }
+
+   return value !== null && typeof value === 'object' && Object.keys(value).some((key) =>
+    typeof value[key] !== 'undefined' && typeof value[key] !== 'function');
+};
+
+/**
+ * Serializes a value following a mapping key or sequence indicator including the trailing newline.
+ *
+ * @param {*}        value - The value to serialize.
+ * @param {number}   depth - The current depth.
+ * @param {object}   options - Serialization options.
+ *
+ * @returns {string}
+ */
+const s_VALUE = (value, depth, options) =>
+{
+   if (Array.isArray(value))
+   {
+      return value.length > 0 ? `\n${s_SEQUENCE(value, depth + 1, options)}` : ' []\n';
+   }
+
+   if (value !== null && typeof value === 'object')
+   {
+      const mapping = s_MAPPING(value, depth + 1, options);
+
+      return mapping !== '' ? `\n${mapping}` : ' {}\n';
+   }
+
+   return ` ${s_SCALAR(value)}\n`;
+};
+
+/**
+ * Serializes a scalar value. Strings are double quoted with JSON escaping, which is valid YAML, unless safe to emit as
+ * a plain scalar.
+ *
+ * @param {*}  value - The value to serialize.
+ *
+ * @returns {string}
+ */
+const s_SCALAR = (value) =>
+{
+   if (value === null || typeof value === 'undefined') { return 'null'; }
+
+   switch (typeof value)
+   {
+      case 'boolean':
+         return String(value);
+
+      case 'number':
+         return Number.isFinite(value) ? String(value) : 'null';
+
+      default:
+      {
+         const string = String(value);
+
+         return s_IS_PLAIN(string) ? string : JSON.stringify(string);
+      }
+   }
+};
+
+/**
+ * Returns true if a string may be emitted as a plain scalar and is read back as the same string.
+ *
+ * @param {string}   string - The string to test.
+ *
+ * @returns {boolean}
+ */
+const s_IS_PLAIN = (string) =>
+{
+   if (string === '' || string.trim() !== string) { return false; }
+
+   // Control characters, quotes and the escape character; non-ASCII characters are also quoted for portability.
+   if ((/[^\x20-\x7e]|["'\\]/).test(string)) { return false; }
+
+   // Indicator characters at the start, numbers, dates and signed values.
+   if ((/^[-?:,[\]{}#&*!|>%@`+.\d]/).test(string)) { return false; }
+
+   // Mapping values and comments.
+   if ((/: |:$| #/).test(string)) { return false; }
+
+   return !(/^(~|y|yes|n|no|true|false|on|off|null)$/i).test(string);
+};
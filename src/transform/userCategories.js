@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * Categories of users. Options keyed by category such as `fields` and `filter` apply a `users` entry to all of these
+ * categories without an entry of their own.
+ *
+ * @type {Array<string>}
+ */
+export default ['collaborators', 'contributors', 'members', 'owners', 'users'];
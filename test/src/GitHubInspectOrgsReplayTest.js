@@ -0,0 +1,116 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+import os                           from 'os';
+import path                         from 'path';
+
+import GitHubInspectOrgsRecorder    from '../../src/replay/GitHubInspectOrgsRecorder.js';
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+
+/**
+ * This series of tests confirm that GitHubInspectOrgsReplay serves the recorded `./test/fixture/*-json-with-desc.txt`
+ * data and that GitHubInspectOrgsRecorder records responses which may be replayed.
+ *
+ * @test {GitHubInspectOrgsReplay}
+ */
+describe('GitHubInspectOrgsReplay', () =>
+{
+   const githubInspect = new GitHubInspectOrgsReplay(
+    { directory: './test/fixture', filePostfix: '-json-with-desc.txt' });
+
+   /**
+    * Test that fixture data is replayed for `all` and `user` queries.
+    */
+   it('replays fixture data', () =>
+   {
+      return Promise.all([githubInspect.getOrgRepos(), githubInspect.getOrgRepos({ credential: 'replay' })]).then(
+       (results) =>
+      {
+         assert.deepEqual(results[0].normalized,
+          JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8')));
+
+         assert.deepEqual(results[1].normalized,
+          JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-user-json-with-desc.txt', 'utf-8')));
+
+         assert(Array.isArray(results[0].raw));
+      });
+   });
+
+   /**
+    * Test that each invocation resolves a new copy of the recorded data.
+    */
+   it('replays independent copies', () =>
+   {
+      return githubInspect.getOrgs().then((data) =>
+      {
+         data.normalized.orgs.length = 0;
+
+         return githubInspect.getOrgs().then((data2) => { assert(data2.normalized.orgs.length > 0); });
+      });
+   });
+
+   /**
+    * Test that a missing recording rejects.
+    */
+   it('rejects missing recordings', () =>
+   {
+      return githubInspect.getOrgRepoStats().then(() => { throw new Error('Expected rejection.'); }, (err) =>
+      {
+         assert(err.message.indexOf('github-get-org-repo-stats-all-json-with-desc.txt') >= 0);
+      });
+   });
+
+   /**
+    * Test that GitHubInspectOrgsTransform operates on replayed data.
+    */
+   it('GitHubInspectOrgsTransform w/ replay', () =>
+   {
+      const inspectTransform = new GitHubInspectOrgsTransform(githubInspect, { transformType: 'markdown' });
+
+      return inspectTransform.getOrgTeamMembers({ credential: 'replay' }).then((data) =>
+      {
+         assert.strictEqual(data.transformed,
+          fs.readFileSync('./test/fixture/github-get-org-team-members-user-markdown.txt', 'utf-8'));
+      });
+   });
+});
+
+/**
+ * @test {GitHubInspectOrgsRecorder}
+ */
+describe('GitHubInspectOrgsRecorder', () =>
+{
+   const directory = path.join(os.tmpdir(), `github-inspect-orgs-recorder-${Date.now()}`);
+
+   before(() => { fs.mkdirSync(directory); });
+
+   after(() =>
+   {
+      fs.readdirSync(directory).forEach((file) => { fs.unlinkSync(path.join(directory, file)); });
+      fs.rmdirSync(directory);
+   });
+
+   /**
+    * Test that recorded responses are written and may be replayed.
+    */
+   it('records and replays', () =>
+   {
+      const source = new GitHubInspectOrgsReplay({ directory: './test/fixture', filePostfix: '-json-with-desc.txt' });
+      const recorder = new GitHubInspectOrgsRecorder(source, { directory });
+
+      return Promise.all([recorder.getOrgTeams({ credential: 'replay' }), recorder.getOwners()]).then((recorded) =>
+      {
+         assert(fs.existsSync(path.join(directory, 'github-get-org-teams-user.json')));
+         assert(fs.existsSync(path.join(directory, 'github-get-owners.json')));
+
+         const replay = new GitHubInspectOrgsReplay({ directory });
+
+         return Promise.all([replay.getOrgTeams({ credential: 'replay' }), replay.getOwners()]).then((replayed) =>
+         {
+            assert.deepEqual(replayed, recorded);
+         });
+      });
+   });
+});
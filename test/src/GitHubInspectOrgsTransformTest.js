@@ -4,8 +4,10 @@ import { assert }                   from 'chai';
 import fs                           from 'fs';
 
 import GitHubInspectOrgs            from 'typhonjs-github-inspect-orgs';
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
 import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
 import TransformControl             from '../../src/transform/TransformControl.js';
+import stripVolatileData            from '../../src/snapshot/stripVolatileData.js';
 
 /**
  * This series of tests confirm that GitHubInspectOrgsTransform properly queries the organizations and data associated
@@ -21,8 +23,12 @@ import TransformControl             from '../../src/transform/TransformControl.j
  *
  * `s_FILE_DATA` - defines the 8 major permutations; 4 for each transform with and without description data generated.
  *
- * Note that the repo / statistics queries are skipped as the generated data is too complex to analyze. Also since
- * none of the transforms output repo file requests these are also not tested.
+ * When no owner credentials are found the recorded `*-json-with-desc.txt` fixtures which include all normalized data
+ * are served by GitHubInspectOrgsReplay, so the tests run without network access.
+ *
+ * Note that the repo / statistics queries are skipped as the generated data changes daily; the stats transforms are
+ * tested with stored data in `TransformStatsTest`. Also since none of the transforms output repo file requests these
+ * are also not tested.
  *
  * @test {onHandleCode}
  */
@@ -52,11 +58,12 @@ describe('GitHubInspectOrgsTransform', () =>
       catch (err) { /* ... */ }
    }
 
-   // Fail now if we don't have an owner token.
-   if (typeof ownerCredential !== 'string')
-   {
-      throw new TypeError('No owner credentials found in `process.env.GITHUB_OWNER_TOKEN` or `./token.owner`.');
-   }
+   // When no owner credentials are available the recorded responses in `./test/fixture` are replayed instead of
+   // querying GitHub. The fixture data is already stripped of variable data.
+   const replay = typeof ownerCredential !== 'string';
+
+   // Any string credential selects the `-user` fixtures when replaying.
+   if (replay && typeof userCredential !== 'string') { userCredential = 'replay'; }
 
    // Fail now if we don't have an user token.
    if (typeof userCredential !== 'string')
@@ -64,11 +71,10 @@ describe('GitHubInspectOrgsTransform', () =>
       throw new TypeError('No user credentials found in `process.env.GITHUB_USER_TOKEN` or `./token.user`.');
    }
 
-   // Create instance of GitHubInspectOrgs.
-   const githubInspect = new GitHubInspectOrgs(
-   {
-      organizations: [{ credential: ownerCredential, owner: 'typhonjs-test', regex: '^test' }]
-   });
+   // Create instance of GitHubInspectOrgs or GitHubInspectOrgsReplay.
+   const githubInspect = replay ?
+    new GitHubInspectOrgsReplay({ directory: './test/fixture', filePostfix: '-json-with-desc.txt' }) :
+     new GitHubInspectOrgs({ organizations: [{ credential: ownerCredential, owner: 'typhonjs-test', regex: '^test' }] });
 
    // Create an instance of GitHubInspectOrgsTransform. Include Gulp for test coverage even though it is not tested
    // directly.
@@ -90,7 +96,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Unless generating test data the body of s_DATA_WRITE is commented out.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-collaborators-all');
@@ -113,7 +119,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-collaborators-user');
@@ -136,7 +142,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-contributors-all');
@@ -159,7 +165,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-contributors-user');
@@ -182,7 +188,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-members-all');
@@ -205,7 +211,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-members-user');
@@ -228,7 +234,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-members-all');
@@ -251,7 +257,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-members-user');
@@ -274,7 +280,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-repo-collaborators-all');
@@ -297,7 +303,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-repo-collaborators-user');
@@ -320,7 +326,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-repo-contributors-all');
@@ -343,7 +349,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-repo-contributors-user');
@@ -366,7 +372,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-repos-all');
@@ -389,7 +395,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-repos-user');
@@ -412,7 +418,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-team-members-all');
@@ -435,7 +441,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-team-members-user');
@@ -458,7 +464,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-teams-all');
@@ -481,7 +487,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-org-teams-user');
@@ -504,7 +510,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-orgs-all');
@@ -527,7 +533,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-orgs-user');
@@ -550,7 +556,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-owner-orgs');
@@ -573,7 +579,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-owners');
@@ -596,7 +602,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-owners-rate-limit');
@@ -619,7 +625,7 @@ describe('GitHubInspectOrgsTransform', () =>
          assert(typeof data.transformed === 'string');
 
          // Delete any variable data.
-         s_STRIP_VARIABLE_DATA(data.normalized);
+         stripVolatileData(data.normalized);
 
          // Only enabled when generating test data.
          s_DATA_WRITE(data.normalized, transformControl, 'github-get-user-from-credential');
@@ -709,84 +715,3 @@ const s_DATA_WRITE = (data, transformControl, filePrefix) =>
       }
    }
 };
-
-/**
- * Strips variable data entries that may change from the normalized data returned from GitHubInspectOrgs.
- *
- * Strips data.normalized.timestamp
- *
- * Strips from data.normalized.orgs[].repos[] -> 'updated_at', 'pushed_at', 'stargazers_count', 'watchers_count'
- *
- * Strips from data.normalized.owners[].ratelimit[] -> 'limit', 'remaining', 'reset' fields.
- *
- * @param {object}   data - Normalized data to strip.
- */
-const s_STRIP_VARIABLE_DATA = (data) =>
-{
-   delete data['timestamp'];
-
-   // Strip any variable repo data from orgs.
-   if (Array.isArray(data.orgs))
-   {
-      s_STRIP_VARIABLE_ORGS(data.orgs);
-   }
-
-   // Strip any owner / ratelimit data.
-   if (Array.isArray(data.owners))
-   {
-      for (let cntr = 0; cntr < data.owners.length; cntr++)
-      {
-         const owner = data.owners[cntr];
-
-         // Strip any variable repo data from orgs.
-         if (Array.isArray(owner.orgs))
-         {
-            s_STRIP_VARIABLE_ORGS(owner.orgs);
-         }
-
-         if (Array.isArray(owner.ratelimit))
-         {
-            // Strip 'limit', 'remaining', 'reset' fields as they may change.
-            for (let cntr2 = 0; cntr2 < owner.ratelimit.length; cntr2++)
-            {
-               const ratelimit = owner.ratelimit[cntr2];
-
-               delete ratelimit.core['limit'];
-               delete ratelimit.core['remaining'];
-               delete ratelimit.core['reset'];
-
-               delete ratelimit.search['limit'];
-               delete ratelimit.search['remaining'];
-               delete ratelimit.search['reset'];
-            }
-         }
-      }
-   }
-};
-
-/**
- * Strips variable repo data from an array of normalized organizations.
- *
- * @param {Array} orgs - Organizations to parse.
- */
-const s_STRIP_VARIABLE_ORGS = (orgs) =>
-{
-   for (let cntr = 0; cntr < orgs.length; cntr++)
-   {
-      const org = orgs[cntr];
-
-      // Strip 'updated_at', 'pushed_at', 'stargazers_count', 'watchers_count' fields as they may change.
-      if (Array.isArray(org.repos))
-      {
-         for (let cntr2 = 0; cntr2 < org.repos.length; cntr2++)
-         {
-            const repo = org.repos[cntr2];
-
-            delete repo['updated_at'];
-            delete repo['pushed_at'];
-            delete repo['stargazers_count'];
-            delete repo['watchers_count'];
-         }
-      }
-   }
-};
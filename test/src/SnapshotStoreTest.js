@@ -0,0 +1,199 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+import os                           from 'os';
+import path                         from 'path';
+
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import SnapshotStore                from '../../src/snapshot/SnapshotStore.js';
+import stripVolatileData            from '../../src/snapshot/stripVolatileData.js';
+
+/**
+ * @test {SnapshotStore}
+ */
+describe('SnapshotStore', () =>
+{
+   const directory = path.join(os.tmpdir(), `github-inspect-orgs-snapshots-${Date.now()}`);
+
+   before(() => { fs.mkdirSync(directory); });
+
+   after(() =>
+   {
+      fs.readdirSync(directory).forEach((file) => { fs.unlinkSync(path.join(directory, file)); });
+      fs.rmdirSync(directory);
+   });
+
+   /**
+    * Test saving, listing, loading and pruning snapshots by method, identity and timestamp.
+    */
+   it('save / list / load / prune', () =>
+   {
+      const store = new SnapshotStore({ directory, normalize: true });
+
+      const normalized = { categories: 'orgs:repos', timestamp: 'now', orgs: [{ name: 'org', repos:
+       [{ name: 'repo', stargazers_count: 5 }] }] };
+
+      const credentialIdentity = store.getIdentity({ credential: 'secret-token' });
+
+      assert.match(credentialIdentity, /^user-[0-9a-f]{16}$/);
+      assert.strictEqual(store.getIdentity(), 'all');
+
+      return Promise.all([
+         store.save('getOrgRepos', normalized, { timestamp: '2026-01-01T00:00:00Z' }),
+         store.save('getOrgRepos', normalized, { timestamp: '2026-02-01T00:00:00Z' }),
+         store.save('getOrgRepos', normalized, { timestamp: '2026-03-01T00:00:00Z' }),
+         store.save('getOrgRepos', normalized, { credential: 'secret-token', timestamp: '2026-02-15T00:00:00Z' }),
+         store.save('getOrgs', normalized, { identity: 'typhonjs-test', timestamp: '2026-01-01T00:00:00Z' })
+      ]).then(() =>
+      {
+         // Credentials are never written to disk and the query data is not modified.
+         fs.readdirSync(directory).forEach((file) =>
+         {
+            assert.notInclude(fs.readFileSync(path.join(directory, file), 'utf-8'), 'secret-token');
+         });
+
+         assert.strictEqual(normalized.orgs[0].repos[0].stargazers_count, 5);
+
+         return store.list({ methodName: 'getOrgRepos' });
+      }).then((snapshots) =>
+      {
+         assert.deepEqual(snapshots.map((snapshot) => `${snapshot.identity}:${snapshot.timestamp.toISOString()}`),
+          ['all:2026-01-01T00:00:00.000Z', 'all:2026-02-01T00:00:00.000Z',
+           `${credentialIdentity}:2026-02-15T00:00:00.000Z`, 'all:2026-03-01T00:00:00.000Z']);
+
+         return store.load('getOrgRepos', { timestamp: '2026-02-20T00:00:00Z' });
+      }).then((snapshot) =>
+      {
+         assert.strictEqual(snapshot.timestamp.toISOString(), '2026-02-01T00:00:00.000Z');
+
+         // Volatile fields are stripped with `normalize: true`.
+         assert.deepEqual(snapshot.normalized, { categories: 'orgs:repos', orgs: [{ name: 'org', repos:
+          [{ name: 'repo' }] }] });
+
+         return store.prune({ methodName: 'getOrgRepos', keep: 1 });
+      }).then((removed) =>
+      {
+         assert.strictEqual(removed.length, 2);
+
+         return store.prune({ before: '2026-01-02T00:00:00Z' });
+      }).then((removed) =>
+      {
+         assert.deepEqual(removed.map((snapshot) => snapshot.methodName), ['getOrgs']);
+
+         return store.list();
+      }).then((snapshots) =>
+      {
+         assert.deepEqual(snapshots.map((snapshot) => snapshot.timestamp.toISOString()),
+          ['2026-02-15T00:00:00.000Z', '2026-03-01T00:00:00.000Z']);
+
+         return store.load('getOrgs').then(() => { throw new Error('expected rejection'); }, (err) =>
+         {
+            assert.include(err.message, `no snapshot found for 'getOrgs'`);
+         });
+      });
+   });
+
+   /**
+    * Test that snapshots saved with the same method, identity and timestamp do not overwrite each other.
+    */
+   it('same timestamp', () =>
+   {
+      const store = new SnapshotStore({ directory });
+
+      const timestamp = '2026-04-01T00:00:00Z';
+
+      const save = (name) => store.save('getOrgMembers', { categories: 'orgs', orgs: [{ name }] }, { timestamp });
+
+      return save('first').then(() => save('second')).then(() => Promise.all([save('third'), save('fourth')]))
+       .then((saved) =>
+      {
+         assert.strictEqual(new Set(saved.map((snapshot) => snapshot.filePath)).size, 2);
+
+         return store.list({ methodName: 'getOrgMembers' });
+      }).then((snapshots) =>
+      {
+         assert.deepEqual(snapshots.map((snapshot) => path.basename(snapshot.filePath)),
+          ['getOrgMembers.all.2026-04-01T00-00-00-000Z.json', 'getOrgMembers.all.2026-04-01T00-00-00-000Z-1.json',
+           'getOrgMembers.all.2026-04-01T00-00-00-000Z-2.json', 'getOrgMembers.all.2026-04-01T00-00-00-000Z-3.json']);
+
+         return store.load('getOrgMembers', { timestamp });
+      }).then((snapshot) =>
+      {
+         assert.include(['third', 'fourth'], snapshot.normalized.orgs[0].name);
+
+         return store.prune({ methodName: 'getOrgMembers', keep: 1 });
+      }).then((removed) =>
+      {
+         assert.strictEqual(removed.length, 3);
+
+         return store.prune({ methodName: 'getOrgMembers' });
+      }).then((removed) =>
+      {
+         assert.strictEqual(removed.length, 1);
+      });
+   });
+
+   /**
+    * Test that GitHubInspectOrgsTransform stores snapshots and transforms stored snapshots.
+    */
+   it('GitHubInspectOrgsTransform snapshots', () =>
+   {
+      const store = new SnapshotStore({ directory });
+
+      const inspectTransform = new GitHubInspectOrgsTransform(new GitHubInspectOrgsReplay(
+       { directory: './test/fixture', filePostfix: '-json-with-desc.txt' }), { snapshots: store });
+
+      assert.strictEqual(inspectTransform.getSnapshotStore(), store);
+
+      return inspectTransform.getOrgTeamMembers({ credential: 'replay' }).then((data) =>
+      {
+         assert.strictEqual(data.snapshot.methodName, 'getOrgTeamMembers');
+         assert.strictEqual(data.snapshot.identity, store.getIdentity({ credential: 'replay' }));
+
+         return inspectTransform.getOrgs({ snapshot: false });
+      }).then((data) =>
+      {
+         assert.isUndefined(data.snapshot);
+
+         return store.list({ methodName: 'getOrgs' });
+      }).then((snapshots) =>
+      {
+         assert.strictEqual(snapshots.length, 0);
+
+         return inspectTransform.transformSnapshot('getOrgTeamMembers', { credential: 'replay',
+          transformType: 'markdown' });
+      }).then((data) =>
+      {
+         assert.strictEqual(data.snapshot.methodName, 'getOrgTeamMembers');
+         assert.strictEqual(data.transformed,
+          fs.readFileSync('./test/fixture/github-get-org-team-members-user-markdown.txt', 'utf-8'));
+      });
+   });
+});
+
+/**
+ * @test {stripVolatileData}
+ */
+describe('stripVolatileData', () =>
+{
+   /**
+    * Test that volatile fields are stripped at any depth.
+    */
+   it('strips volatile fields', () =>
+   {
+      const data = { categories: 'owners:ratelimit', timestamp: 1, owners: [{ name: 'owner', ratelimit:
+       [{ core: { limit: 1, remaining: 1, reset: 1 }, search: { limit: 1, remaining: 1, reset: 1 } }] }] };
+
+      assert.strictEqual(stripVolatileData(data), data);
+      assert.deepEqual(data, { categories: 'owners:ratelimit', owners: [{ name: 'owner', ratelimit:
+       [{ core: {}, search: {} }] }] });
+
+      const repos = { categories: 'owners:orgs:repos', owners: [{ name: 'owner', orgs: [{ name: 'org', repos:
+       [{ name: 'repo', pushed_at: 1, size: 2 }] }] }] };
+
+      assert.deepEqual(stripVolatileData(repos, { repos: ['size'] }).owners[0].orgs[0].repos[0],
+       { name: 'repo', pushed_at: 1 });
+   });
+});
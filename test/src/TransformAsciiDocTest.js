@@ -0,0 +1,77 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import escapeAsciiDoc               from '../../src/transform/escapeAsciiDoc.js';
+
+/**
+ * This series of tests confirm that the `asciidoc` transform creates nested lists at any depth with URL macro links
+ * and escaped text. Expected results are stored in `./test/fixture`.
+ *
+ * @test {transformAsciiDoc}
+ */
+describe('transformAsciiDoc', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'asciidoc' });
+
+   /**
+    * Test against fixture data.
+    */
+   it('fixture data', () =>
+   {
+      const contributors = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-repo-contributors-all-json-with-desc.txt', 'utf-8'));
+
+      const members = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-team-members-all-json-with-desc.txt',
+       'utf-8'));
+
+      const hostile = JSON.parse(fs.readFileSync('./test/fixture/hostile-owners-orgs-repos-contributors-json.txt',
+       'utf-8'));
+
+      assert.strictEqual(transformControl.transform(contributors),
+       fs.readFileSync('./test/fixture/github-get-org-repo-contributors-all-asciidoc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(members, { description: true }),
+       fs.readFileSync('./test/fixture/github-get-org-team-members-all-asciidoc-with-desc.txt', 'utf-8'));
+
+      const result = transformControl.transform(hostile, { description: true });
+
+      assert.strictEqual(result,
+       fs.readFileSync('./test/fixture/hostile-owners-orgs-repos-contributors-asciidoc-with-desc.txt', 'utf-8'));
+
+      assert.notInclude(result, 'javascript:alert(1)[');
+   });
+
+   /**
+    * Test that list markers are repeated for each level at depth 4 and beyond.
+    */
+   it('unlimited nesting depth', () =>
+   {
+      const data = { categories: 'orgs:teams:members:repos:contributors:users' };
+      let parent = data;
+
+      data.categories.split(':').forEach((category, depth) =>
+      {
+         parent[category] = [{ name: `${category}-${depth}`, url: depth === 5 ? '/relative' : '' }];
+         parent = parent[category][0];
+      });
+
+      assert.strictEqual(transformControl.transform(data), 'orgs-0\n\n* teams-1\n** members-2\n*** repos-3\n'
+       + '**** contributors-4\n***** link:/relative[users-5]\n\n');
+   });
+
+   /**
+    * Test `escapeAsciiDoc`.
+    */
+   it('escapeAsciiDoc', () =>
+   {
+      assert.strictEqual(escapeAsciiDoc('test-repo1'), 'test-repo1');
+      assert.strictEqual(escapeAsciiDoc('*bold* {attr}'), 'pass:c[*bold* {attr}]');
+      assert.strictEqual(escapeAsciiDoc('a -- b'), 'pass:c[a -- b]');
+      assert.strictEqual(escapeAsciiDoc('1. item'), 'pass:c[1. item]');
+      assert.strictEqual(escapeAsciiDoc('[x] y\\'), 'pass:c[[x\\] y\\ ]');
+      assert.strictEqual(escapeAsciiDoc('line\nbreak '), 'line break');
+   });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm that the `csv` and `tsv` transforms flatten the category hierarchy into one row per
+ * leaf entry and quote fields as described by RFC 4180. Expected results are stored in `./test/fixture`.
+ *
+ * @test {transformCSV}
+ */
+describe('transformCSV', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'csv' });
+
+   /**
+    * Test `csv` and `tsv` output against fixture data.
+    */
+   it('fixture data', () =>
+   {
+      const collaborators = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt', 'utf-8'));
+
+      const members = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-team-members-all-json-with-desc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(collaborators),
+       fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-csv.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(collaborators, { description: true }),
+       fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-csv-with-desc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(members, { transformType: 'tsv', description: true }),
+       fs.readFileSync('./test/fixture/github-get-org-team-members-all-tsv-with-desc.txt', 'utf-8'));
+   });
+
+   /**
+    * Test that hostile data round trips through an RFC 4180 parser with one row per leaf.
+    */
+   ['csv', 'tsv'].forEach((transformType) =>
+   {
+      it(`RFC 4180 round trip (${transformType})`, () =>
+      {
+         const data = JSON.parse(fs.readFileSync('./test/fixture/hostile-orgs-teams-members-json.txt', 'utf-8'));
+
+         const delimiter = transformType === 'csv' ? ',' : '\t';
+
+         const rows = s_PARSE(transformControl.transform(data, { transformType, description: true }), delimiter);
+
+         assert.deepEqual(rows.shift(), ['orgs_name', 'orgs_url', 'orgs_description', 'teams_name', 'teams_url',
+          'teams_description', 'members_name', 'members_url', 'members_description']);
+
+         const expected = [];
+
+         for (const org of data.orgs)
+         {
+            for (const team of org.teams)
+            {
+               for (const member of team.members)
+               {
+                  expected.push([org, team, member].reduce((result, entry) => result.concat(
+                   [entry.name, entry.url, entry.description].map((value) => typeof value === 'string' ? value : '')),
+                    []));
+               }
+            }
+         }
+
+         assert.deepEqual(rows, expected);
+      });
+   });
+
+   /**
+    * Test that entries without nested categories result in a row with empty columns for the missing categories.
+    */
+   it('leaf entries above the last category', () =>
+   {
+      const data =
+      {
+         categories: 'orgs:repos',
+         orgs: [{ name: 'empty', url: 'https://github.com/empty', repos: [] },
+          { name: 'org', url: '', repos: [{ name: 'a,"b"', url: 'https://github.com/org/a' }] }]
+      };
+
+      assert.strictEqual(transformControl.transform(data, { header: false }),
+       'empty,https://github.com/empty,,\r\norg,,"a,""b""",https://github.com/org/a\r\n');
+   });
+
+   /**
+    * Test that fields which a spreadsheet would evaluate as a formula are prefixed with `'` unless disabled.
+    */
+   ['csv', 'tsv'].forEach((transformType) =>
+   {
+      it(`formula escaping (${transformType})`, () =>
+      {
+         const delimiter = transformType === 'csv' ? ',' : '\t';
+
+         const names = ['=HYPERLINK("https://x.org")', '+1', '-1', '@SUM(A1)', '\tcmd', 'a=b'];
+
+         const data = { categories: 'orgs', orgs: names.map((name) => ({ name, url: '' })) };
+
+         assert.deepEqual(s_PARSE(transformControl.transform(data, { transformType, header: false }), delimiter)
+          .map((row) => row[0]), [`'=HYPERLINK("https://x.org")`, `'+1`, `'-1`, `'@SUM(A1)`, `'\tcmd`, 'a=b']);
+
+         assert.deepEqual(s_PARSE(transformControl.transform(data, { transformType, header: false,
+          escapeFormulas: false }), delimiter).map((row) => row[0]), names);
+
+         assert.throws(() => transformControl.transform(data, { transformType, escapeFormulas: 'yes' }), TypeError,
+          `transformCSV error: 'options.escapeFormulas' is not a 'boolean'.`);
+      });
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * A minimal RFC 4180 parser returning an array of rows each being an array of fields.
+ *
+ * @param {string}   text - The delimited text to parse.
+ * @param {string}   delimiter - The field delimiter.
+ *
+ * @returns {Array<Array<string>>}
+ */
+const s_PARSE = (text, delimiter) =>
+{
+   const rows = [];
+
+   let row = [];
+   let field = '';
+   let quoted = false;
+
+   for (let cntr = 0; cntr < text.length; cntr++)
+   {
+      const char = text[cntr];
+
+      if (quoted)
+      {
+         if (char === '"' && text[cntr + 1] === '"') { field += '"'; cntr++; }
+         else if (char === '"') { quoted = false; }
+         else { field += char; }
+      }
+      else if (char === '"') { quoted = true; }
+      else if (char === delimiter) { row.push(field); field = ''; }
+      else if (char === '\r' && text[cntr + 1] === '\n')
+      {
+         row.push(field);
+         rows.push(row);
+         row = [];
+         field = '';
+         cntr++;
+      }
+      else { field += char; }
+   }
+
+   return rows;
+};
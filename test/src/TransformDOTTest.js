@@ -0,0 +1,86 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm that the `dot` transform creates a Graphviz digraph with shared user nodes and escaped
+ * attributes. Expected results are stored in `./test/fixture`.
+ *
+ * @test {transformDOT}
+ */
+describe('transformDOT', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'dot' });
+
+   /**
+    * Test against fixture data.
+    */
+   it('fixture data', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt',
+       'utf-8'));
+
+      assert.strictEqual(transformControl.transform(data),
+       fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-dot.txt', 'utf-8'));
+   });
+
+   /**
+    * Test that the same user across repos and teams is a single node with an edge from each parent.
+    */
+   it('shared user nodes', () =>
+   {
+      const data = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-team-members-all-json-with-desc.txt', 'utf-8'));
+
+      const result = transformControl.transform(data);
+      const lines = result.split('\n');
+
+      const userNodes = lines.filter((line) => (/^ {3}"user:\d+" \[/).test(line));
+      const userEdges = lines.filter((line) => (/-> "user:\d+";$/).test(line));
+
+      let memberCount = 0;
+      const memberIDs = new Set();
+
+      for (const org of data.orgs)
+      {
+         for (const team of org.teams)
+         {
+            memberCount += team.members.length;
+            team.members.forEach((member) => memberIDs.add(member.id));
+         }
+      }
+
+      assert.strictEqual(userNodes.length, memberIDs.size);
+      assert.strictEqual(userEdges.length, memberCount);
+      assert(userNodes.length < userEdges.length);
+
+      assert.include(result, 'shape=hexagon');
+      assert.include(result, 'shape=box3d');
+      assert.include(result, 'shape=ellipse');
+   });
+
+   /**
+    * Test that hostile names, descriptions and URLs are escaped and disallowed URLs are dropped.
+    */
+   it('escapes hostile data', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/hostile-orgs-teams-members-json.txt', 'utf-8'));
+
+      const result = transformControl.transform(data, { description: true, rankdir: 'TB' });
+
+      assert.include(result, 'rankdir=TB;');
+      assert.include(result, 'tooltip="\\"\'& <i>desc</i>"');
+      assert.include(result, 'URL="https://github.com/user?x=\\"y\\"&z=<w>"');
+      assert.notInclude(result, 'vbscript:');
+      assert.notInclude(result, 'javascript:');
+
+      // Every line is a complete statement; no unescaped quote or line break terminates a string early.
+      for (const line of result.split('\n').slice(4, -2))
+      {
+         assert.match(line, /^ {3}("([^"\\]|\\.)*"( -> "([^"\\]|\\.)*")?|"([^"\\]|\\.)*" \[.*\]);$/);
+      }
+   });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import diffCategories               from '../../src/transform/diffCategories.js';
+
+/**
+ * This series of tests confirm that `diffCategories` compares two normalized results of the same query, that the
+ * built-in transforms render added, removed and changed entries and that `dot` and `mermaid` reject diffed data.
+ *
+ * @test {diffCategories}
+ */
+describe('Transform diff', () =>
+{
+   const transformControl = new TransformControl();
+
+   const after = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt',
+    'utf-8'));
+
+   // An earlier snapshot without the `typhonjs-test2` collaborator of `test-repo2`, with an older description of
+   // `test-repo-blah` and with a removed repo.
+   const before = JSON.parse(JSON.stringify(after));
+
+   before.orgs[0].repos[1].collaborators.pop();
+   before.orgs[1].repos[0].description = 'Old <description>';
+   before.orgs[1].repos.push({ name: 'gone', id: 1, url: '', collaborators: [{ name: 'someone', id: 2, url: '' }] });
+
+   /**
+    * Test the diffed data and summary counts without modifying either result.
+    */
+   it('added / removed / changed', () =>
+   {
+      const original = JSON.stringify(before);
+
+      const result = diffCategories(before, after);
+
+      assert.deepEqual(result.diff, { added: 1, removed: 2, changed: 1 });
+
+      assert.deepEqual(result.orgs.map((org) => org.repos.map((repo) => `${repo.name}:${repo.diff.status}`)),
+       [['test-repo2:unchanged'], ['test-repo-blah:changed', 'gone:removed']]);
+
+      assert.deepEqual(result.orgs[0].repos[0].collaborators.map((user) => `${user.name}:${user.diff.status}`),
+       ['typhonjs-test2:added']);
+
+      assert.deepEqual(result.orgs[1].repos[0].diff.changes,
+       { description: { before: 'Old <description>', after: 'Just a test repo' } });
+
+      assert.strictEqual(result.orgs[1].repos[1].collaborators[0].diff.status, 'removed');
+
+      assert.strictEqual(JSON.stringify(before), original);
+
+      const unchanged = diffCategories(before, after, { unchanged: true, ignoreFields: ['description'] });
+
+      assert.deepEqual(unchanged.diff, { added: 1, removed: 2, changed: 0 });
+      assert.strictEqual(unchanged.orgs[0].repos.length, 2);
+
+      assert.throws(() => diffCategories(before, { categories: 'orgs' }), Error);
+   });
+
+   /**
+    * Test the markers rendered by each transform.
+    */
+   it('all transforms', () =>
+   {
+      assert.strictEqual(transformControl.diff(before, after, { transformType: 'text' }),
+       'test-org-typhonjs\n   test-repo2\n      + typhonjs-test2\n\ntest-org-typhonjs2\n'
+        + '   ~ test-repo-blah (description: Old <description> → Just a test repo)\n   - gone\n      - someone\n\n');
+
+      const markdown = transformControl.diff(before, after, { transformType: 'markdown' });
+
+      assert.include(markdown, '      * \\+ [typhonjs-test2](https://github.com/typhonjs-test2)\n');
+      assert.include(markdown, '(description: Old \\<description\\> → Just a test repo)\n   - \\- gone\n');
+
+      const html = transformControl.diff(before, after, { transformType: 'html' });
+
+      assert.include(html, '<li>+ <a href="https://github.com/typhonjs-test2"');
+      assert.include(html, '(description: Old &lt;description&gt; → Just a test repo)</li>\n      <li>- gone\n');
+
+      const json = JSON.parse(transformControl.diff(before, after, { transformType: 'json' }));
+
+      assert.deepEqual(json.diff, { added: 1, removed: 2, changed: 1 });
+      assert.deepEqual(json.orgs[0].repos[0].collaborators[0].diff, { status: 'added' });
+
+      const asciidoc = transformControl.diff(before, after, { transformType: 'asciidoc' });
+
+      assert.include(asciidoc, '** pass:c[+] https://github.com/typhonjs-test2[typhonjs-test2]\n');
+      assert.include(asciidoc, '* pass:c[-] gone\n** pass:c[-] someone\n');
+
+      const rst = transformControl.diff(before, after, { transformType: 'rst' });
+
+      assert.include(rst, '  * \\+ `typhonjs-test2 <https://github.com/typhonjs-test2>`__\n');
+      assert.include(rst, '- \\- gone\n\n  * \\- someone\n');
+
+      for (const transformType of ['csv', 'tsv'])
+      {
+         const delimiter = transformType === 'csv' ? ',' : '\t';
+
+         const rows = transformControl.diff(before, after, { transformType }).split('\r\n').map((row) =>
+          row.split(delimiter));
+
+         assert.deepEqual(rows[0].filter((column) => column.endsWith('_diff_status')),
+          ['orgs_diff_status', 'repos_diff_status', 'collaborators_diff_status'], transformType);
+
+         assert.deepEqual(rows.slice(1, -1).map((row) => `${row[6] || row[3]}:${row[8] || row[5]}`),
+          ['typhonjs-test2:added', 'test-repo-blah:changed', 'someone:removed'], transformType);
+      }
+
+      // Shared nodes can not show the status of an entry in each of its parents.
+      for (const transformType of ['dot', 'mermaid'])
+      {
+         assert.throws(() => transformControl.diff(before, after, { transformType }), Error,
+          `diff error: the '${transformType}' transform can not show the status of entries.`);
+      }
+   });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm that the `fields` option selects the same fields of each category for the `html`,
+ * `markdown`, `text`, `asciidoc`, `rst`, `csv`, `tsv` and `json` transforms.
+ *
+ * @test {categoryFields}
+ */
+describe('Transform fields', () =>
+{
+   const transformControl = new TransformControl();
+
+   const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt',
+    'utf-8'));
+
+   const fields = { repos: ['description', 'default_branch', 'clone_url'], users: ['url'] };
+
+   [
+      {
+         transformType: 'html',
+         expected: ['test-repo1</a> - Just a test repo, default_branch: master, clone_url: '
+          + 'https://github.com/test-org-typhonjs/test-repo1.git\n', 'typhonjs-test</a> - url: '
+           + 'https://github.com/typhonjs-test</li>\n', 'test-org-typhonjs</a>\n']
+      },
+      {
+         transformType: 'markdown',
+         expected: ['[test-repo1](https://github.com/test-org-typhonjs/test-repo1) - Just a test repo, '
+          + 'default\\_branch: master, clone\\_url: https://github.com/test-org-typhonjs/test-repo1.git\n',
+           '[typhonjs-test](https://github.com/typhonjs-test) - url: https://github.com/typhonjs-test\n',
+            '[test-org-typhonjs](https://github.com/test-org-typhonjs)\n']
+      },
+      {
+         transformType: 'text',
+         expected: ['   test-repo1 - Just a test repo, default_branch: master, clone_url: '
+          + 'https://github.com/test-org-typhonjs/test-repo1.git\n',
+           '      typhonjs-test - url: https://github.com/typhonjs-test\n', 'test-org-typhonjs\n']
+      },
+      {
+         transformType: 'asciidoc',
+         expected: ['* https://github.com/test-org-typhonjs/test-repo1[test-repo1] - Just a test repo, '
+          + 'pass:c[default_branch]: master, pass:c[clone_url]: '
+           + 'pass:c[https://github.com/test-org-typhonjs/test-repo1.git]\n',
+            '** https://github.com/typhonjs-test[typhonjs-test] - url: pass:c[https://github.com/typhonjs-test]\n',
+             'https://github.com/test-org-typhonjs[test-org-typhonjs]\n']
+      },
+      {
+         transformType: 'rst',
+         expected: ['- `test-repo1 <https://github.com/test-org-typhonjs/test-repo1>`__ - Just a test repo, '
+          + 'default\\_branch: master, clone\\_url: https://github.com/test-org-typhonjs/test-repo1.git\n',
+           '  * `typhonjs-test <https://github.com/typhonjs-test>`__ - url: https://github.com/typhonjs-test\n',
+            '`test-org-typhonjs <https://github.com/test-org-typhonjs>`__\n']
+      }
+   ].forEach((test) =>
+   {
+      /**
+       * Test that the selected fields are rendered after the entry name and other categories are unchanged.
+       */
+      it(`${test.transformType} fields`, () =>
+      {
+         const result = transformControl.transform(data, { transformType: test.transformType, fields });
+
+         for (const expected of test.expected) { assert.include(result, expected); }
+
+         assert.notInclude(result, 'avatar_url');
+      });
+   });
+
+   /**
+    * Test that `fields` takes precedence over `description`, empty values are skipped and the `json` transform keeps
+    * the same fields.
+    */
+   it('description / empty values / json', () =>
+   {
+      const result = transformControl.transform(data, { transformType: 'text', description: true,
+       fields: { orgs: ['id'], repos: ['homepage', 'fork'], collaborators: [] } });
+
+      assert.include(result, 'test-org-typhonjs - id: 17228306\n   test-repo1 - fork: false\n      typhonjs-test\n');
+
+      const json = JSON.parse(transformControl.transform(data, { transformType: 'json', fields }));
+
+      assert.deepEqual(Object.keys(json.orgs[0].repos[0]),
+       ['name', 'description', 'clone_url', 'default_branch', 'collaborators']);
+
+      assert.deepEqual(json.orgs[0].repos[0].collaborators[0],
+       { name: 'typhonjs-test', url: 'https://github.com/typhonjs-test' });
+
+      assert.throws(() => transformControl.transform(data, { fields: { repos: 'description' } }), TypeError);
+   });
+
+   /**
+    * Test that `csv` and `tsv` add a column for each selected field after the name column of a category.
+    */
+   it('csv / tsv columns', () =>
+   {
+      const csv = transformControl.transform(data, { transformType: 'csv', timeZone: 'UTC',
+       fields: { repos: ['created_at', 'owner', 'fork'], users: [] } }).split('\r\n');
+
+      assert.strictEqual(csv[0],
+       'orgs_name,orgs_url,repos_name,repos_created_at,repos_owner,repos_fork,collaborators_name');
+
+      assert.strictEqual(csv[1], 'test-org-typhonjs,https://github.com/test-org-typhonjs,test-repo1,'
+       + '2016-02-14T03:01:24Z,,false,typhonjs-test');
+
+      const tsv = transformControl.transform(data, { transformType: 'tsv', description: true,
+       fields: { orgs: ['name', 'id'] } }).split('\r\n');
+
+      assert.strictEqual(tsv[0].split('\t').slice(0, 4).join(','), 'orgs_name,orgs_id,repos_name,repos_url');
+      assert.strictEqual(tsv[1].split('\t').slice(0, 2).join(','), 'test-org-typhonjs,17228306');
+   });
+
+   /**
+    * Test that GitHubInspectOrgsTransform methods forward fields.
+    */
+   it('GitHubInspectOrgsTransform fields', () =>
+   {
+      const inspectTransform = new GitHubInspectOrgsTransform(new GitHubInspectOrgsReplay(
+       { directory: './test/fixture', filePostfix: '-json-with-desc.txt' }), { transformType: 'markdown' });
+
+      return inspectTransform.getOrgMembers({ fields: { users: ['id'] } }).then((result) =>
+      {
+         assert.include(result.transformed, '   - [typhonjs-test](https://github.com/typhonjs-test) - id: 17188714\n');
+      });
+   });
+});
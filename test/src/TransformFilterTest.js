@@ -0,0 +1,80 @@
+'use strict';
+
+import { assert }                   from 'chai';
+
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import filterCategories             from '../../src/transform/filterCategories.js';
+
+/**
+ * This series of tests confirm that the `filter` option of GitHubInspectOrgsTransform prunes normalized data by
+ * per category name regular expressions and field predicates before transforming.
+ *
+ * @test {filterCategories}
+ */
+describe('Transform filter', () =>
+{
+   const inspectTransform = new GitHubInspectOrgsTransform(new GitHubInspectOrgsReplay(
+    { directory: './test/fixture', filePostfix: '-json-with-desc.txt' }), { transformType: 'text' });
+
+   /**
+    * Test `include` / `exclude`, the `users` filter and `dropEmpty` against fixture data.
+    */
+   it('include / exclude / dropEmpty', () =>
+   {
+      const filter = { dropEmpty: true, categories:
+       { repos: { include: '^test-repo\\d' }, users: { exclude: /test2$/g } } };
+
+      return inspectTransform.getOrgRepoCollaborators({ filter }).then((data) =>
+      {
+         assert.strictEqual(data.transformed, 'test-org-typhonjs\n   test-repo1\n      typhonjs-test\n\n'
+          + '   test-repo2\n      typhonjs-test\n\n');
+
+         // The original query data is not modified.
+         assert.strictEqual(data.normalized.orgs.length, 2);
+         assert.strictEqual(data.normalized.orgs[0].repos[1].collaborators.length, 2);
+
+         return inspectTransform.getOrgRepoCollaborators({ filter: Object.assign({}, filter, { dropEmpty: false }) });
+      }).then((data) =>
+      {
+         assert.strictEqual(data.transformed, 'test-org-typhonjs\n   test-repo1\n      typhonjs-test\n\n'
+          + '   test-repo2\n      typhonjs-test\n\ntest-org-typhonjs2\n\n');
+
+         return inspectTransform.getOrgRepoCollaborators({ transformType: 'json', filter: { dropEmpty: true,
+          categories: { collaborators: { include: 'test2$' } } } });
+      }).then((data) =>
+      {
+         const result = JSON.parse(data.transformed);
+
+         assert.deepEqual(result.orgs.map((org) => org.repos.map((repo) => repo.name)),
+          [['test-repo2'], ['test-repo-blah2']]);
+      });
+   });
+
+   /**
+    * Test `where` field predicates.
+    */
+   it('where', () =>
+   {
+      const data = { categories: 'orgs:repos', orgs: [{ name: 'org', repos: [
+         { 'name': 'a', 'fork': false, 'private': false, 'description': 'A repo' },
+         { 'name': 'b', 'fork': true, 'private': false, 'description': 'A fork' },
+         { 'name': 'c', 'fork': false, 'private': true, 'description': 'Private' },
+         { 'name': 'd', 'fork': false, 'private': false, 'description': '' },
+         { 'name': 'e', 'fork': false, 'private': false, 'description': 'Archived', 'default_branch': 'archive' }
+      ] }] };
+
+      const where = { 'fork': false, 'private': false, 'description': true,
+       'default_branch': (value) => value !== 'archive' };
+
+      const result = filterCategories(data, { categories: { repos: { where } } });
+
+      assert.deepEqual(result.orgs[0].repos.map((repo) => repo.name), ['a']);
+      assert.strictEqual(data.orgs[0].repos.length, 5);
+
+      assert.deepEqual(filterCategories(data, { categories: { repos: { where: { default_branch: 'archive' } } } })
+       .orgs[0].repos.map((repo) => repo.name), ['e']);
+
+      assert.throws(() => filterCategories(data, { categories: { repos: { include: 42 } } }), TypeError);
+   });
+});
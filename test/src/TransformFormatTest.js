@@ -0,0 +1,152 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import formatDate                   from '../../src/transform/formatDate.js';
+import formatNumber                 from '../../src/transform/formatNumber.js';
+
+/**
+ * This series of tests confirm that rate limits and repo dates are formatted consistently by `formatDate` and
+ * `formatNumber` and that missing values are rendered as `unknown`.
+ *
+ * @test {formatDate}
+ */
+describe('Transform date / number formatting', () =>
+{
+   const transformControl = new TransformControl();
+
+   // Node built with small-icu such as Node 10 only formats English, so locale specific output is only checked with
+   // full-icu.
+   const fullICU = Intl.NumberFormat.supportedLocalesOf(['de-DE']).length > 0;
+
+   const reset = Date.UTC(2016, 1, 27, 10, 31, 51);
+
+   const data = { categories: 'owners:ratelimit', owners: [{ name: 'typhonjs-test', url: '', ratelimit: [{
+    core: { limit: 5000, remaining: 4999, reset }, search: { limit: 30, remaining: 30, reset: reset + 720000 } }] }] };
+
+   /**
+    * Test ISO-8601, time zone, locale and relative dates.
+    */
+   it('formatDate', () =>
+   {
+      assert.strictEqual(formatDate(reset), '2016-02-27T10:31:51Z');
+      assert.strictEqual(formatDate('2015-10-11T19:04:43Z'), '2015-10-11T19:04:43Z');
+      assert.strictEqual(formatDate(new Date(reset + 5)), '2016-02-27T10:31:51.005Z');
+
+      assert.strictEqual(formatDate(reset, { timeZone: 'Europe/Berlin' }), '2016-02-27T11:31:51+01:00');
+      assert.strictEqual(formatDate(reset, { timeZone: 'America/New_York' }), '2016-02-27T05:31:51-05:00');
+
+      // Afternoon and near midnight times keep a 24-hour clock.
+      assert.strictEqual(formatDate('2016-02-27T15:31:51Z', { timeZone: 'Europe/Berlin' }),
+       '2016-02-27T16:31:51+01:00');
+      assert.strictEqual(formatDate('2016-02-27T23:31:51Z', { timeZone: 'UTC' }), '2016-02-27T23:31:51Z');
+      assert.strictEqual(formatDate('2016-02-27T23:31:51Z', { timeZone: 'Europe/Berlin' }),
+       '2016-02-28T00:31:51+01:00');
+      assert.strictEqual(formatDate('2016-02-28T00:05:00Z', { timeZone: 'UTC' }), '2016-02-28T00:05:00Z');
+      assert.strictEqual(formatDate('2016-02-28T04:05:00Z', { timeZone: 'America/New_York' }),
+       '2016-02-27T23:05:00-05:00');
+
+      if (fullICU)
+      {
+         assert.strictEqual(formatDate(reset, { dateFormat: 'locale', locale: 'de-DE', timeZone: 'UTC' }),
+          '27.2.2016, 10:31:51');
+      }
+
+      assert.strictEqual(formatDate(reset + 720000, { dateFormat: 'relative', locale: 'en', now: reset }),
+       'in 12 minutes');
+      assert.strictEqual(formatDate(reset - 3 * 86400000, { dateFormat: 'relative', locale: 'en', now: reset }),
+       '3 days ago');
+
+      for (const missing of [void 0, null, '', 'not a date', NaN, {}])
+      {
+         assert.strictEqual(formatDate(missing), 'unknown');
+      }
+   });
+
+   /**
+    * Test relative dates from the message catalog on runtimes without `Intl.RelativeTimeFormat`.
+    */
+   it('formatDate relative without Intl.RelativeTimeFormat', () =>
+   {
+      const RelativeTimeFormat = Intl.RelativeTimeFormat;
+
+      delete Intl.RelativeTimeFormat;
+
+      try
+      {
+         assert.strictEqual(formatDate(reset + 720000, { dateFormat: 'relative', now: reset }), 'in 12 minutes');
+         assert.strictEqual(formatDate(reset + 1000, { dateFormat: 'relative', now: reset }), 'in 1 second');
+         assert.strictEqual(formatDate(reset - 3 * 86400000, { dateFormat: 'relative', now: reset }), '3 days ago');
+         assert.strictEqual(formatDate(reset - 3600000, { dateFormat: 'relative', locale: 'de', now: reset }),
+          'vor 1 Stunde');
+      }
+      finally
+      {
+         if (typeof RelativeTimeFormat !== 'undefined') { Intl.RelativeTimeFormat = RelativeTimeFormat; }
+      }
+   });
+
+   /**
+    * Test locale digit grouping and missing numbers.
+    */
+   it('formatNumber', () =>
+   {
+      assert.strictEqual(formatNumber(4999), '4999');
+      assert.strictEqual(formatNumber(4999, { locale: 'en-US' }), '4,999');
+
+      if (fullICU) { assert.strictEqual(formatNumber(4999, { locale: 'de-DE' }), '4.999'); }
+
+      assert.strictEqual(formatNumber(void 0), 'unknown');
+      assert.strictEqual(formatNumber('5000'), 'unknown');
+   });
+
+   /**
+    * Test that rate limits are rendered the same way by html, markdown and text.
+    */
+   it('rate limits', () =>
+   {
+      const options = { dateFormat: 'relative', locale: 'en-US', now: reset - 60000 };
+
+      const expected = ['Core: limit: 5,000, remaining: 4,999, reset: in 1 minute',
+       'Search: limit: 30, remaining: 30, reset: in 13 minutes'];
+
+      for (const transformType of ['html', 'markdown', 'text'])
+      {
+         const result = transformControl.transform(data, Object.assign({ transformType }, options));
+
+         for (const line of expected) { assert.include(result, line, transformType); }
+      }
+
+      assert.strictEqual(transformControl.transform(data, { transformType: 'text' }), 'typhonjs-test\n'
+       + '   Core: limit: 5000, remaining: 4999, reset: 2016-02-27T10:31:51Z\n'
+        + '   Search: limit: 30, remaining: 30, reset: 2016-02-27T10:43:51Z\n\n');
+
+      // Missing limits are rendered as `unknown`.
+      assert.include(transformControl.transform({ categories: 'ratelimit', ratelimit: [{ core: {} }] },
+       { transformType: 'text' }), 'Search: limit: unknown, remaining: unknown, reset: unknown');
+   });
+
+   /**
+    * Test that repo `created_at` is formatted in tables and selected fields.
+    */
+   it('repo created_at', () =>
+   {
+      const repos = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      const createdAt = repos.orgs[0].repos[0].created_at;
+      const formatted = formatDate(createdAt, { timeZone: 'Asia/Tokyo' });
+
+      assert.match(formatted, /\+09:00$/);
+
+      assert.include(transformControl.transform(repos, { transformType: 'markdown', layout: 'table',
+       timeZone: 'Asia/Tokyo' }), `| ${formatted} |`);
+
+      assert.include(transformControl.transform(repos, { transformType: 'html', layout: 'table',
+       timeZone: 'Asia/Tokyo' }), `<td>${formatted}</td>`);
+
+      assert.include(transformControl.transform(repos, { transformType: 'text', fields: { repos: ['created_at'] },
+       timeZone: 'Asia/Tokyo' }), `created_at: ${formatted}`);
+   });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import escapeHTML                   from '../../src/transform/escapeHTML.js';
+import safeURL                      from '../../src/transform/safeURL.js';
+
+/**
+ * This series of tests confirm that the `html` transform escapes hostile names, descriptions and URLs. The hostile
+ * normalized data and expected results are stored in `./test/fixture/hostile-*`.
+ *
+ * @test {transformHTML}
+ */
+describe('transformHTML', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'html' });
+
+   ['hostile-orgs-repos', 'hostile-orgs-teams-members'].forEach((filePrefix) =>
+   {
+      const data = JSON.parse(fs.readFileSync(`./test/fixture/${filePrefix}-json.txt`, 'utf-8'));
+
+      /**
+       * Test hostile data with and without descriptions against fixture data.
+       */
+      it(`escapes ${filePrefix}`, () =>
+      {
+         const result = transformControl.transform(data);
+         const resultDesc = transformControl.transform(data, { description: true });
+
+         assert.strictEqual(result, fs.readFileSync(`./test/fixture/${filePrefix}-html.txt`, 'utf-8'));
+         assert.strictEqual(resultDesc, fs.readFileSync(`./test/fixture/${filePrefix}-html-with-desc.txt`, 'utf-8'));
+
+         for (const output of [result, resultDesc])
+         {
+            assert.notInclude(output, '<script');
+            assert.notInclude(output, '<img');
+            assert.notInclude(output, '<b>');
+            assert.notInclude(output, 'javascript:');
+            assert.notInclude(output, 'vbscript:');
+         }
+      });
+   });
+
+   /**
+    * Test that `urlSchemes` configures the allowed link schemes.
+    */
+   it('urlSchemes', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-orgs-all-json-with-desc.txt', 'utf-8'));
+
+      assert.notInclude(transformControl.transform(data, { urlSchemes: ['ftp'] }), '<a ');
+      assert.include(transformControl.transform(data, { urlSchemes: ['https'] }), '<a ');
+   });
+
+   /**
+    * Test `document` mode against fixture data as a string and a stream.
+    */
+   it('document', () =>
+   {
+      const data = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-repo-contributors-all-json-with-desc.txt', 'utf-8'));
+      const expected = fs.readFileSync('./test/fixture/github-get-org-repo-contributors-all-html-document.txt',
+       'utf-8');
+
+      const options = { description: true, document: true, title: 'TyphonJS <contributors>' };
+
+      const result = transformControl.transform(data, options);
+
+      assert.strictEqual(result, expected);
+      assert.notInclude(result, ' id=');
+
+      const chunks = [];
+      const readable = transformControl.transform(data, Object.assign({ stream: true }, options));
+
+      return new Promise((resolve, reject) =>
+      {
+         readable.on('data', (chunk) => { chunks.push(chunk); });
+         readable.on('end', resolve);
+         readable.on('error', reject);
+      }).then(() => { assert.strictEqual(chunks.join(''), expected); });
+   });
+
+   /**
+    * Test `css`, `defaultStyle` and `avatars` options.
+    */
+   it('document css / defaultStyle / avatars', () =>
+   {
+      const data = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-repo-contributors-all-json-with-desc.txt', 'utf-8'));
+
+      const result = transformControl.transform(data,
+       { document: true, defaultStyle: false, css: 'ul { color: red; }</style><script>', avatars: false });
+
+      assert.include(result, '<title>GitHub</title>');
+      assert.include(result, '<style>\nul { color: red; }<\\/style><script>\n   </style>');
+      assert.notInclude(result, 'img.avatar');
+      assert.notInclude(result, '<img');
+
+      assert.notInclude(transformControl.transform(data, { document: true, defaultStyle: false }), '<style>');
+
+      // Avatars may be rendered in fragments and are subject to `urlSchemes`.
+      assert.include(transformControl.transform(data, { avatars: true }), '<img class="avatar"');
+      assert.notInclude(transformControl.transform(data, { avatars: true, urlSchemes: ['ftp'] }), '<img');
+   });
+
+   /**
+    * Test `layout: 'table'` with `columns` against fixture data and in document mode.
+    */
+   it('layout table', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(data,
+       { layout: 'table', columns: ['name', 'fork', 'private', 'clone_url'] }),
+        fs.readFileSync('./test/fixture/github-get-org-repos-all-html-table.txt', 'utf-8'));
+
+      const result = transformControl.transform(data, { layout: 'table', document: true });
+
+      assert.include(result, '<table class="repos depth-1">');
+      assert.include(result, '<tr><th>Name</th><th>Description</th><th>Default branch</th><th>Created</th></tr>');
+      assert.include(result, '<td>Just a test repo</td><td>master</td><td>2016-02-14T03:01:24Z</td>');
+      assert.notInclude(result, '<ul class="repos');
+      assert.strictEqual(result.split('<table').length, result.split('</table>').length);
+
+      assert.throws(() => transformControl.transform(data, { layout: 'table', columns: ['ssh_url'] }), TypeError);
+   });
+
+   /**
+    * Test `escapeHTML`.
+    */
+   it('escapeHTML', () =>
+   {
+      assert.strictEqual(escapeHTML(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+      assert.strictEqual(escapeHTML(42), '42');
+   });
+
+   /**
+    * Test `safeURL`.
+    */
+   it('safeURL', () =>
+   {
+      assert.strictEqual(safeURL('https://github.com/typhonjs'), 'https://github.com/typhonjs');
+      assert.strictEqual(safeURL('HTTP://github.com'), 'HTTP://github.com');
+      assert.strictEqual(safeURL('mailto:support@js.typhonrt.org'), 'mailto:support@js.typhonrt.org');
+      assert.strictEqual(safeURL('/relative/path:with-colon'), '/relative/path:with-colon');
+      assert.strictEqual(safeURL('javascript:alert(1)'), '');
+      assert.strictEqual(safeURL(' java\nscript:alert(1)'), '');
+      assert.strictEqual(safeURL('data:text/html,<script>'), '');
+      assert.strictEqual(safeURL('ftp://example.com', ['ftp']), 'ftp://example.com');
+      assert.strictEqual(safeURL(void 0), '');
+   });
+});
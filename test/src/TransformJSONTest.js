@@ -0,0 +1,111 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm the `indent`, `description`, `fields` and `excludeFields` options of the `json`
+ * transform and that the `jsonl` transform emits one flattened record per leaf entry.
+ *
+ * @test {transformJSON}
+ */
+describe('transformJSON', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'json' });
+
+   /**
+    * Test that `indent` pretty prints and that descriptions are only included with `description`.
+    */
+   it('indent / description', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-teams-all-json-with-desc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(data, { description: true, indent: 3 }),
+       JSON.stringify(data, null, 3));
+
+      const result = transformControl.transform(data);
+
+      assert.notInclude(result, '"description"');
+      assert.strictEqual(result, fs.readFileSync('./test/fixture/github-get-org-teams-all-json.txt', 'utf-8'));
+
+      // The original data is not modified.
+      assert.strictEqual(typeof data.orgs[0].description, 'string');
+   });
+
+   /**
+    * Test per category `fields` / `excludeFields`.
+    */
+   it('fields / excludeFields', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      const result = JSON.parse(transformControl.transform(data,
+       { fields: { repos: ['url', 'description'] }, excludeFields: { orgs: ['avatar_url', 'id'] } }));
+
+      assert.strictEqual(result.scm, 'github');
+      assert.strictEqual(result.categories, 'orgs:repos');
+
+      result.orgs.forEach((org, orgIndex) =>
+      {
+         assert.deepEqual(Object.keys(org), ['name', 'url', 'repos']);
+
+         org.repos.forEach((repo, repoIndex) =>
+         {
+            const source = data.orgs[orgIndex].repos[repoIndex];
+
+            assert.deepEqual(repo, { name: source.name, url: source.url, description: source.description });
+         });
+      });
+   });
+
+   /**
+    * Test `jsonl` against fixture data and that each line is a flattened record for a leaf entry.
+    */
+   it('jsonl', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt',
+       'utf-8'));
+
+      const result = transformControl.transform(data, { transformType: 'jsonl', description: true });
+
+      assert.strictEqual(result,
+       fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-jsonl-with-desc.txt', 'utf-8'));
+
+      const records = result.split('\n');
+
+      assert.strictEqual(records.pop(), '');
+
+      let leafCount = 0;
+
+      for (const org of data.orgs)
+      {
+         for (const repo of org.repos)
+         {
+            leafCount += repo.collaborators.length > 0 ? repo.collaborators.length : 1;
+         }
+      }
+
+      assert.strictEqual(records.length, leafCount);
+
+      for (const record of records.map((line) => JSON.parse(line)))
+      {
+         assert.notProperty(record, 'orgs_repos');
+         assert.notProperty(record, 'repos_collaborators');
+
+         for (const key in record)
+         {
+            assert.match(key, /^(orgs|repos|collaborators)_/);
+            assert.notStrictEqual(typeof record[key], 'undefined');
+         }
+      }
+
+      const filtered = transformControl.transform(data, { transformType: 'jsonl',
+       fields: { orgs: [], repos: ['clone_url'], collaborators: ['id'] } });
+
+      assert.deepEqual(JSON.parse(filtered.split('\n')[0]), { orgs_name: 'test-org-typhonjs', repos_name: 'test-repo1',
+       repos_clone_url: 'https://github.com/test-org-typhonjs/test-repo1.git', collaborators_name: 'typhonjs-test',
+        collaborators_id: 17188714 });
+   });
+});
@@ -0,0 +1,292 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import { Parser }                   from 'commonmark';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import escapeMarkdown               from '../../src/transform/escapeMarkdown.js';
+import safeURL                      from '../../src/transform/safeURL.js';
+
+/**
+ * This series of tests confirm that the `markdown` transform produces valid CommonMark. The output for all normalized
+ * fixture data is parsed by the CommonMark reference parser and the resulting document is compared against the
+ * original data; every name, description and link must round trip exactly with the same nesting. The hostile data in
+ * `./test/fixture/hostile-*` is also compared against stored results.
+ *
+ * @test {transformMarkdown}
+ */
+describe('transformMarkdown', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'markdown' });
+
+   // All normalized fixture data except rate limits which render two lines per entry and stats which render tables.
+   const filePrefixes = fs.readdirSync('./test/fixture').filter((file) => file.endsWith('-json.txt')).filter((file) =>
+    !(/ratelimit|stats/).test(JSON.parse(fs.readFileSync(`./test/fixture/${file}`, 'utf-8')).categories)).map(
+     (file) => file.substring(0, file.length - '-json.txt'.length));
+
+   filePrefixes.forEach((filePrefix) =>
+   {
+      /**
+       * Test CommonMark round trip with and without descriptions.
+       */
+      it(`CommonMark round trip: ${filePrefix}`, () =>
+      {
+         const data = s_LOAD(filePrefix);
+
+         for (const description of [false, true])
+         {
+            const markdown = transformControl.transform(data, { description });
+
+            assert.deepEqual(s_PARSE(markdown), s_EXPECTED(data, description), `description: ${description}`);
+         }
+      });
+   });
+
+   ['hostile-orgs-repos', 'hostile-orgs-teams-members', 'hostile-owners-orgs-repos-contributors'].forEach(
+    (filePrefix) =>
+   {
+      /**
+       * Test hostile data with and without descriptions against fixture data.
+       */
+      it(`escapes ${filePrefix}`, () =>
+      {
+         const data = s_LOAD(filePrefix);
+
+         assert.strictEqual(transformControl.transform(data),
+          fs.readFileSync(`./test/fixture/${filePrefix}-markdown.txt`, 'utf-8'));
+
+         assert.strictEqual(transformControl.transform(data, { description: true }),
+          fs.readFileSync(`./test/fixture/${filePrefix}-markdown-with-desc.txt`, 'utf-8'));
+      });
+   });
+
+   /**
+    * Test that list nesting is correct at depth 4 and beyond.
+    */
+   it('unlimited nesting depth', () =>
+   {
+      const data = { categories: 'orgs:teams:members:repos:contributors' };
+      let parent = data;
+
+      data.categories.split(':').forEach((category, depth) =>
+      {
+         parent[category] = [{ name: `${category}-${depth}`, url: '' }];
+         parent = parent[category][0];
+      });
+
+      const markdown = transformControl.transform(data);
+
+      assert.deepEqual(s_PARSE(markdown), s_EXPECTED(data, false));
+   });
+
+   /**
+    * Test `layout: 'table'` against fixture data and that only leaf repos are rendered as a table.
+    */
+   it('layout table', () =>
+   {
+      for (const filePrefix of ['github-get-org-repos-all', 'hostile-orgs-repos'])
+      {
+         assert.strictEqual(transformControl.transform(s_LOAD(filePrefix), { layout: 'table' }),
+          fs.readFileSync(`./test/fixture/${filePrefix}-markdown-table.txt`, 'utf-8'));
+      }
+
+      const collaborators = s_LOAD('github-get-org-repo-collaborators-all');
+
+      assert.strictEqual(transformControl.transform(collaborators, { layout: 'table' }),
+       transformControl.transform(collaborators));
+   });
+
+   /**
+    * Test table `columns`, cell escaping and indentation below nested list items.
+    */
+   it('layout table columns / nesting', () =>
+   {
+      const data =
+      {
+         categories: 'owners:orgs:repos',
+         owners: [{ name: 'owner', url: '', orgs: [{ name: 'org', url: '', repos: [
+            { 'name': 'a|b', 'url': 'https://github.com/a|b', 'description': 'x | y\nz', 'fork': true,
+             'private': false },
+            { name: 'c', url: '' }
+         ] }] }]
+      };
+
+      const result = transformControl.transform(data, { layout: 'table', columns: ['name', 'description', 'fork',
+       'private', 'clone_url'] });
+
+      assert.strictEqual(result, 'owner\n\n'
+       + '   - org\n\n'
+       + '      | Name | Description | Fork | Private | Clone URL |\n'
+       + '      | --- | --- | --- | --- | --- |\n'
+       + '      | [a\\|b](https://github.com/a%7Cb) | x \\| y z | true | false |  |\n'
+       + '      | c |  |  |  |  |\n\n');
+   });
+
+   /**
+    * Test `escapeMarkdown`.
+    */
+   it('escapeMarkdown', () =>
+   {
+      assert.strictEqual(escapeMarkdown('*a* _b_ [c] d|e'), '\\*a\\* \\_b\\_ \\[c\\] d\\|e');
+      assert.strictEqual(escapeMarkdown('# title'), '\\# title');
+      assert.strictEqual(escapeMarkdown('10. item'), '10\\. item');
+      assert.strictEqual(escapeMarkdown('a & b &copy;'), 'a & b \\&copy;');
+      assert.strictEqual(escapeMarkdown('line\nbreak '), 'line break');
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Categories which render a description in the markdown transform.
+ *
+ * @type {Array<string>}
+ */
+const s_DESCRIPTION_CATEGORIES = ['orgs', 'repos', 'teams'];
+
+/**
+ * Builds the expected document tree from normalized data.
+ *
+ * @param {object}   data - Normalized data.
+ * @param {boolean}  description - Include descriptions.
+ *
+ * @returns {Array<object>}
+ */
+const s_EXPECTED = (data, description) =>
+{
+   const categories = data.categories.split(':');
+
+   const traverse = (parent, depth) =>
+   {
+      const category = categories[depth];
+      const nextCategory = categories[depth + 1];
+
+      return parent[category].map((entry) =>
+      {
+         let text = entry.name;
+
+         if (description && entry.description && s_DESCRIPTION_CATEGORIES.indexOf(category) >= 0)
+         {
+            text += ` - ${entry.description.replace(/[\r\n]+/g, ' ').trim()}`;
+         }
+
+         const url = category === 'teams' ? '' : safeURL(entry.url);
+
+         return {
+            text,
+            url: url !== '' ? url : null,
+            children: nextCategory && Array.isArray(entry[nextCategory]) ? traverse(entry, depth + 1) : []
+         };
+      });
+   };
+
+   return traverse(data, 0);
+};
+
+/**
+ * Loads normalized fixture data preferring `-json-with-desc.txt` which includes descriptions.
+ *
+ * @param {string}   filePrefix - Fixture file prefix.
+ *
+ * @returns {object}
+ */
+const s_LOAD = (filePrefix) =>
+{
+   const filePath = fs.existsSync(`./test/fixture/${filePrefix}-json-with-desc.txt`) ?
+    `./test/fixture/${filePrefix}-json-with-desc.txt` : `./test/fixture/${filePrefix}-json.txt`;
+
+   return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+};
+
+/**
+ * Parses markdown with the CommonMark reference parser and builds a document tree. Each paragraph or list item becomes
+ * a node; a list following a paragraph in the same container holds the children of that paragraph.
+ *
+ * @param {string}   markdown - Markdown to parse.
+ *
+ * @returns {Array<object>}
+ */
+const s_PARSE = (markdown) =>
+{
+   const blocks = (container) =>
+   {
+      const result = [];
+
+      for (let child = container.firstChild; child; child = child.next)
+      {
+         switch (child.type)
+         {
+            case 'paragraph':
+               result.push(Object.assign(s_INLINE(child), { children: [] }));
+               break;
+
+            case 'list':
+            {
+               const items = [];
+
+               for (let item = child.firstChild; item; item = item.next)
+               {
+                  const itemBlocks = blocks(item);
+
+                  assert.strictEqual(itemBlocks.length, 1, 'list item contains a single paragraph');
+
+                  items.push(itemBlocks[0]);
+               }
+
+               if (result.length > 0) { Array.prototype.push.apply(result[result.length - 1].children, items); }
+               else { Array.prototype.push.apply(result, items); }
+               break;
+            }
+
+            default:
+               throw new Error(`Unexpected block type: ${child.type}`);
+         }
+      }
+
+      return result;
+   };
+
+   return blocks(new Parser().parse(markdown));
+};
+
+/**
+ * Collects the text and link destination of a paragraph. Only text and a single link are expected; any other inline
+ * type such as emphasis, code or HTML indicates unescaped metacharacters.
+ *
+ * @param {object}   paragraph - A CommonMark paragraph node.
+ *
+ * @returns {object}
+ */
+const s_INLINE = (paragraph) =>
+{
+   let text = '';
+   let url = null;
+
+   const walker = paragraph.walker();
+   let event;
+
+   while ((event = walker.next()))
+   {
+      const node = event.node;
+
+      if (!event.entering || node === paragraph) { continue; }
+
+      switch (node.type)
+      {
+         case 'text':
+            text += node.literal;
+            break;
+
+         case 'link':
+            assert.strictEqual(url, null, 'paragraph contains a single link');
+            url = decodeURI(node.destination);
+            break;
+
+         default:
+            throw new Error(`Unexpected inline type: ${node.type}`);
+      }
+   }
+
+   return { text, url };
+};
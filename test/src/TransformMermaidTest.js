@@ -0,0 +1,80 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm that the `mermaid` transform creates `graph` and `mindmap` diagrams with sanitized node
+ * IDs and escaped labels. Expected results are stored in `./test/fixture`.
+ *
+ * @test {transformMermaid}
+ */
+describe('transformMermaid', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'mermaid' });
+
+   /**
+    * Test `graph` and `mindmap` diagrams against fixture data.
+    */
+   it('fixture data', () =>
+   {
+      const members = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-team-members-all-json-with-desc.txt', 'utf-8'));
+      const repos = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(members),
+       fs.readFileSync('./test/fixture/github-get-org-team-members-all-mermaid.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(repos, { diagram: 'mindmap', title: 'TyphonJS' }),
+       fs.readFileSync('./test/fixture/github-get-org-repos-all-mermaid-mindmap.txt', 'utf-8'));
+   });
+
+   /**
+    * Test that `fence` and `direction` configure the diagram.
+    */
+   it('fence / direction', () =>
+   {
+      const repos = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      const result = transformControl.transform(repos, { fence: false, direction: 'LR' });
+
+      assert(result.startsWith('graph LR\n'));
+      assert.notInclude(result, '```');
+   });
+
+   ['graph', 'mindmap'].forEach((diagram) =>
+   {
+      /**
+       * Test that node IDs are sanitized and unique and that labels are escaped.
+       */
+      it(`sanitizes and escapes hostile data (${diagram})`, () =>
+      {
+         const data =
+         {
+            categories: 'owners:orgs',
+            owners: [
+               { name: 'end', url: '', orgs: [{ name: 'a"]-->b[x', id: 'a b', url: '' }] },
+               { name: 'end!', url: '', orgs: [{ name: '<img src=x>`#1;&amp;', id: 'a-b', url: '' },
+                { name: 'line\nbreak', id: 1, url: '' }] }
+            ]
+         };
+
+         const lines = transformControl.transform(data, { diagram, fence: false, title: '"root"' }).split('\n');
+
+         const nodes = lines.filter((line) => (/"$|[)\]}(]$/).test(line) && line.indexOf('"') >= 0).map((line) =>
+          (/^\s*(\w+)[[({)]+"([^"]*)"[\])}(]+$/).exec(line));
+
+         nodes.forEach((match) => { assert.isNotNull(match); });
+
+         const ids = nodes.map((match) => match[1]);
+         const labels = nodes.map((match) => match[2]);
+
+         assert.includeMembers(ids, ['owner_end', 'owner_end_', 'org_a_b', 'org_a_b_2', 'org_1']);
+         assert.strictEqual(new Set(ids).size, ids.length);
+
+         assert.includeMembers(labels, ['a#quot;]--#gt;b[x', '#lt;img src=x#gt;#96;#35;1;#amp;amp;', 'line break']);
+      });
+   });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import stripVolatileData            from '../../src/snapshot/stripVolatileData.js';
+import TransformControl             from '../../src/transform/TransformControl.js';
+import indent                       from '../../src/transform/indent.js';
+import messages                     from '../../src/transform/messages.js';
+import safeURL                      from '../../src/transform/safeURL.js';
+
+/**
+ * This series of tests confirm that labels and error messages of the built-in transforms are looked up in the
+ * message catalog of `options.locale` and may be replaced with `options.messages`.
+ *
+ * @test {messages}
+ */
+describe('Transform messages', () =>
+{
+   const transformControl = new TransformControl();
+
+   // Digits are only grouped for German with full-icu; Node built with small-icu such as Node 10 groups as English.
+   const grouped = Intl.NumberFormat.supportedLocalesOf(['de']).length > 0 ? ['5.000', '4.999'] : ['5,000', '4,999'];
+
+   const reset = Date.UTC(2016, 1, 27, 10, 31, 51);
+
+   const rateLimit = { categories: 'ratelimit', ratelimit: [{ core: { limit: 5000, remaining: 4999, reset },
+    search: { limit: 30, remaining: 30, reset } }] };
+
+   const stats = JSON.parse(fs.readFileSync('./test/fixture/stats-orgs-repos-json.txt', 'utf-8'));
+
+   /**
+    * Test catalog selection, fallback, placeholders and plural categories.
+    */
+   it('lookup', () =>
+   {
+      assert.strictEqual(messages()('unknown'), 'unknown');
+      assert.strictEqual(messages({ locale: 'de' })('unknown'), 'unbekannt');
+      assert.strictEqual(messages({ locale: 'de-AT' })('unknown'), 'unbekannt');
+      assert.strictEqual(messages({ locale: 'fr' })('unknown'), 'unknown');
+      assert.strictEqual(messages()('missing.key'), 'missing.key');
+
+      assert.strictEqual(messages()('count.commit', { count: 1 }), '1 commit');
+      assert.strictEqual(messages()('count.commit', { count: 0 }), '0 commits');
+      assert.strictEqual(messages({ locale: 'de' })('count.week', { count: 2 }), '2 Wochen');
+
+      const message = messages({ locale: 'pl', messages: { 'count.commit':
+       { one: '{count} commit', few: '{count} commity', many: '{count} commitów' }, 'unknown': '{missing}' } });
+
+      assert.strictEqual(message('count.commit', { count: 1 }), '1 commit');
+      assert.strictEqual(message('unknown'), '{missing}');
+
+      // Polish plural rules are only available with full-icu; small-icu such as Node 10 selects `other`.
+      if (Intl.PluralRules.supportedLocalesOf(['pl']).length > 0)
+      {
+         assert.strictEqual(message('count.commit', { count: 3 }), '3 commity');
+         assert.strictEqual(message('count.commit', { count: 5 }), '5 commitów');
+      }
+
+      // A plural object without the selected category or `other` falls back to the next catalog.
+      const partial = messages({ locale: 'de', messages: { 'count.week': { one: 'eine Woche' } } });
+
+      assert.strictEqual(partial('count.week', { count: 1 }), 'eine Woche');
+      assert.strictEqual(partial('count.week', { count: 2 }), '2 Wochen');
+   });
+
+   /**
+    * Test that rate limits are localized and overridden in html, markdown and text.
+    */
+   it('rate limits', () =>
+   {
+      for (const transformType of ['html', 'markdown', 'text'])
+      {
+         const result = transformControl.transform(rateLimit, { transformType, locale: 'de' });
+
+         assert.include(result, `Core: Limit: ${grouped[0]}, verbleibend: ${grouped[1]
+          }, Zurücksetzung: 2016-02-27T10:31:51Z`, transformType);
+         assert.include(result, 'Suche: Limit: 30', transformType);
+      }
+
+      assert.strictEqual(transformControl.transform(rateLimit, { transformType: 'text',
+       messages: { 'ratelimit.core': 'API {remaining}/{limit}', 'ratelimit.search': 'Search {remaining}/{limit}' } }),
+        'API 4999/5000\nSearch 30/30\n');
+
+      assert.include(transformControl.transform({ categories: 'ratelimit', ratelimit: [{}] },
+       { transformType: 'text', locale: 'de' }), 'Limit: unbekannt, verbleibend: unbekannt');
+   });
+
+   /**
+    * Test that stats summaries, tables and charts are localized.
+    */
+   it('stats', () =>
+   {
+      const text = transformControl.transform(stats, { transformType: 'text', locale: 'de' });
+
+      assert.include(text, 'Commit-Aktivität: ');
+      assert.include(text, 'Ausstehend: GitHub erstellt die Statistiken');
+      assert.match(text, /\n\s+Mo\s+\d+\n/);
+      assert.notInclude(text, 'Commit activity');
+
+      const html = transformControl.transform(stats, { transformType: 'html', charts: true, locale: 'de',
+       messages: { 'stats.column.owner': 'Owner & co' } });
+
+      assert.include(html, '<title>Commit-Aktivität pro Woche</title>');
+      assert.include(html, '>Owner &amp; co</text>');
+
+      const markdown = transformControl.transform(stats, { transformType: 'markdown',
+       messages: { 'stats.contributors.title': 'People' } });
+
+      assert.include(markdown, '**People**: ');
+   });
+
+   /**
+    * Test that repo table column labels are localized.
+    */
+   it('repo table columns', () =>
+   {
+      const repos = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      assert.include(transformControl.transform(repos, { transformType: 'markdown', layout: 'table', locale: 'de' }),
+       '| Name | Beschreibung | Standard-Branch | Erstellt |');
+
+      assert.include(transformControl.transform(repos, { transformType: 'html', layout: 'table',
+       columns: ['name', 'clone_url'], messages: { 'column.clone_url': 'Git' } }), '<th>Git</th>');
+
+      assert.include(transformControl.transform(repos, { transformType: 'markdown', layout: 'table',
+       columns: ['name', 'clone_url'], messages: { 'column.clone_url': 'Git | *URL*' } }),
+        '| Name | Git \\| \\*URL\\* |');
+   });
+
+   /**
+    * Test that error messages are localized and that `messages` is validated.
+    */
+   it('errors', () =>
+   {
+      assert.throws(() => transformControl.transform(rateLimit, { transformType: 'text', charts: 'yes', locale: 'de' }),
+       TypeError, `transformText Fehler: 'options.charts' ist kein 'boolean'.`);
+
+      assert.throws(() => transformControl.transform(rateLimit, { transformType: 'markdown', layout: 'grid' }),
+       TypeError, `transformMarkdown error: 'options.layout' is not one of list, table.`);
+
+      assert.throws(() => transformControl.transform(rateLimit, { transformType: 'html', layout: 'table',
+       columns: ['stars'], messages: { 'error.unknownColumn': '{method}: {column}?' } }), TypeError,
+        'transformHTML: stars?');
+
+      assert.throws(() => transformControl.transform(rateLimit, { messages: 'de' }), TypeError,
+       `transform error: 'options.messages' is not an 'object'.`);
+
+      assert.throws(() => transformControl.transform(rateLimit, { messages: { unknown: 42 } }), TypeError,
+       `transform error: 'options.messages.unknown' is not a 'string' or an 'object'.`);
+
+      assert.throws(() => transformControl.transform(rateLimit, { transformType: 'csv', delimiter: ';;', locale: 'de' }),
+       TypeError, `transformCSV Fehler: 'options.delimiter' ist kein 'string' aus einem Zeichen.`);
+
+      assert.throws(() => transformControl.transform(rateLimit, { transformType: 'text', sort: { key: 'stars' },
+       locale: 'de' }), TypeError, `sortCategories Fehler: 'sort.key' ist nicht eines von`);
+
+      assert.throws(() => new TransformControl({ locale: 'de' }).setTransformType('xml'), Error,
+       `setTransformType Fehler: 'transformType' ist ein ungültiger Transformationstyp.`);
+
+      assert.throws(() => new GitHubInspectOrgsTransform({}, { snapshots: {}, locale: 'de' }), TypeError,
+       `initialize Fehler: 'options.snapshots' ist kein 'SnapshotStore'.`);
+
+      assert.throws(() => new GitHubInspectOrgsTransform({}).transformSnapshot('getOrgs', { locale: 'de' }), Error,
+       `transformSnapshot Fehler: dem Konstruktor wurde kein 'snapshots' Speicher übergeben.`);
+
+      assert.throws(() => stripVolatileData({}, null, { locale: 'de' }), TypeError,
+       `stripVolatileData Fehler: 'volatileFields' ist kein 'object'.`);
+
+      assert.throws(() => safeURL('https://x.org', 'https', { locale: 'de' }), TypeError,
+       `safeURL Fehler: 'schemes' ist kein 'Array'.`);
+
+      assert.throws(() => indent(1.5), TypeError, `indent error: 'depth' is not an 'integer'.`);
+   });
+});
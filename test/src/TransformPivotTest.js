@@ -0,0 +1,97 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import TransformControl             from '../../src/transform/TransformControl.js';
+import pivotCategories              from '../../src/transform/pivotCategories.js';
+
+/**
+ * This series of tests confirm that the `pivot` option regroups normalized data by a category merging duplicate
+ * entries by `id` and rewriting `categories`, so existing transforms render the inverted tree.
+ *
+ * @test {pivotCategories}
+ */
+describe('Transform pivot', () =>
+{
+   const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt',
+    'utf-8'));
+
+   /**
+    * Test regrouping by users and by an intermediate category without modifying the original data.
+    */
+   it('pivot / merge by id', () =>
+   {
+      const original = JSON.stringify(data);
+
+      const result = pivotCategories(data, 'collaborators');
+
+      assert.strictEqual(result.categories, 'collaborators:orgs:repos');
+      assert.isUndefined(result.orgs);
+
+      assert.deepEqual(result.collaborators.map((user) => user.name), ['typhonjs-test', 'typhonjs-test2']);
+
+      assert.deepEqual(result.collaborators.map((user) => user.orgs.map((org) => org.repos.map((repo) => repo.name))),
+       [[['test-repo1', 'test-repo2'], ['test-repo-blah', 'test-repo-blah2']], [['test-repo2'], ['test-repo-blah2']]]);
+
+      // Nested category data of the original categories is replaced.
+      assert.isUndefined(result.collaborators[0].orgs[0].repos[0].collaborators);
+
+      const repos = pivotCategories(data, 'repos');
+
+      assert.strictEqual(repos.categories, 'repos:orgs:collaborators');
+      assert.deepEqual(repos.repos[1].orgs[0].collaborators.map((user) => user.name),
+       ['typhonjs-test', 'typhonjs-test2']);
+
+      const unchanged = pivotCategories(data, 'orgs');
+
+      assert.notStrictEqual(unchanged, data);
+      assert.deepEqual(unchanged, data);
+      assert.strictEqual(JSON.stringify(data), original);
+
+      assert.throws(() => pivotCategories(data, 'teams'), Error);
+   });
+
+   /**
+    * Test that transforms render the pivoted data.
+    */
+   it('all transforms', () =>
+   {
+      const transformControl = new TransformControl();
+
+      assert.strictEqual(transformControl.transform(data, { transformType: 'text', pivot: 'collaborators' }),
+       'typhonjs-test\n   test-org-typhonjs\n      test-repo1\n      test-repo2\n\n   test-org-typhonjs2\n'
+        + '      test-repo-blah\n      test-repo-blah2\n\ntyphonjs-test2\n   test-org-typhonjs\n      test-repo2\n\n'
+         + '   test-org-typhonjs2\n      test-repo-blah2\n\n');
+
+      const csv = transformControl.transform(data, { transformType: 'csv', pivot: 'collaborators' });
+
+      assert.strictEqual(csv.split('\r\n')[0],
+       'collaborators_name,collaborators_url,orgs_name,orgs_url,repos_name,repos_url');
+
+      const sorted = JSON.parse(transformControl.transform(data, { transformType: 'json', pivot: 'collaborators',
+       sort: { key: 'children', direction: 'desc' } }));
+
+      assert.deepEqual(sorted.collaborators[0].orgs.map((org) => org.repos.length), [2, 2]);
+   });
+
+   /**
+    * Test that GitHubInspectOrgsTransform methods forward pivot after filtering.
+    */
+   it('GitHubInspectOrgsTransform pivot', () =>
+   {
+      const inspectTransform = new GitHubInspectOrgsTransform(new GitHubInspectOrgsReplay(
+       { directory: './test/fixture', filePostfix: '-json-with-desc.txt' }), { transformType: 'text' });
+
+      return inspectTransform.getOrgRepoCollaborators({ pivot: 'collaborators',
+       filter: { categories: { orgs: { include: '2$' } } } }).then((result) =>
+      {
+         assert.strictEqual(result.transformed, 'typhonjs-test\n   test-org-typhonjs2\n      test-repo-blah\n'
+          + '      test-repo-blah2\n\ntyphonjs-test2\n   test-org-typhonjs2\n      test-repo-blah2\n\n');
+
+         assert.strictEqual(result.normalized.categories, 'orgs:repos:collaborators');
+      });
+   });
+});
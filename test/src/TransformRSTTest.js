@@ -0,0 +1,78 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import escapeRST                    from '../../src/transform/escapeRST.js';
+
+/**
+ * This series of tests confirm that the `rst` transform creates nested lists at any depth with embedded URI links and
+ * escaped text. Expected results are stored in `./test/fixture`.
+ *
+ * @test {transformRST}
+ */
+describe('transformRST', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'rst' });
+
+   /**
+    * Test against fixture data.
+    */
+   it('fixture data', () =>
+   {
+      const contributors = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-repo-contributors-all-json-with-desc.txt', 'utf-8'));
+
+      const members = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-team-members-all-json-with-desc.txt',
+       'utf-8'));
+
+      const hostile = JSON.parse(fs.readFileSync('./test/fixture/hostile-owners-orgs-repos-contributors-json.txt',
+       'utf-8'));
+
+      assert.strictEqual(transformControl.transform(contributors),
+       fs.readFileSync('./test/fixture/github-get-org-repo-contributors-all-rst.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(members, { description: true }),
+       fs.readFileSync('./test/fixture/github-get-org-team-members-all-rst-with-desc.txt', 'utf-8'));
+
+      const result = transformControl.transform(hostile, { description: true });
+
+      assert.strictEqual(result,
+       fs.readFileSync('./test/fixture/hostile-owners-orgs-repos-contributors-rst-with-desc.txt', 'utf-8'));
+
+      assert.notInclude(result, '<javascript:');
+   });
+
+   /**
+    * Test that each list level is indented to the text of the parent item at depth 4 and beyond.
+    */
+   it('unlimited nesting depth', () =>
+   {
+      const data = { categories: 'orgs:teams:members:repos:contributors:users' };
+      let parent = data;
+
+      data.categories.split(':').forEach((category, depth) =>
+      {
+         parent[category] = [{ name: `${category}-${depth}`, url: depth === 5 ? 'https://x.org/a b' : '' }];
+         parent = parent[category][0];
+      });
+
+      assert.strictEqual(transformControl.transform(data), 'orgs-0\n\n- teams-1\n\n  * members-2\n\n'
+       + '    - repos-3\n\n      * contributors-4\n\n        - `users-5 <https://x.org/a%20b>`__\n\n');
+   });
+
+   /**
+    * Test `escapeRST`.
+    */
+   it('escapeRST', () =>
+   {
+      assert.strictEqual(escapeRST('test-repo1'), 'test-repo1');
+      assert.strictEqual(escapeRST('*a* _b_ `c` |d| <e>'), '\\*a\\* \\_b\\_ \\`c\\` \\|d\\| \\<e\\>');
+      assert.strictEqual(escapeRST('name_'), 'name\\_');
+      assert.strictEqual(escapeRST('- item'), '\\- item');
+      assert.strictEqual(escapeRST('#. item'), '\\#. item');
+      assert.strictEqual(escapeRST('see::'), 'see:\\:');
+      assert.strictEqual(escapeRST('line\nbreak '), 'line break');
+   });
+});
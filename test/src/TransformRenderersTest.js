@@ -0,0 +1,105 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm that `options.renderers` replaces how the `html`, `markdown`, `text`, `asciidoc` and
+ * `rst` transforms render a single category while the transforms continue to render structure such as indentation and closing tags.
+ *
+ * @test {categoryRenderer}
+ */
+describe('Transform renderers', () =>
+{
+   const transformControl = new TransformControl();
+
+   const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-team-members-all-json-with-desc.txt',
+    'utf-8'));
+
+   [
+      { transformType: 'html', expected: '      <li>TEAM &lt;cool-test-team&gt;\n      <ul id="members">' },
+      { transformType: 'markdown', expected: '   - TEAM \\<cool-test-team\\>\n      * [typhonjs-test]' },
+      { transformType: 'text', expected: '   TEAM <cool-test-team>\n      typhonjs-test\n' }
+   ].forEach((test) =>
+   {
+      /**
+       * Test that only the overridden category changes and that the structure is kept.
+       */
+      it(`${test.transformType} renderers`, () =>
+      {
+         const renderers = { teams: (entry, context) => context.escape(`TEAM <${entry.name}>`) };
+
+         const result = transformControl.transform(data, { transformType: test.transformType, renderers });
+
+         const expected = fs.readFileSync(`./test/fixture/github-get-org-team-members-all-${test.transformType}.txt`,
+          'utf-8');
+
+         assert.include(result, test.expected);
+
+         assert.strictEqual(result.replace(/TEAM (&lt;|\\<|<)([\w-]+)(&gt;|\\>|>)/g, '$2'), expected);
+      });
+   });
+
+   /**
+    * Test that `asciidoc` and `rst` keep the list structure around overridden entries.
+    */
+   it('asciidoc / rst renderers', () =>
+   {
+      const renderers = { teams: (entry) => `TEAM ${entry.name}` };
+
+      assert.include(transformControl.transform(data, { transformType: 'asciidoc', renderers }),
+       'https://github.com/test-org-typhonjs[test-org-typhonjs]\n\n* TEAM cool-test-team\n'
+        + '** https://github.com/typhonjs-test[typhonjs-test]\n');
+
+      assert.include(transformControl.transform(data, { transformType: 'rst', renderers }),
+       '`test-org-typhonjs <https://github.com/test-org-typhonjs>`__\n\n- TEAM cool-test-team\n\n'
+        + '  * `typhonjs-test <https://github.com/typhonjs-test>`__\n');
+   });
+
+   /**
+    * Test the renderer context.
+    */
+   it('renderer context', () =>
+   {
+      const contexts = [];
+
+      const result = transformControl.transform(data, { transformType: 'markdown', description: true, renderers:
+      {
+         members: (entry, context) =>
+         {
+            contexts.push(context);
+            return `${context.link(entry)}${context.last ? ' (last)' : ''}`;
+         }
+      } });
+
+      assert.include(result, '      * [typhonjs-test](https://github.com/typhonjs-test) (last)\n');
+
+      assert.strictEqual(contexts[0].category, 'members');
+      assert.strictEqual(contexts[0].depth, 2);
+      assert.strictEqual(contexts[0].description, true);
+      assert.strictEqual(contexts[0].first, true);
+      assert.strictEqual(contexts[0].leaf, true);
+      assert.strictEqual(contexts[0].escape('*a*'), '\\*a\\*');
+
+      assert.throws(() => transformControl.transform(data, { renderers: { teams: 'team' } }), TypeError);
+   });
+
+   /**
+    * Test that GitHubInspectOrgsTransform methods forward renderers.
+    */
+   it('GitHubInspectOrgsTransform renderers', () =>
+   {
+      const inspectTransform = new GitHubInspectOrgsTransform(new GitHubInspectOrgsReplay(
+       { directory: './test/fixture', filePostfix: '-json-with-desc.txt' }), { transformType: 'html' });
+
+      return inspectTransform.getOrgs({ renderers: { orgs: (entry) => `org: ${entry.id}` } }).then((result) =>
+      {
+         assert.strictEqual(result.transformed, '<ul id="orgs">\n   <li>org: 17228306</li>\n   <li>org: 17228322</li>\n'
+          + '</ul>\n');
+      });
+   });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import sortCategories               from '../../src/transform/sortCategories.js';
+
+/**
+ * This series of tests confirm that the `sort` option sorts the entries of each category by a default key and per
+ * category keys in either direction for all transforms.
+ *
+ * @test {sortCategories}
+ */
+describe('Transform sort', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'json' });
+
+   /**
+    * Test per category keys and directions against fixture data without modifying the original data.
+    */
+   it('keys / direction', () =>
+   {
+      const data = JSON.parse(fs.readFileSync(
+       './test/fixture/github-get-org-repo-collaborators-all-json-with-desc.txt', 'utf-8'));
+
+      const original = JSON.stringify(data);
+
+      const result = JSON.parse(transformControl.transform(data, { description: true,
+       sort: { direction: 'desc', categories: { repos: { key: 'created_at', direction: 'asc' } } } }));
+
+      assert.deepEqual(result.orgs.map((org) => org.name), ['test-org-typhonjs2', 'test-org-typhonjs']);
+
+      assert.deepEqual(result.orgs[0].repos.map((repo) => repo.created_at),
+       ['2016-02-14T03:03:20Z', '2016-03-01T01:33:22Z']);
+
+      assert.deepEqual(result.orgs[0].repos[1].collaborators.map((user) => user.name),
+       ['typhonjs-test2', 'typhonjs-test']);
+
+      assert.strictEqual(JSON.stringify(data), original);
+
+      const children = sortCategories(data, { key: 'children', direction: 'desc' });
+
+      assert.deepEqual(children.orgs[1].repos.map((repo) => repo.collaborators.length), [2, 1]);
+   });
+
+   /**
+    * Test that sorting is stable for ties, case insensitive and places missing values last.
+    */
+   it('ties / case / missing values', () =>
+   {
+      const data = { categories: 'repos', repos: [{ name: 'b', id: 2 }, { name: 'C', id: 3, stargazers_count: 1 },
+       { name: 'a', id: 1, stargazers_count: 1 }, { name: 'D', id: 4, stargazers_count: 5 }] };
+
+      assert.deepEqual(sortCategories(data, 'name').repos.map((repo) => repo.name), ['a', 'b', 'C', 'D']);
+
+      for (const direction of ['asc', 'desc'])
+      {
+         assert.deepEqual(sortCategories(data, { key: 'stargazers_count', direction }).repos.map((repo) => repo.id),
+          direction === 'asc' ? [1, 3, 4, 2] : [4, 1, 3, 2]);
+      }
+   });
+
+   /**
+    * Test that the order is the same for all transforms.
+    */
+   it('all transforms', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      const sort = { key: 'id', direction: 'desc' };
+
+      for (const transformType of ['csv', 'html', 'markdown', 'text', 'yaml'])
+      {
+         const result = transformControl.transform(data, { transformType, sort });
+
+         assert(result.indexOf('test-repo-blah2') < result.search(/test-repo-blah(?!2)/), transformType);
+         assert(result.indexOf('test-repo2') < result.indexOf('test-repo1'), transformType);
+      }
+
+      assert.throws(() => transformControl.transform(data, { sort: 'size' }), TypeError);
+      assert.throws(() => transformControl.transform(data, { sort: { direction: 'up' } }), TypeError);
+   });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import statsSummary                 from '../../src/transform/statsSummary.js';
+
+/**
+ * This series of tests confirm that the `html`, `markdown` and `text` transforms render stats from
+ * `getOrgRepoStats` as summaries and tables. The normalized stats data and expected results are stored in
+ * `./test/fixture/stats-*`.
+ *
+ * @test {statsSummary}
+ */
+describe('Transform stats', () =>
+{
+   const transformControl = new TransformControl();
+
+   const data = JSON.parse(fs.readFileSync('./test/fixture/stats-orgs-repos-json.txt', 'utf-8'));
+
+   ['html', 'markdown', 'text'].forEach((transformType) =>
+   {
+      /**
+       * Test stats against fixture data.
+       */
+      it(`${transformType} stats`, () =>
+      {
+         const result = transformControl.transform(data, { transformType });
+
+         assert.strictEqual(result, fs.readFileSync(`./test/fixture/stats-orgs-repos-${transformType}.txt`, 'utf-8'));
+         assert.notInclude(result, 'commitActivity":');
+      });
+   });
+
+   /**
+    * Test text charts against fixture data and that `chartWidth` limits sparklines and bars.
+    */
+   it('text charts', () =>
+   {
+      assert.strictEqual(transformControl.transform(data, { transformType: 'text', charts: true }),
+       fs.readFileSync('./test/fixture/stats-orgs-repos-text-charts.txt', 'utf-8'));
+
+      const stats = { commitActivity: [1, 2, 3, 4, 5, 6, 7, 8].map((total) => ({ total })),
+       contributors: [{ author: { name: 'a' }, total: 100 }, { author: { name: 'b' }, total: 50 }] };
+
+      const result = transformControl.transform({ categories: 'stats', stats: [stats] },
+       { transformType: 'text', charts: true, chartWidth: 4 });
+
+      // Eight weeks are summed in pairs and the longest bar is four characters.
+      assert.include(result, '\n   ▂▄▆█\n');
+      assert.include(result, '   a  ████ 100\n   b  ██ 50\n');
+   });
+
+   /**
+    * Test inline SVG charts against fixture data and that charts are self-contained.
+    */
+   it('html charts', () =>
+   {
+      const result = transformControl.transform(data, { transformType: 'html', charts: true, chartWidth: 270 });
+
+      assert.strictEqual(result, fs.readFileSync('./test/fixture/stats-orgs-repos-html-charts.txt', 'utf-8'));
+
+      // Commit activity, participation and the punch card are charted; the other stats types remain tables.
+      assert.strictEqual(result.match(/<svg /g).length, 3);
+      assert.strictEqual(result.match(/<\/svg>/g).length, 3);
+      assert.include(result, '<table class="stats contributors">');
+      assert.notInclude(result, 'table class="stats punchCard"');
+
+      for (const svg of result.match(/<svg [^]*?<\/svg>/g))
+      {
+         for (const external of ['<script', '<style', 'style=', 'href=', 'class=']) { assert.notInclude(svg, external); }
+      }
+
+      // Punch card cells of narrow charts keep a positive size.
+      for (const chartWidth of [1, 30, 54])
+      {
+         const punchCard = transformControl.transform(data, { transformType: 'html', charts: true, chartWidth })
+          .match(/<svg [^]*?<\/svg>/g)[2];
+
+         assert.include(punchCard, '<title>Punch card');
+         assert.notMatch(punchCard, /(width|height)="(0|-[\d.]+)"/, `chartWidth ${chartWidth}`);
+      }
+   });
+
+   /**
+    * Test the summarized sections of complete and pending stats.
+    */
+   it('statsSummary', () =>
+   {
+      const stats = data.orgs[0].repos[0].stats[0];
+
+      const sections = statsSummary(stats);
+
+      assert.deepEqual(sections.map((section) => section.name), ['commitActivity', 'contributors', 'codeFrequency',
+       'participation', 'punchCard', 'stargazers', 'watchers']);
+
+      // Contributors are ordered by commits.
+      assert.deepEqual(sections[1].rows, [['typhonrt', '118', '64057', '337'], ['contributor-b', '3', '100', '20']]);
+
+      assert.strictEqual(sections[4].summary, 'busiest hour Tue 14:00 (7)');
+
+      // Pending results are noted first and the empty contributors object is skipped.
+      assert.deepEqual(statsSummary(data.orgs[0].repos[1].stats[0]).map((section) => section.name),
+       ['pending', 'stargazers']);
+
+      assert.deepEqual(statsSummary({}), []);
+
+      // Hours outside of 0 - 23 are skipped instead of adding a column or a busiest hour.
+      const punchCard = statsSummary({ punchCard: [[1, 24, 9], [1, -1, 8], [2, 3, 1]] })[0];
+
+      assert.strictEqual(punchCard.summary, 'busiest hour Tue 03:00 (1)');
+      assert.deepEqual(punchCard.rows.map((row) => row.length), [6, 6, 6, 6, 6, 6, 6]);
+      assert.deepEqual(punchCard.rows[1].slice(1), ['0', '0', '0', '0', '0']);
+   });
+});
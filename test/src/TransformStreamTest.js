@@ -0,0 +1,136 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+import stream                       from 'stream';
+
+import GitHubInspectOrgsReplay      from '../../src/replay/GitHubInspectOrgsReplay.js';
+import GitHubInspectOrgsTransform   from '../../src/GitHubInspectOrgsTransform.js';
+import TransformControl             from '../../src/transform/TransformControl.js';
+import transformCategories          from '../../src/transform/transformCategories.js';
+
+/**
+ * This series of tests confirm that the `html`, `markdown` and `text` transforms emit the same output as a stream in
+ * chunks as the string results stored in `./test/fixture`.
+ *
+ * @test {transformCategories}
+ */
+describe('Transform streaming', () =>
+{
+   const githubInspect = new GitHubInspectOrgsReplay(
+    { directory: './test/fixture', filePostfix: '-json-with-desc.txt' });
+
+   const transformControl = new TransformControl();
+
+   ['html', 'markdown', 'text'].forEach((transformType) =>
+   {
+      /**
+       * Test that the streamed result matches the fixture data.
+       */
+      it(`${transformType} stream`, () =>
+      {
+         return githubInspect.getOrgRepoContributors().then((data) =>
+         {
+            const readable = transformControl.transform(data.normalized, { transformType, stream: true });
+
+            assert(readable instanceof stream.Readable);
+
+            return s_READ_ALL(readable).then((chunks) =>
+            {
+               assert(chunks.length > 1);
+
+               assert.strictEqual(chunks.join(''), fs.readFileSync(
+                `./test/fixture/github-get-org-repo-contributors-all-${transformType}.txt`, 'utf-8'));
+            });
+         });
+      });
+   });
+
+   /**
+    * Test that traversal only advances as the stream is read.
+    */
+   it('stream is lazy', () =>
+   {
+      let invocations = 0;
+
+      const transformFunction = () => { invocations++; return 'chunk'; };
+
+      return githubInspect.getOrgRepoContributors().then((data) =>
+      {
+         const readable = transformCategories(data.normalized, transformFunction, { stream: true });
+
+         assert.strictEqual(invocations, 0);
+
+         return s_READ_ALL(readable).then((chunks) =>
+         {
+            assert(invocations > 0);
+            assert.strictEqual(chunks.join(''), 'chunk'.repeat(invocations));
+         });
+      });
+   });
+
+   /**
+    * Test that GitHubInspectOrgsTransform streams the transformed result to a writable target.
+    */
+   it('GitHubInspectOrgsTransform writable', () =>
+   {
+      const inspectTransform = new GitHubInspectOrgsTransform(githubInspect, { transformType: 'html' });
+
+      const chunks = [];
+
+      const writable = new stream.Writable(
+      {
+         write(chunk, encoding, callback) { chunks.push(chunk.toString()); callback(); }
+      });
+
+      return inspectTransform.getOrgTeamMembers({ description: true, writable }).then((data) =>
+      {
+         assert(data.transformed instanceof stream.Readable);
+         assert(chunks.length > 1);
+
+         assert.strictEqual(chunks.join(''),
+          fs.readFileSync('./test/fixture/github-get-org-team-members-all-html-with-desc.txt', 'utf-8'));
+      });
+   });
+
+   /**
+    * Test that transforms which do not support streaming are written in a single chunk.
+    */
+   it('GitHubInspectOrgsTransform writable (json)', () =>
+   {
+      const inspectTransform = new GitHubInspectOrgsTransform(githubInspect, { transformType: 'json' });
+
+      const chunks = [];
+
+      const writable = new stream.Writable(
+      {
+         write(chunk, encoding, callback) { chunks.push(chunk.toString()); callback(); }
+      });
+
+      return inspectTransform.getOrgs({ writable }).then(() =>
+      {
+         assert.strictEqual(chunks.join(''), fs.readFileSync('./test/fixture/github-get-orgs-all-json.txt', 'utf-8'));
+      });
+   });
+});
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Reads all chunks from a readable stream.
+ *
+ * @param {stream.Readable}   readable - The stream to read.
+ *
+ * @returns {Promise<Array<string>>}
+ */
+const s_READ_ALL = (readable) =>
+{
+   return new Promise((resolve, reject) =>
+   {
+      const chunks = [];
+
+      readable.on('data', (chunk) => { chunks.push(chunk); });
+      readable.on('end', () => { resolve(chunks); });
+      readable.on('error', reject);
+   });
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+import compileTemplate              from '../../src/transform/compileTemplate.js';
+
+/**
+ * This series of tests confirm that the `template` transform renders user supplied per category templates with enter /
+ * leave templates, indentation tokens and conditional sections and that template transforms may be registered with
+ * TransformControl.
+ *
+ * @test {transformTemplate}
+ */
+describe('transformTemplate', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'template' });
+
+   /**
+    * Test enter / leave templates, sections and escaping against fixture data as a string and a stream.
+    */
+   it('fixture data', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+      const expected = fs.readFileSync('./test/fixture/github-get-org-repos-all-template.txt', 'utf-8');
+
+      const options =
+      {
+         escape: 'markdown',
+         header: '# Repos\n\n',
+         templates:
+         {
+            orgs: { enter: '## [{{name}}]({{{url}}})\n\n', leave: '\n' },
+            repos: '{{@indent}}- {{name}} ({{default_branch}}){{#description}} - {{description}}{{/description}}'
+             + '{{#fork}} (fork){{/fork}}\n'
+         }
+      };
+
+      assert.strictEqual(transformControl.transform(data, options), expected);
+
+      const chunks = [];
+      const readable = transformControl.transform(data, Object.assign({ stream: true }, options));
+
+      return new Promise((resolve, reject) =>
+      {
+         readable.on('data', (chunk) => { chunks.push(chunk); });
+         readable.on('end', resolve);
+         readable.on('error', reject);
+      }).then(() => { assert.strictEqual(chunks.join(''), expected); });
+   });
+
+   /**
+    * Test `@` variables, indentation tokens and the default template for categories without a template.
+    */
+   it('variables / indentation', () =>
+   {
+      const data =
+      {
+         categories: 'orgs:repos:contributors',
+         orgs: [{ name: 'org', repos: [
+            { name: 'a', contributors: [{ name: 'x' }, { name: 'y' }] },
+            { name: 'b', contributors: [] }
+         ] }]
+      };
+
+      const result = transformControl.transform(data, { indent: '  ', templates:
+      {
+         repos: { enter: '{{@indent}}{{name}}{{#@leaf}} (none){{/@leaf}}{{^@leaf}}:{{/@leaf}}\n',
+          leave: '{{#@last}}{{@indent}}end {{@category}} {{@depth}}\n{{/@last}}' },
+         contributors: '{{#@first}}{{@indent+1}}{{/@first}}{{name}}{{^@last}}, {{/@last}}{{#@last}}\n{{/@last}}'
+      } });
+
+      assert.strictEqual(result, 'org\n  a:\n      x, y\n  b (none)\n  end repos 1\n');
+   });
+
+   /**
+    * Test value lookup, escaping and inverted sections.
+    */
+   it('values / escape', () =>
+   {
+      const render = compileTemplate('{{name}}|{{{name}}}|{{core.limit}}|{{missing.key}}|{{list}}|'
+       + '{{^list}}empty{{/list}}{{#items}}items{{/items}}');
+
+      const entry = { name: '<b>', core: { limit: 5000 }, list: [], items: [1] };
+
+      const context = { escape: (value) => value.replace(/</g, '&lt;'), indent: () => '' };
+
+      assert.strictEqual(render(entry, context), '&lt;b>|<b>|5000||[]|emptyitems');
+
+      const data = { categories: 'orgs', orgs: [{ name: '"a" & <b>' }] };
+
+      assert.strictEqual(transformControl.transform(data, { escape: 'html', templates: { orgs: '{{name}}' } }),
+       '&quot;a&quot; &amp; &lt;b&gt;');
+
+      assert.strictEqual(transformControl.transform(data, { escape: (value) => value.toUpperCase(),
+       templates: { orgs: '{{name}}' } }), '"A" & <B>');
+   });
+
+   /**
+    * Test that malformed templates throw before transforming.
+    */
+   it('template errors', () =>
+   {
+      for (const template of ['{{#a}}', '{{/a}}', '{{#a}}{{/b}}', '{{{#a}}}', '{{{a}}', '{{@unknown}}'])
+      {
+         assert.throws(() => compileTemplate(template), Error, 'compileTemplate error');
+      }
+
+      assert.throws(() => transformControl.transform({ categories: 'orgs', orgs: [] },
+       { stream: true, templates: { orgs: '{{#name}}' } }), Error, 'compileTemplate error');
+   });
+
+   /**
+    * Test registering template transforms with TransformControl and merging templates by category.
+    */
+   it('templateTransforms', () =>
+   {
+      const control = new TransformControl({ transformType: 'names', templateTransforms:
+      {
+         names: { footer: '--\n', templates: { orgs: '{{name}}\n', repos: '{{@indent}}{{name}}\n' } }
+      } });
+
+      const data = { categories: 'orgs:repos', orgs: [{ name: 'org', repos: [{ name: 'repo', fork: true }] }] };
+
+      assert.strictEqual(control.transform(data), 'org\n   repo\n--\n');
+
+      assert.strictEqual(control.transform(data, { footer: '', templates: { repos: '* {{name}} {{fork}}\n' } }),
+       'org\n* repo true\n');
+
+      assert.strictEqual(control.getTransformType(), 'names');
+   });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+import { assert }                   from 'chai';
+import fs                           from 'fs';
+import yaml                         from 'js-yaml';
+
+import TransformControl             from '../../src/transform/TransformControl.js';
+
+/**
+ * This series of tests confirm that the `yaml` transform produces YAML which loads back to the normalized data. All
+ * normalized fixture data is loaded by `js-yaml` and compared against the original data with and without descriptions.
+ *
+ * @test {transformYAML}
+ */
+describe('transformYAML', () =>
+{
+   const transformControl = new TransformControl({ transformType: 'yaml' });
+
+   const filePrefixes = fs.readdirSync('./test/fixture').filter((file) => file.endsWith('-json.txt')).map(
+    (file) => file.substring(0, file.length - '-json.txt'.length));
+
+   filePrefixes.forEach((filePrefix) =>
+   {
+      /**
+       * Test YAML round trip with and without descriptions.
+       */
+      it(`YAML round trip: ${filePrefix}`, () =>
+      {
+         const filePath = fs.existsSync(`./test/fixture/${filePrefix}-json-with-desc.txt`) ?
+          `./test/fixture/${filePrefix}-json-with-desc.txt` : `./test/fixture/${filePrefix}-json.txt`;
+
+         const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+         assert.deepEqual(yaml.safeLoad(transformControl.transform(data, { description: true })), data);
+
+         assert.deepEqual(yaml.safeLoad(transformControl.transform(data)), JSON.parse(JSON.stringify(data),
+          (key, value) => key === 'description' ? void 0 : value));
+      });
+   });
+
+   /**
+    * Test stable key order against fixture data.
+    */
+   it('fixture data', () =>
+   {
+      const data = JSON.parse(fs.readFileSync('./test/fixture/github-get-org-repos-all-json-with-desc.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(data),
+       fs.readFileSync('./test/fixture/github-get-org-repos-all-yaml.txt', 'utf-8'));
+
+      assert.strictEqual(transformControl.transform(data, { description: true }),
+       fs.readFileSync('./test/fixture/github-get-org-repos-all-yaml-with-desc.txt', 'utf-8'));
+   });
+
+   /**
+    * Test quoting of strings which would otherwise be misread.
+    */
+   it('quoting', () =>
+   {
+      const values = ['key: value', 'multi\nline', 'trailing:', 'a #comment', '- item', 'yes', 'No', 'null', '~',
+       '1.0', '2016-03-01', '', ' padded ', '"quoted"', `it's`, '@scope', 'unicode é', 'plain text:value'];
+
+      const data = { categories: 'orgs', orgs: values.map((name) => ({ name, description: name })) };
+
+      const result = transformControl.transform(data, { description: true });
+
+      assert.deepEqual(yaml.safeLoad(result), data);
+      assert.include(result, '  - name: plain text:value\n');
+   });
+});